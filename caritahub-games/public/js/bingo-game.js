@@ -53,10 +53,16 @@ const myCardEl         = document.getElementById('myBingoCard');
 
 // ── Socket ───────────────────────────────────────────────────────────────────
 const socket = io({ reconnectionAttempts: 5, reconnectionDelay: 1000, transports: ['websocket', 'polling'] });
+attachChat(socket);
+attachNotices(socket);
+attachRematch(socket, gameOverOverlay);
+
+// Issued by the lobby on `joined`; proves we own this seat
+const seatToken = sessionStorage.getItem(`seat:${roomId}`);
 
 socket.on('connect', () => {
   reconnectOverlay.classList.add('hidden');
-  socket.emit('join_game', { roomId, playerName: myName, reconnect: true, gameType: 'bingo' });
+  socket.emit('join_game', { roomId, playerName: myName, reconnect: true, seatToken, gameType: 'bingo' });
 });
 
 socket.on('disconnect', () => {
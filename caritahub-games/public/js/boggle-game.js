@@ -51,10 +51,16 @@ const reconnectOverlay = document.getElementById('reconnectOverlay');
 
 // ── Socket ───────────────────────────────────────────────────────────────────
 const socket = io({ reconnectionAttempts: 5, reconnectionDelay: 1000, transports: ['websocket', 'polling'] });
+attachChat(socket);
+attachNotices(socket);
+attachRematch(socket, resultsOverlay);
+
+// Issued by the lobby on `joined`; proves we own this seat
+const seatToken = sessionStorage.getItem(`seat:${roomId}`);
 
 socket.on('connect', () => {
   reconnectOverlay.classList.add('hidden');
-  socket.emit('join_game', { roomId, playerName: myName, reconnect: true, gameType: 'boggle' });
+  socket.emit('join_game', { roomId, playerName: myName, reconnect: true, seatToken, gameType: 'boggle' });
 });
 socket.on('disconnect', () => reconnectOverlay.classList.remove('hidden'));
 
@@ -413,10 +419,37 @@ function showResults(reason) {
     }
   });
 
+  html += renderSolution(gameState.solution);
+
   resultsBody.innerHTML = html;
   resultsOverlay.classList.remove('hidden');
 }
 
+/** Every word on the board: found ones dimmed, missed ones bold, best words starred. */
+function renderSolution(solution) {
+  if (!solution || !solution.words.length) return '';
+  const found = solution.words.filter(w => w.foundBy.length).length;
+  const longest = new Set(solution.longest);
+  const highest = new Set(solution.highest);
+
+  let html = `<div class="boggle-solution">
+    <p class="boggle-solution-title">Words you missed</p>
+    <p class="boggle-result-reason">${found} of ${solution.words.length} words found · ${solution.maxScore} pts were on the board · ★ longest / highest-scoring</p>
+    <div class="boggle-result-words">`;
+  solution.words.forEach(({ word, score, foundBy }) => {
+    const best = longest.has(word) || highest.has(word);
+    const classes = ['boggle-result-word', foundBy.length ? 'found' : 'missed', best ? 'best' : ''].join(' ').trim();
+    const tip = [
+      longest.has(word) ? 'longest word' : '',
+      highest.has(word) ? 'highest score' : '',
+      foundBy.length ? 'found' : 'missed'
+    ].filter(Boolean).join(', ');
+    html += `<span class="${classes}" title="${tip}">${best ? '★ ' : ''}${escHtml(word)} <small>${score}</small></span>`;
+  });
+  html += `</div></div>`;
+  return html;
+}
+
 // ── Timer ─────────────────────────────────────────────────────────────────────
 function startTimer() {
   if (timerInterval) clearInterval(timerInterval);
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Room chat panel shared by the game pages.
+ * Call attachChat(socket) after the page creates its socket; the server sends
+ * chat_history on every (re)join, then chat_message / chat_muted as they happen.
+ * Players talk to the room; spectators get their own channel (and read both).
+ */
+function attachChat(socket) {
+  const myName = new URLSearchParams(window.location.search).get('name') || '';
+
+  const panel = document.createElement('div');
+  panel.className = 'chat-panel collapsed';
+  panel.innerHTML = `
+    <button type="button" class="chat-toggle">Chat <span class="chat-unread hidden"></span></button>
+    <div class="chat-body">
+      <div class="chat-messages" aria-live="polite"></div>
+      <div class="chat-notice hidden"></div>
+      <form class="chat-form">
+        <input class="chat-input" type="text" maxlength="300" placeholder="Say something…" autocomplete="off" />
+        <button type="submit" class="chat-send">Send</button>
+      </form>
+    </div>`;
+  document.body.appendChild(panel);
+
+  const toggle     = panel.querySelector('.chat-toggle');
+  const unreadEl   = panel.querySelector('.chat-unread');
+  const messagesEl = panel.querySelector('.chat-messages');
+  const noticeEl   = panel.querySelector('.chat-notice');
+  const form       = panel.querySelector('.chat-form');
+  const input      = panel.querySelector('.chat-input');
+
+  let isHost = false;
+  let muted = new Set();
+  let unread = 0;
+  let noticeTimer = null;
+
+  toggle.addEventListener('click', () => {
+    panel.classList.toggle('collapsed');
+    if (!panel.classList.contains('collapsed')) {
+      unread = 0;
+      unreadEl.classList.add('hidden');
+      messagesEl.scrollTop = messagesEl.scrollHeight;
+      input.focus();
+    }
+  });
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (!text) return;
+    socket.emit('chat_message', { text });
+    input.value = '';
+  });
+
+  socket.on('chat_history', ({ messages, muted: mutedNames, isHost: host }) => {
+    isHost = host;
+    muted = new Set(mutedNames);
+    messagesEl.innerHTML = '';
+    messages.forEach(appendMessage);
+  });
+
+  socket.on('chat_message', message => {
+    appendMessage(message);
+    if (panel.classList.contains('collapsed')) {
+      unread++;
+      unreadEl.textContent = unread;
+      unreadEl.classList.remove('hidden');
+    }
+  });
+
+  socket.on('chat_muted', ({ name, muted: isMuted }) => {
+    if (isMuted) muted.add(name);
+    else muted.delete(name);
+    refreshMuteButtons();
+    showNotice(name === myName
+      ? (isMuted ? 'The host has muted you.' : 'The host has unmuted you.')
+      : `${name} was ${isMuted ? 'muted' : 'unmuted'}.`);
+  });
+
+  socket.on('chat_rejected', ({ reason }) => showNotice(reason));
+
+  function appendMessage({ channel, from, text }) {
+    const row = document.createElement('div');
+    row.className = `chat-msg${channel === 'spectators' ? ' chat-msg-spectator' : ''}`;
+    const who = document.createElement('span');
+    who.className = 'chat-from';
+    who.textContent = channel === 'spectators' ? `${from} (watching)` : from;
+    const body = document.createElement('span');
+    body.className = 'chat-text';
+    body.textContent = text;
+    row.appendChild(who);
+    row.appendChild(body);
+    if (isHost && from !== myName) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'chat-mute';
+      btn.dataset.name = from;
+      btn.addEventListener('click', () => socket.emit('chat_mute', { name: from, muted: !muted.has(from) }));
+      row.appendChild(btn);
+    }
+    messagesEl.appendChild(row);
+    refreshMuteButtons();
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+  }
+
+  function refreshMuteButtons() {
+    messagesEl.querySelectorAll('.chat-mute').forEach(btn => {
+      btn.textContent = muted.has(btn.dataset.name) ? 'Unmute' : 'Mute';
+    });
+  }
+
+  function showNotice(text) {
+    noticeEl.textContent = text;
+    noticeEl.classList.remove('hidden');
+    if (noticeTimer) clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(() => noticeEl.classList.add('hidden'), 4000);
+  }
+}
@@ -18,6 +18,7 @@ const myNameEl        = document.getElementById('myName');
 const myTagEl         = document.getElementById('myTag');
 const undoBtn         = document.getElementById('undoBtn');
 const resignBtn       = document.getElementById('resignBtn');
+const drawBtn         = document.getElementById('drawBtn');
 
 const promotionOverlay  = document.getElementById('promotionOverlay');
 const promotionChoices  = document.getElementById('promotionChoices');
@@ -27,6 +28,11 @@ const undoMsg         = document.getElementById('undoMsg');
 const acceptUndoBtn   = document.getElementById('acceptUndoBtn');
 const declineUndoBtn  = document.getElementById('declineUndoBtn');
 
+const drawOverlay     = document.getElementById('drawOverlay');
+const drawMsg         = document.getElementById('drawMsg');
+const acceptDrawBtn   = document.getElementById('acceptDrawBtn');
+const declineDrawBtn  = document.getElementById('declineDrawBtn');
+
 const resignOverlay   = document.getElementById('resignOverlay');
 const confirmResignBtn = document.getElementById('confirmResignBtn');
 const cancelResignBtn = document.getElementById('cancelResignBtn');
@@ -35,6 +41,7 @@ const gameOverOverlay = document.getElementById('gameOverOverlay');
 const gameOverTitle   = document.getElementById('gameOverTitle');
 const gameOverMsg     = document.getElementById('gameOverMsg');
 const backLobbyBtn    = document.getElementById('backLobbyBtn');
+const pgnLink         = document.getElementById('pgnLink');
 
 const reconnectOverlay = document.getElementById('reconnectOverlay');
 const reconnectMsg     = document.getElementById('reconnectMsg');
@@ -107,11 +114,17 @@ function showPromotionPicker(from, to) {
 let reconnectAttempts = 0;
 
 const socket = io({ reconnectionAttempts: 5, reconnectionDelay: 1000 });
+attachChat(socket);
+attachNotices(socket);
+attachRematch(socket, gameOverOverlay.querySelector('.overlay-box'));
+
+// Issued by the lobby on `joined`; proves we own this seat
+const seatToken = sessionStorage.getItem(`seat:${roomId}`);
 
 socket.on('connect', () => {
   reconnectAttempts = 0;
   reconnectOverlay.style.display = 'none';
-  socket.emit('join_game', { roomId, playerName: myName, reconnect: true, gameType: 'chess' });
+  socket.emit('join_game', { roomId, playerName: myName, reconnect: true, seatToken, gameType: 'chess' });
 });
 
 socket.on('disconnect', () => {
@@ -139,6 +152,8 @@ socket.on('room_update', ({ players }) => {
 socket.on('game_started', state => applyGameState(state));
 socket.on('game_state',   state => applyGameState(state));
 
+socket.on('error', ({ message }) => flashStatus(message, 0));
+
 socket.on('invalid_move', ({ reason }) => flashStatus(`Invalid: ${reason}`, 2000));
 
 socket.on('undo_requested', ({ from }) => {
@@ -148,11 +163,73 @@ socket.on('undo_requested', ({ from }) => {
 
 socket.on('undo_declined', () => flashStatus('Undo declined by opponent.', 2500));
 
-socket.on('game_over', ({ winner, reason }) => showGameOver(winner, reason));
+socket.on('draw_offered', ({ from }) => {
+  drawMsg.textContent = `${from} offers a draw.`;
+  drawOverlay.classList.remove('hidden');
+});
+
+socket.on('draw_declined', () => flashStatus('Draw offer declined.', 2500));
+
+socket.on('game_over', ({ winner, reason, ratings, gameId }) => {
+  stopClocks();
+  if (gameId) {
+    pgnLink.href = `/api/games/${gameId}.pgn`;
+    pgnLink.classList.remove('hidden');
+  }
+  const mine = (ratings || []).find(r => r.name === myName);
+  // An empty list: a player's name belongs to someone else's rating, so nothing counted
+  const ratingNote = mine ? ` — rating ${mine.rating} (${mine.change >= 0 ? '+' : ''}${mine.change})`
+    : ratings && !ratings.length ? ' — not rated' : '';
+  showGameOver(winner, (reason || '') + ratingNote);
+});
 
 socket.on('player_disconnected', ({ playerName }) =>
   flashStatus(`${playerName} disconnected. Waiting for reconnection…`, 0));
 
+// ── Clocks ────────────────────────────────────────────────────────────
+// The server owns the clock; between updates we count down locally from
+// the last reported remaining time.
+const myClockEl       = document.getElementById('myClock');
+const opponentClockEl = document.getElementById('opponentClock');
+const mySeat = myColor === 'white' ? 0 : 1;
+let clockState = null;   // { remaining: [ms, ms], running, receivedAt }
+let clockTicker = null;
+
+function applyClock(clock) {
+  if (!clock) return;
+  clockState = { remaining: clock.remaining, running: gameActive ? clock.running : null, receivedAt: Date.now() };
+  myClockEl.classList.remove('hidden');
+  opponentClockEl.classList.remove('hidden');
+  renderClocks();
+  if (!clockTicker) clockTicker = setInterval(renderClocks, 200);
+}
+
+function stopClocks() {
+  if (clockState) clockState.running = null;
+  if (clockTicker) clearInterval(clockTicker);
+  clockTicker = null;
+}
+
+function renderClocks() {
+  if (!clockState) return;
+  const now = Date.now();
+  const left = seat => {
+    const ms = clockState.remaining[seat];
+    return seat === clockState.running ? Math.max(0, ms - (now - clockState.receivedAt)) : ms;
+  };
+  myClockEl.textContent       = formatClock(left(mySeat));
+  opponentClockEl.textContent = formatClock(left(1 - mySeat));
+  myClockEl.classList.toggle('clock-low', left(mySeat) < 20000);
+  opponentClockEl.classList.toggle('clock-low', left(1 - mySeat) < 20000);
+}
+
+function formatClock(ms) {
+  const secs = Math.ceil(ms / 1000);
+  const m = Math.floor(secs / 60);
+  const s = secs % 60;
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
 // ── Game state ────────────────────────────────────────────────────────
 function applyGameState(state) {
   gameActive  = !state.isGameOver;
@@ -175,7 +252,7 @@ function applyGameState(state) {
   if (state.isGameOver) {
     statusBar.classList.add('game-over');
     if (state.winner === 'draw') {
-      showGameOver('draw', 'Stalemate — it\'s a draw!');
+      showGameOver('draw', `${state.drawReason || 'Stalemate'} — it's a draw!`);
     } else {
       showGameOver(state.winner, 'Checkmate');
     }
@@ -187,11 +264,18 @@ function applyGameState(state) {
   }
 
   undoBtn.disabled = !gameActive || !myTurn;
+  // A pending offer lapses when a move is made
+  drawOverlay.classList.add('hidden');
+  drawBtn.disabled = !gameActive || myColor === 'spectator';
+  drawBtn.textContent = state.drawClaim ? 'Claim Draw' : 'Offer Draw';
+  drawBtn.title = state.drawClaim || '';
 
   if (state.players) {
     const opp = state.players.find(p => p.color === opponentColor);
     if (opp) opponentNameEl.textContent = opp.name;
   }
+
+  applyClock(state.clock);
 }
 
 function showGameOver(winner, reason) {
@@ -226,6 +310,11 @@ undoBtn.addEventListener('click', () => {
   undoBtn.disabled = true;
   flashStatus('Undo request sent…', 0);
 });
+drawBtn.addEventListener('click', () => {
+  socket.emit('offer_draw');
+  drawBtn.disabled = true;
+  flashStatus('Draw offer sent…', 2500);
+});
 resignBtn.addEventListener('click', () => resignOverlay.classList.remove('hidden'));
 confirmResignBtn.addEventListener('click', () => {
   resignOverlay.classList.add('hidden');
@@ -240,6 +329,14 @@ declineUndoBtn.addEventListener('click', () => {
   undoOverlay.classList.add('hidden');
   socket.emit('decline_undo');
 });
+acceptDrawBtn.addEventListener('click', () => {
+  drawOverlay.classList.add('hidden');
+  socket.emit('accept_draw');
+});
+declineDrawBtn.addEventListener('click', () => {
+  drawOverlay.classList.add('hidden');
+  socket.emit('decline_draw');
+});
 backLobbyBtn.addEventListener('click', () => { window.location.href = '/lobby.html?game=chess'; });
 
 // ── Resize ────────────────────────────────────────────────────────────
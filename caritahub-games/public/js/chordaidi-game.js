@@ -47,10 +47,16 @@ const SEAT_DOT    = { south: '#1155cc', west: '#1a6e1a', north: '#7d3c98', east:
 
 // ── Socket ─────────────────────────────────────────────────────────────────
 const socket = io({ reconnectionAttempts: 5, reconnectionDelay: 1000 });
+attachChat(socket);
+attachNotices(socket);
+attachRematch(socket, gameOverOverlay.querySelector('.overlay-box'));
+
+// Issued by the lobby on `joined`; proves we own this seat
+const seatToken = sessionStorage.getItem(`seat:${roomId}`);
 
 socket.on('connect', () => {
   reconnectOverlay.style.display = 'none';
-  socket.emit('join_game', { roomId, playerName: myName, reconnect: true, gameType: 'chordaidi' });
+  socket.emit('join_game', { roomId, playerName: myName, reconnect: true, seatToken, gameType: 'chordaidi' });
 });
 
 socket.on('disconnect', () => {
@@ -72,6 +78,8 @@ socket.on('joined', () => { /* seat confirmed */ });
 socket.on('game_started', state => applyState(state));
 socket.on('game_state',   state => applyState(state));
 
+socket.on('error', ({ message }) => flashStatus(message, 0));
+
 socket.on('invalid_move', ({ reason }) => flashStatus(`Invalid: ${reason}`, 3000));
 
 socket.on('game_over', ({ winner, reason }) => showGameOver(winner, reason));
@@ -79,6 +87,9 @@ socket.on('game_over', ({ winner, reason }) => showGameOver(winner, reason));
 socket.on('player_disconnected', ({ playerName }) =>
   flashStatus(`${playerName} disconnected. Waiting…`, 0));
 
+socket.on('player_replaced', ({ playerName }) =>
+  flashStatus(`${playerName} didn't come back — the computer plays their cards`, 4000));
+
 // ── Apply state ────────────────────────────────────────────────────────────
 function applyState(state) {
   if (!state || state.gameType !== 'chordaidi') return;
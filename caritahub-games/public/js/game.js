@@ -20,12 +20,18 @@ const myNameEl = document.getElementById('myName');
 const myTagEl = document.getElementById('myTag');
 const undoBtn = document.getElementById('undoBtn');
 const resignBtn = document.getElementById('resignBtn');
+const drawBtn = document.getElementById('drawBtn');
 
 const undoOverlay = document.getElementById('undoOverlay');
 const undoMsg = document.getElementById('undoMsg');
 const acceptUndoBtn = document.getElementById('acceptUndoBtn');
 const declineUndoBtn = document.getElementById('declineUndoBtn');
 
+const drawOverlay = document.getElementById('drawOverlay');
+const drawMsg = document.getElementById('drawMsg');
+const acceptDrawBtn = document.getElementById('acceptDrawBtn');
+const declineDrawBtn = document.getElementById('declineDrawBtn');
+
 const resignOverlay = document.getElementById('resignOverlay');
 const confirmResignBtn = document.getElementById('confirmResignBtn');
 const cancelResignBtn = document.getElementById('cancelResignBtn');
@@ -34,6 +40,8 @@ const gameOverOverlay = document.getElementById('gameOverOverlay');
 const gameOverTitle = document.getElementById('gameOverTitle');
 const gameOverMsg = document.getElementById('gameOverMsg');
 const backLobbyBtn = document.getElementById('backLobbyBtn');
+const pgnLink = document.getElementById('pgnLink');
+const moveListEl = document.getElementById('moveList');
 
 const reconnectOverlay = document.getElementById('reconnectOverlay');
 const reconnectMsg = document.getElementById('reconnectMsg');
@@ -85,13 +93,19 @@ const socket = io({
   reconnectionAttempts: 5,
   reconnectionDelay: 1000
 });
+attachChat(socket);
+attachNotices(socket);
+attachRematch(socket, gameOverOverlay.querySelector('.overlay-box'));
+
+// Issued by the lobby on `joined`; proves we own this seat
+const seatToken = sessionStorage.getItem(`seat:${roomId}`);
 
 socket.on('connect', () => {
   reconnectAttempts = 0;
   reconnectOverlay.style.display = 'none';
   // Always use reconnect:true on the game page — the player already claimed their seat
-  // in the lobby. This bypasses rate limiting and allows seat reclaim by name.
-  socket.emit('join_game', { roomId, playerName: myName, reconnect: true, gameType: 'xiangqi' });
+  // in the lobby. The seat token bypasses rate limiting and reclaims the seat.
+  socket.emit('join_game', { roomId, playerName: myName, reconnect: true, seatToken, gameType: 'xiangqi' });
   hasConnectedBefore = true;
 });
 
@@ -127,6 +141,8 @@ socket.on('game_state', (state) => {
   applyGameState(state);
 });
 
+socket.on('error', ({ message }) => flashStatus(message, 0));
+
 socket.on('invalid_move', ({ reason }) => {
   flashStatus(`Invalid move: ${reason}`, 2000);
 });
@@ -140,14 +156,76 @@ socket.on('undo_declined', () => {
   flashStatus('Undo declined by opponent.', 2500);
 });
 
-socket.on('game_over', ({ winner, reason }) => {
-  showGameOver(winner, reason);
+socket.on('draw_offered', ({ from }) => {
+  drawMsg.textContent = `${from} offers a draw.`;
+  drawOverlay.classList.remove('hidden');
+});
+
+socket.on('draw_declined', () => {
+  flashStatus('Draw offer declined.', 2500);
+});
+
+socket.on('game_over', ({ winner, reason, ratings, gameId }) => {
+  stopClocks();
+  if (gameId) {
+    pgnLink.href = `/api/games/${gameId}.pgn`;
+    pgnLink.classList.remove('hidden');
+  }
+  const mine = (ratings || []).find(r => r.name === myName);
+  // An empty list: a player's name belongs to someone else's rating, so nothing counted
+  const ratingNote = mine ? ` — rating ${mine.rating} (${mine.change >= 0 ? '+' : ''}${mine.change})`
+    : ratings && !ratings.length ? ' — not rated' : '';
+  showGameOver(winner, (reason || '') + ratingNote);
 });
 
 socket.on('player_disconnected', ({ playerName }) => {
   flashStatus(`${playerName} disconnected. Waiting for reconnection…`, 0);
 });
 
+// ── Clocks ────────────────────────────────────────────────────────────
+// The server owns the clock; between updates we count down locally from
+// the last reported remaining time.
+const myClockEl       = document.getElementById('myClock');
+const opponentClockEl = document.getElementById('opponentClock');
+const mySeat = myColor === 'red' ? 0 : 1;
+let clockState = null;   // { remaining: [ms, ms], running, receivedAt }
+let clockTicker = null;
+
+function applyClock(clock) {
+  if (!clock) return;
+  clockState = { remaining: clock.remaining, running: gameActive ? clock.running : null, receivedAt: Date.now() };
+  myClockEl.classList.remove('hidden');
+  opponentClockEl.classList.remove('hidden');
+  renderClocks();
+  if (!clockTicker) clockTicker = setInterval(renderClocks, 200);
+}
+
+function stopClocks() {
+  if (clockState) clockState.running = null;
+  if (clockTicker) clearInterval(clockTicker);
+  clockTicker = null;
+}
+
+function renderClocks() {
+  if (!clockState) return;
+  const now = Date.now();
+  const left = seat => {
+    const ms = clockState.remaining[seat];
+    return seat === clockState.running ? Math.max(0, ms - (now - clockState.receivedAt)) : ms;
+  };
+  myClockEl.textContent       = formatClock(left(mySeat));
+  opponentClockEl.textContent = formatClock(left(1 - mySeat));
+  myClockEl.classList.toggle('clock-low', left(mySeat) < 20000);
+  opponentClockEl.classList.toggle('clock-low', left(1 - mySeat) < 20000);
+}
+
+function formatClock(ms) {
+  const secs = Math.ceil(ms / 1000);
+  const m = Math.floor(secs / 60);
+  const s = secs % 60;
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
 // ── Game state ────────────────────────────────────────────────────────
 function applyGameState(state) {
   gameActive = !state.isGameOver;
@@ -171,7 +249,8 @@ function applyGameState(state) {
   statusBar.classList.remove('check', 'game-over');
   if (state.isGameOver) {
     statusBar.classList.add('game-over');
-    showGameOver(state.winner, 'Checkmate');
+    // Repetition rulings (perpetual check / chase) carry their own reason
+    showGameOver(state.winner, state.ruling ? state.ruling.reason : 'Checkmate');
   } else if (state.inCheck) {
     statusBar.classList.add('check');
     statusBar.textContent = myTurn ? '⚠️ You are in CHECK!' : '⚠️ Opponent is in CHECK!';
@@ -181,11 +260,33 @@ function applyGameState(state) {
 
   // Undo button — only enabled when it's your turn (request undo from opponent)
   undoBtn.disabled = !gameActive || !myTurn;
+  // A pending offer lapses when a move is made
+  drawOverlay.classList.add('hidden');
+  drawBtn.disabled = !gameActive || myColor === 'spectator';
 
   if (state.players) {
     const opp = state.players.find(p => p.color === opponentColor);
     if (opp) opponentNameEl.textContent = opp.name;
   }
+
+  applyClock(state.clock);
+  renderMoveList(state.moves || []);
+}
+
+// Move list: one row per move pair, Chinese notation with WXF / ICCS as a tooltip
+function renderMoveList(moves) {
+  moveListEl.innerHTML = '';
+  for (let i = 0; i < moves.length; i += 2) {
+    const li = document.createElement('li');
+    moves.slice(i, i + 2).forEach(m => {
+      const span = document.createElement('span');
+      span.textContent = m ? m.chinese : '…';
+      if (m) span.title = `${m.wxf}  ${m.iccs}`;
+      li.appendChild(span);
+    });
+    moveListEl.appendChild(li);
+  }
+  moveListEl.scrollTop = moveListEl.scrollHeight;
 }
 
 function parseFenBoard(fen) {
@@ -210,7 +311,10 @@ function showGameOver(winner, reason) {
   gameActive = false;
   gameOverOverlay.classList.remove('hidden');
 
-  if (winner === myColor) {
+  if (winner === 'draw') {
+    gameOverTitle.textContent = 'Draw!';
+    gameOverMsg.textContent = reason || '';
+  } else if (winner === myColor) {
     gameOverTitle.textContent = 'You Win!';
     gameOverMsg.textContent = reason || 'Congratulations!';
   } else if (winner) {
@@ -240,6 +344,12 @@ undoBtn.addEventListener('click', () => {
   flashStatus('Undo request sent…', 0);
 });
 
+drawBtn.addEventListener('click', () => {
+  socket.emit('offer_draw');
+  drawBtn.disabled = true;
+  flashStatus('Draw offer sent…', 2500);
+});
+
 resignBtn.addEventListener('click', () => {
   resignOverlay.classList.remove('hidden');
 });
@@ -260,6 +370,15 @@ declineUndoBtn.addEventListener('click', () => {
   socket.emit('decline_undo');
 });
 
+acceptDrawBtn.addEventListener('click', () => {
+  drawOverlay.classList.add('hidden');
+  socket.emit('accept_draw');
+});
+declineDrawBtn.addEventListener('click', () => {
+  drawOverlay.classList.add('hidden');
+  socket.emit('decline_draw');
+});
+
 backLobbyBtn.addEventListener('click', () => {
   window.location.href = '/';
 });
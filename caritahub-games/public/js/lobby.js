@@ -1,6 +1,7 @@
 'use strict';
 
 const socket = io();
+attachNotices(socket);
 let myRoomId = null;
 let myColor = null;
 let myName = '';   // captured at join-click time
@@ -13,6 +14,34 @@ const qrContainer = document.getElementById('qrcode');
 const joinLinkEl = document.getElementById('joinLink');
 const playerListEl = document.getElementById('playerList');
 const startBtn = document.getElementById('startBtn');
+const addBotBtn = document.getElementById('addBotBtn');
+const timeControlField = document.getElementById('timeControlField');
+const timeControlSel = document.getElementById('timeControl');
+const rulesetField = document.getElementById('rulesetField');
+const rulesetSel = document.getElementById('ruleset');
+const startPositionField = document.getElementById('startPositionField');
+const startPositionInput = document.getElementById('startPosition');
+const startPositionFile = document.getElementById('startPositionFile');
+const botField = document.getElementById('botField');
+const botLevelSel = document.getElementById('botLevel');
+const botPlayAsSel = document.getElementById('botPlayAs');
+const qrLabel = document.getElementById('qrLabel');
+const visibilityField = document.getElementById('visibilityField');
+const visibilitySel = document.getElementById('visibility');
+const roomBrowser = document.getElementById('roomBrowser');
+const roomListEl = document.getElementById('roomList');
+const accessField = document.getElementById('accessField');
+const accessSel = document.getElementById('access');
+const roomPasscodeInput = document.getElementById('roomPasscode');
+const joinPasscodeField = document.getElementById('joinPasscodeField');
+const joinPasscodeInput = document.getElementById('joinPasscode');
+const inviteBtn = document.getElementById('inviteBtn');
+const lockBtn = document.getElementById('lockBtn');
+const quickPlayField = document.getElementById('quickPlayField');
+const ratingBandField = document.getElementById('ratingBandField');
+const ratingBandSel = document.getElementById('ratingBand');
+const quickPlayBtn = document.getElementById('quickPlayBtn');
+const cancelQueueBtn = document.getElementById('cancelQueueBtn');
 
 // ── Game metadata ────────────────────────────────────────────────────
 const GAMES = {
@@ -21,21 +50,31 @@ const GAMES = {
     subtitle: 'Chinese Chess — Multiplayer',
     gamePage: '/game.html',
     maxPlayers: 2,
-    hostColors: ['red']
+    hostColors: ['red'],
+    clock: true,
+    rated: true,        // quick play can ask for opponents near your rating
+    rulesets: true,
+    bot: { colors: ['red', 'black'], levels: { beginner: 'Beginner', intermediate: 'Intermediate', strong: 'Strong' } }
   },
   chess: {
     title: 'CaritaHub Chess',
     subtitle: 'Western Chess — Multiplayer',
     gamePage: '/chess-game.html',
     maxPlayers: 2,
-    hostColors: ['white']
+    hostColors: ['white'],
+    clock: true,
+    rated: true,
+    startPosition: true,
+    // Computer opponent: seats it can take, difficulty levels (id → label)
+    bot: { colors: ['white', 'black'], levels: { easy: 'Easy', medium: 'Medium', hard: 'Hard' } }
   },
   chordaidi: {
     title: '大老二 Chor Dai Di',
     subtitle: 'Big Two — 4 Players',
     gamePage: '/chordaidi-game.html',
     maxPlayers: 4,
-    hostColors: ['south']
+    hostColors: ['south'],
+    addBots: true       // host can fill empty seats with computer players
   },
   bingo: {
     title: 'CaritaHub Bingo',
@@ -56,6 +95,22 @@ const GAMES = {
 const params = new URLSearchParams(window.location.search);
 const gameId = params.get('game') || 'xiangqi';
 const inviteRoom = params.get('room');
+// Set by the room browser's Join / Watch buttons
+const inviteName = params.get('name');
+const spectateOnly = params.get('spectate') === '1';
+// One-time invite token from an invite link
+const inviteToken = params.get('invite');
+// Tournament entry token from the player's own game link on the tournament page
+const entryToken = params.get('entry');
+let roomLocked = false;
+
+// This browser's player key: rated games are credited to the name only while
+// it is played from the browser that first earned a rating with it
+const playerKey = localStorage.getItem('player-key') || (() => {
+  const key = Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+  localStorage.setItem('player-key', key);
+  return key;
+})();
 
 const gameMeta = GAMES[gameId] || GAMES['xiangqi'];
 
@@ -68,7 +123,23 @@ document.title = `CaritaHub — ${gameMeta.title}`;
 
 if (inviteRoom) {
   statusMsg.textContent = 'Enter your name to join the game.';
-  createBtn.textContent = 'Join Game';
+  createBtn.textContent = spectateOnly ? 'Watch Game' : 'Join Game';
+} else {
+  visibilityField.classList.remove('hidden');
+  accessField.classList.remove('hidden');
+  roomBrowser.classList.remove('hidden');
+  if (gameMeta.clock) timeControlField.classList.remove('hidden');
+  if (gameMeta.rulesets) rulesetField.classList.remove('hidden');
+  if (gameMeta.startPosition) startPositionField.classList.remove('hidden');
+  quickPlayField.classList.remove('hidden');
+  if (gameMeta.rated) ratingBandField.classList.remove('hidden');
+  if (gameMeta.bot) {
+    Object.entries(gameMeta.bot.levels).forEach(([level, label]) => {
+      botLevelSel.appendChild(new Option(`Computer — ${label}`, level));
+    });
+    gameMeta.bot.colors.forEach(color => botPlayAsSel.appendChild(new Option(colorDisplayName(color), color)));
+    botField.classList.remove('hidden');
+  }
 }
 
 // ── Handlers ─────────────────────────────────────────────────────────
@@ -80,6 +151,11 @@ createBtn.addEventListener('click', () => {
     return;
   }
   myName = name;
+  // Computer opponent takes the seat the player didn't choose
+  const botLevel = !inviteRoom && gameMeta.bot && botLevelSel.value;
+  const bot = botLevel
+    ? { level: botLevel, color: gameMeta.bot.colors.find(c => c !== botPlayAsSel.value) }
+    : undefined;
   statusMsg.classList.remove('error');
   statusMsg.textContent = 'Connecting…';
   createBtn.disabled = true;
@@ -87,55 +163,211 @@ createBtn.addEventListener('click', () => {
   socket.emit('join_game', {
     roomId: inviteRoom || null,
     playerName: name,
-    gameType: gameId
+    // Reclaim our seat if this tab already joined the room (e.g. lobby refresh)
+    seatToken: inviteRoom ? sessionStorage.getItem(`seat:${inviteRoom}`) : null,
+    gameType: gameId,
+    timeControl: (!inviteRoom && gameMeta.clock && timeControlSel.value) || undefined,
+    ruleset: (!inviteRoom && gameMeta.rulesets && rulesetSel.value) || undefined,
+    startPosition: (!inviteRoom && gameMeta.startPosition && startPositionInput.value.trim()) || undefined,
+    bot,
+    visibility: inviteRoom ? undefined : visibilitySel.value,
+    spectate: spectateOnly || undefined,
+    passcode: (inviteRoom ? joinPasscodeInput.value : accessSel.value === 'passcode' && roomPasscodeInput.value) || undefined,
+    inviteOnly: (!inviteRoom && accessSel.value === 'invite') || undefined,
+    invite: inviteToken || undefined,
+    entry: entryToken || undefined,
+    playerKey
   });
 });
 
+// Quick play: same name and time control as above, no room to share
+quickPlayBtn.addEventListener('click', () => {
+  const name = nameInput.value.trim();
+  if (!name) {
+    statusMsg.textContent = 'Please enter your name first.';
+    statusMsg.classList.add('error');
+    return;
+  }
+  myName = name;
+  statusMsg.classList.remove('error');
+  statusMsg.textContent = 'Looking for opponents…';
+  socket.emit('queue_join', {
+    gameType: gameId,
+    playerName: name,
+    timeControl: (gameMeta.clock && timeControlSel.value) || undefined,
+    ratingBand: (gameMeta.rated && ratingBandSel.value) || undefined,
+    playerKey
+  });
+  createBtn.disabled = true;
+  quickPlayBtn.classList.add('hidden');
+  cancelQueueBtn.classList.remove('hidden');
+});
+
+cancelQueueBtn.addEventListener('click', () => socket.emit('queue_leave'));
+
+accessSel.addEventListener('change', () => {
+  roomPasscodeInput.classList.toggle('hidden', accessSel.value !== 'passcode');
+});
+
+// Each invite link admits one person; make a fresh one for the next
+inviteBtn.addEventListener('click', () => socket.emit('create_invite'));
+
+lockBtn.addEventListener('click', () => socket.emit('lock_room', { locked: !roomLocked }));
+
+startPositionFile.addEventListener('change', () => {
+  const file = startPositionFile.files[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => { startPositionInput.value = reader.result; };
+  reader.readAsText(file);
+});
+
 nameInput.addEventListener('keydown', e => { if (e.key === 'Enter') createBtn.click(); });
 
+addBotBtn.addEventListener('click', () => socket.emit('add_bot'));
+
 startBtn.addEventListener('click', () => {
   socket.emit('start_game');
   startBtn.disabled = true;
   statusMsg.textContent = 'Starting game…';
 });
 
+// ── Room browser ─────────────────────────────────────────────────────
+function escHtml(s) {
+  return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+}
+
+async function refreshRoomList() {
+  if (myRoomId || roomBrowser.classList.contains('hidden')) return;
+  let rooms;
+  try {
+    rooms = await (await fetch(`/api/rooms?game=${gameId}`)).json();
+  } catch (_) { return; /* server restarting */ }
+  if (!rooms.length) {
+    roomListEl.innerHTML = '<p class="room-empty">No open rooms right now.</p>';
+    return;
+  }
+  roomListEl.innerHTML = rooms.map(r => {
+    const canJoin = r.status === 'waiting' && r.seats.filled < r.seats.total;
+    const details = [`${r.seats.filled}/${r.seats.total} seats`];
+    if (r.options.timeControl) details.push(r.options.timeControl);
+    details.push(r.status === 'started' ? 'in progress' : 'waiting');
+    if (r.spectators) details.push(`${r.spectators} watching`);
+    return `<div class="room-row">
+      <span class="room-host">${escHtml(r.host || 'Room')} <span class="room-id">${r.roomId}</span></span>
+      <span class="room-details">${details.join(' · ')}</span>
+      ${canJoin ? `<button class="room-btn" data-room="${r.roomId}">Join</button>` : ''}
+      <button class="room-btn room-btn-watch" data-room="${r.roomId}" data-spectate="1">Watch</button>
+    </div>`;
+  }).join('');
+}
+
+// One click: the invite lobby joins straight away with the name typed here
+roomListEl.addEventListener('click', e => {
+  const btn = e.target.closest('.room-btn');
+  if (!btn) return;
+  const name = nameInput.value.trim();
+  if (!name) {
+    statusMsg.textContent = 'Please enter your name first.';
+    statusMsg.classList.add('error');
+    nameInput.focus();
+    return;
+  }
+  const qs = new URLSearchParams({ room: btn.dataset.room, game: gameId, name });
+  if (btn.dataset.spectate) qs.set('spectate', '1');
+  window.location.href = `/join?${qs}`;
+});
+
+refreshRoomList();
+setInterval(refreshRoomList, 10_000);
+
 // ── Server events ────────────────────────────────────────────────────
-socket.on('joined', ({ roomId, color }) => {
+socket.on('joined', ({ roomId, color, seatToken, matched }) => {
   myRoomId = roomId;
   myColor = color;
+  // The game page reclaims this seat with the token (same tab → same sessionStorage)
+  sessionStorage.setItem(`seat:${roomId}`, seatToken);
 
   if (color === 'spectator') {
     statusMsg.textContent = 'You joined as a spectator.';
     createBtn.classList.add('hidden');
+    roomBrowser.classList.add('hidden');
     return;
   }
 
   const colorLabel = colorDisplayName(color);
   statusMsg.textContent = `You are the ${colorLabel} player.`;
   createBtn.classList.add('hidden');
+  quickPlayField.classList.add('hidden');
+  visibilityField.classList.add('hidden');
+  accessField.classList.add('hidden');
+  joinPasscodeField.classList.add('hidden');
+  roomBrowser.classList.add('hidden');
+  timeControlField.classList.add('hidden');
+  rulesetField.classList.add('hidden');
+  startPositionField.classList.add('hidden');
+  botField.classList.add('hidden');
   qrPanel.classList.remove('hidden');
 
-  if (!inviteRoom) {
-    // QR encodes /join?room=...&game=... so the joining player lands on the right lobby
-    const joinUrl = `${location.origin}/join?room=${roomId}&game=${gameId}`;
-    joinLinkEl.textContent = joinUrl;
-
-    qrContainer.innerHTML = '';
-    new QRCode(qrContainer, {
-      text: joinUrl,
-      width: 260,
-      height: 260,
-      correctLevel: QRCode.CorrectLevel.H
-    });
+  if (matched) {
+    qrLabel.textContent = 'Opponents found — starting the game…';
+  } else if (!inviteRoom && botLevelSel.value) {
+    qrLabel.textContent = 'Your opponent is the computer';
+  } else if (!inviteRoom && accessSel.value === 'invite') {
+    qrLabel.textContent = 'Share this one-time invite with your opponent';
+    inviteBtn.classList.remove('hidden');
+    socket.emit('create_invite');
+  } else if (!inviteRoom) {
+    if (accessSel.value === 'passcode') qrLabel.textContent = 'Share this QR code and the passcode with your opponent';
+    showJoinLink();
   }
 });
 
-socket.on('room_update', ({ players }) => {
+// QR encodes /join?room=...&game=... (plus an invite token) so the joining player lands on the right lobby
+function showJoinLink(invite) {
+  let joinUrl = `${location.origin}/join?room=${myRoomId}&game=${gameId}`;
+  if (invite) joinUrl += `&invite=${invite}`;
+  joinLinkEl.textContent = joinUrl;
+
+  qrContainer.innerHTML = '';
+  new QRCode(qrContainer, {
+    text: joinUrl,
+    width: 260,
+    height: 260,
+    correctLevel: QRCode.CorrectLevel.H
+  });
+}
+
+socket.on('invite_created', ({ token }) => showJoinLink(token));
+
+socket.on('queue_status', ({ waiting, position }) => {
+  const others = waiting - 1;
+  statusMsg.textContent = others
+    ? `Looking for opponents… ${others} other player${others > 1 ? 's' : ''} waiting (you are #${position}).`
+    : 'Looking for opponents… you are first in the queue.';
+});
+
+socket.on('queue_left', () => {
+  statusMsg.textContent = 'Search cancelled.';
+  createBtn.disabled = false;
+  quickPlayBtn.classList.remove('hidden');
+  cancelQueueBtn.classList.add('hidden');
+});
+
+socket.on('room_update', ({ players, tournament, locked }) => {
   renderPlayerList(players);
+  roomLocked = locked;
+  if (tournament) subtitleEl.textContent = `${tournament.name} · Round ${tournament.round}, Board ${tournament.board}`;
 
   const connectedCount = players.filter(p => p.connected).length;
   const allReady = connectedCount >= gameMeta.maxPlayers;
-  const isHost = gameMeta.hostColors.includes(myColor);
+  // The room's creator may hold any seat when playing the computer
+  const isHost = !inviteRoom || gameMeta.hostColors.includes(myColor);
+
+  addBotBtn.classList.toggle('hidden', !(isHost && gameMeta.addBots && players.length < gameMeta.maxPlayers));
+  // Once the seats are filled the host can shut the door on latecomers and spectators
+  lockBtn.classList.toggle('hidden', !(isHost && (locked || players.length >= gameMeta.maxPlayers)));
+  lockBtn.textContent = locked ? 'Unlock Room' : 'Lock Room';
 
   if (isHost && allReady) {
     startBtn.classList.remove('hidden');
@@ -149,14 +381,32 @@ socket.on('room_update', ({ players }) => {
 });
 
 socket.on('game_started', () => {
-  window.location.href = `${gameMeta.gamePage}?room=${myRoomId}&color=${myColor}&name=${encodeURIComponent(myName)}&game=${gameId}`;
+  const goToGame = () => {
+    window.location.href = `${gameMeta.gamePage}?room=${myRoomId}&color=${myColor}&name=${encodeURIComponent(myName)}&game=${gameId}`;
+  };
+  // Tell the server this socket is handing its seat to the game page,
+  // so its disconnect isn't announced to the other players
+  socket.emit('seat_handoff', goToGame);
+  setTimeout(goToGame, 1000); // fallback if the ack is lost
+});
+
+// Watching a game already in progress: go straight to the board
+socket.on('game_state', () => {
+  if (myColor !== 'spectator') return;
+  window.location.href = `${gameMeta.gamePage}?room=${myRoomId}&color=spectator&name=${encodeURIComponent(myName)}&game=${gameId}`;
 });
 
-socket.on('error', ({ message }) => {
+socket.on('error', ({ message, needsPasscode }) => {
+  if (needsPasscode) {
+    joinPasscodeField.classList.remove('hidden');
+    joinPasscodeInput.focus();
+  }
   statusMsg.textContent = message;
   statusMsg.classList.add('error');
   createBtn.disabled = false;
   startBtn.disabled = false;
+  quickPlayBtn.classList.remove('hidden');
+  cancelQueueBtn.classList.add('hidden');
 });
 
 socket.on('connect_error', () => {
@@ -184,9 +434,16 @@ function renderPlayerList(players) {
     const dot = document.createElement('span');
     dot.className = `player-dot dot-${p.color}`;
     const label = document.createElement('span');
-    label.textContent = `${p.name} (${colorDisplayName(p.color)})${p.connected ? '' : ' — disconnected'}`;
+    const rating = p.rating ? ` · ${p.rating}` : '';
+    label.textContent = `${p.name} (${colorDisplayName(p.color)}${rating})${p.connected ? '' : ' — disconnected'}`;
     div.appendChild(dot);
     div.appendChild(label);
     playerListEl.appendChild(div);
   });
 }
+
+// Arrived from the room browser: join with the name given there
+if (inviteRoom && inviteName) {
+  nameInput.value = inviteName;
+  createBtn.click();
+}
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Server notices shared by the lobby and game pages.
+ * Call attachNotices(socket) after the page creates its socket; an
+ * administrator's maintenance_notice, or a kicked message for this socket,
+ * appears as a banner at the top of the page.
+ */
+function attachNotices(socket) {
+  const banner = document.createElement('div');
+  banner.className = 'notice-banner hidden';
+  banner.setAttribute('role', 'alert');
+  banner.innerHTML = '<span class="notice-text"></span><button type="button" class="notice-close" aria-label="Dismiss">✕</button>';
+  document.body.prepend(banner);
+
+  const textEl = banner.querySelector('.notice-text');
+  banner.querySelector('.notice-close').addEventListener('click', () => banner.classList.add('hidden'));
+
+  function show(text, kind) {
+    textEl.textContent = text;
+    banner.classList.toggle('notice-error', kind === 'error');
+    banner.classList.remove('hidden');
+  }
+
+  socket.on('maintenance_notice', ({ message }) => show(`📢 ${message}`, 'info'));
+  socket.on('kicked', ({ reason }) => show(`You were removed from this room: ${reason}`, 'error'));
+}
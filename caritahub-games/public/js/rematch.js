@@ -0,0 +1,95 @@
+'use strict';
+
+/**
+ * Rematch controls shared by the game pages.
+ * Call attachRematch(socket, container) with the game-over panel to add a
+ * Rematch button, the series score and the accept/decline prompt to it.
+ * When the rematch starts the page reloads into the player's new seat.
+ */
+function attachRematch(socket, container) {
+  const params = new URLSearchParams(window.location.search);
+  const roomId = params.get('room');
+  const myName = params.get('name') || '';
+  const spectator = params.get('color') === 'spectator';
+
+  const box = document.createElement('div');
+  box.className = 'rematch-box';
+  box.innerHTML = `
+    <p class="rematch-series hidden"></p>
+    <p class="rematch-status hidden"></p>
+    <div class="overlay-btns rematch-prompt hidden">
+      <button type="button" class="btn btn-success rematch-accept">Accept Rematch</button>
+      <button type="button" class="btn btn-danger rematch-decline">Decline</button>
+    </div>
+    <button type="button" class="btn btn-success rematch-request">Rematch</button>`;
+  container.insertBefore(box, container.querySelector('.btn-primary'));
+
+  const seriesEl  = box.querySelector('.rematch-series');
+  const statusEl  = box.querySelector('.rematch-status');
+  const promptEl  = box.querySelector('.rematch-prompt');
+  const requestBtn = box.querySelector('.rematch-request');
+  if (spectator) requestBtn.classList.add('hidden');
+
+  requestBtn.addEventListener('click', () => {
+    socket.emit('request_rematch');
+    requestBtn.disabled = true;
+    setStatus('Waiting for the other players…');
+  });
+  box.querySelector('.rematch-accept').addEventListener('click', () => {
+    socket.emit('accept_rematch');
+    promptEl.classList.add('hidden');
+    setStatus('Rematch accepted — starting soon…');
+  });
+  box.querySelector('.rematch-decline').addEventListener('click', () => {
+    socket.emit('decline_rematch');
+    promptEl.classList.add('hidden');
+  });
+
+  socket.on('game_over', ({ series, tournament }) => {
+    showSeries(series);
+    // Tournament pairings are fixed; the result goes to the standings instead
+    if (tournament) {
+      requestBtn.classList.add('hidden');
+      setStatus(`Tournament game — the result has been added to ${tournament.name}.`);
+    }
+  });
+
+  socket.on('rematch_requested', ({ from, agreed, waitingFor }) => {
+    if (spectator) return setStatus(`${from} wants a rematch.`);
+    if (agreed.includes(myName)) {
+      setStatus(`Waiting for ${waitingFor.join(', ')}…`);
+    } else {
+      setStatus(`${from} wants a rematch.`);
+      requestBtn.classList.add('hidden');
+      promptEl.classList.remove('hidden');
+    }
+  });
+
+  socket.on('rematch_declined', ({ by }) => {
+    setStatus(`${by} declined the rematch.`);
+    promptEl.classList.add('hidden');
+    if (!spectator) requestBtn.classList.remove('hidden');
+    requestBtn.disabled = false;
+  });
+
+  socket.on('rematch_started', ({ color, seatToken }) => {
+    if (seatToken) sessionStorage.setItem(`seat:${roomId}`, seatToken);
+    params.set('color', color);
+    const reload = () => { window.location.href = `${window.location.pathname}?${params}`; };
+    // Same handoff as the lobby: the rejoining page takes the seat over quietly
+    socket.emit('seat_handoff', reload);
+    setTimeout(reload, 1000);
+  });
+
+  function showSeries(series) {
+    if (!series || series.games < 1) return;
+    const scores = Object.entries(series.points).map(([name, pts]) => `${name} ${pts}`).join(' · ');
+    seriesEl.textContent = `Series after ${series.games} game${series.games > 1 ? 's' : ''}: ${scores}`;
+    seriesEl.classList.remove('hidden');
+  }
+
+  function setStatus(text) {
+    statusEl.textContent = text;
+    statusEl.classList.remove('hidden');
+  }
+}
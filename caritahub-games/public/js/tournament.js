@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Tournament page.
+ *   /tournament.html          — list of tournaments and a form to create one
+ *   /tournament.html?id=…     — registration, standings and every round's pairings
+ * The organiser key returned on creation is kept in localStorage so the
+ * creator's browser can start the tournament and enter missing results; the
+ * entry token returned on registration is kept the same way and added to the
+ * player's own game links so they can take their reserved seat.
+ */
+
+const params = new URLSearchParams(window.location.search);
+const tournamentId = params.get('id');
+const keyName = id => `tournament-key:${id}`;
+const entryName = id => `tournament-entry:${id}`;
+
+const GAME_NAMES = { chess: 'Chess', xiangqi: '象棋 Xiangqi' };
+const FORMAT_NAMES = { knockout: 'Knockout', roundrobin: 'Round robin', swiss: 'Swiss' };
+const STATUS_NAMES = { registering: 'Registration open', running: 'In progress', finished: 'Finished' };
+const RESULT_NAMES = { '1-0': '1 – 0', '0-1': '0 – 1', '1/2-1/2': '½ – ½' };
+
+function escHtml(s) {
+  return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+}
+
+function showMsg(el, text, isError = false) {
+  el.textContent = text;
+  el.classList.toggle('error', isError);
+}
+
+async function api(path, body, key) {
+  const opts = body === undefined ? {} : {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key ? { 'X-Organiser-Key': key } : {}) },
+    body: JSON.stringify(body)
+  };
+  const res = await fetch(`/api/tournaments${path}`, opts);
+  return res.json();
+}
+
+// ── List + create ─────────────────────────────────────────────────────
+
+async function showList() {
+  document.getElementById('listView').classList.remove('hidden');
+  const list = await api('');
+  const el = document.getElementById('tnList');
+  if (!list.length) return;
+  el.innerHTML = list.map(t => {
+    const progress = t.status === 'running' ? ` · round ${t.round}/${t.totalRounds}`
+      : t.status === 'finished' ? ` · won by ${escHtml(t.winner)}` : '';
+    return `<a class="lb-row tn-link" href="/tournament.html?id=${t.id}">
+      <span class="lb-name">${escHtml(t.name)}</span>
+      <span class="lb-record">${GAME_NAMES[t.gameType]} · ${FORMAT_NAMES[t.format]} · ${t.players} players${progress}</span>
+      <span class="lb-wins">${STATUS_NAMES[t.status]}</span>
+    </a>`;
+  }).join('');
+}
+
+const formatSel = document.getElementById('newFormat');
+formatSel.addEventListener('change', () => {
+  document.getElementById('roundsField').classList.toggle('hidden', formatSel.value !== 'swiss');
+});
+
+document.getElementById('createBtn').addEventListener('click', async () => {
+  const msg = document.getElementById('createMsg');
+  const result = await api('', {
+    name: document.getElementById('newName').value,
+    gameType: document.getElementById('newGame').value,
+    format: formatSel.value,
+    rounds: document.getElementById('newRounds').value || undefined,
+    timeControl: document.getElementById('newTimeControl').value || undefined
+  });
+  if (result.error) return showMsg(msg, result.error, true);
+  localStorage.setItem(keyName(result.tournament.id), result.organiserKey);
+  window.location.href = `/tournament.html?id=${result.tournament.id}`;
+});
+
+// ── One tournament ────────────────────────────────────────────────────
+
+let current = null;
+
+async function refresh() {
+  const t = await api(`/${tournamentId}`);
+  if (t.error) {
+    document.getElementById('tnSubtitle').textContent = t.error;
+    return;
+  }
+  current = t;
+  render(t);
+}
+
+function render(t) {
+  const key = localStorage.getItem(keyName(t.id));
+  document.title = `CaritaHub Games — ${t.name}`;
+  document.getElementById('tnTitle').textContent = t.name;
+  let subtitle = `${GAME_NAMES[t.gameType]} · ${FORMAT_NAMES[t.format]}`;
+  if (t.timeControl) subtitle += ` · ${t.timeControl}`;
+  subtitle += ` · ${STATUS_NAMES[t.status]}`;
+  if (t.status === 'running') subtitle += ` — round ${t.rounds.length} of ${t.totalRounds}`;
+  if (t.winner) subtitle += ` — 🏆 ${t.winner}`;
+  document.getElementById('tnSubtitle').textContent = subtitle;
+
+  document.getElementById('registerCard').classList.toggle('hidden', t.status !== 'registering');
+  document.getElementById('organiserCard').classList.toggle('hidden', !key || t.status === 'finished');
+  document.getElementById('startBtn').classList.toggle('hidden', t.status !== 'registering');
+
+  renderStandings(t);
+  renderRounds(t, key && t.status === 'running');
+}
+
+function renderStandings(t) {
+  const el = document.getElementById('standings');
+  if (!t.standings.length) {
+    el.innerHTML = '<p class="lb-empty">Nobody has registered yet.</p>';
+    return;
+  }
+  el.innerHTML = t.standings.map(s => {
+    const tieBreaks = t.format === 'knockout' ? '' : ` · Buchholz ${s.buchholz} · SB ${s.sonnebornBerger}`;
+    return `<div class="lb-row">
+      <span class="lb-rank">${t.status === 'registering' ? '' : s.rank}</span>
+      <span class="lb-name">${escHtml(s.name)}</span>
+      <span class="lb-record">${s.wins}W ${s.draws}D ${s.losses}L${tieBreaks}</span>
+      <span class="lb-wins">${s.points} pt${s.points !== 1 ? 's' : ''}</span>
+    </div>`;
+  }).join('');
+}
+
+/** Knockout rounds side by side as a bracket; other formats as a list of rounds. */
+function renderRounds(t, canEnterResults) {
+  const el = document.getElementById('rounds');
+  document.getElementById('roundsTitle').classList.toggle('hidden', !t.rounds.length);
+  el.classList.toggle('tn-bracket', t.format === 'knockout');
+  el.innerHTML = t.rounds.map((round, r) => {
+    const isCurrent = r === t.rounds.length - 1;
+    const title = t.format === 'knockout' ? knockoutTitle(r, t.totalRounds) : `Round ${r + 1}`;
+    return `<div class="tn-round">
+      <p class="tn-round-title">${title}</p>
+      ${round.map((p, b) => pairingHtml(t, p, r, b, canEnterResults && isCurrent)).join('')}
+    </div>`;
+  }).join('');
+}
+
+function knockoutTitle(r, total) {
+  const left = total - r;
+  return left === 1 ? 'Final' : left === 2 ? 'Semi-finals' : left === 3 ? 'Quarter-finals' : `Round ${r + 1}`;
+}
+
+function pairingHtml(t, p, r, b, canEnterResult) {
+  if (p.black === null) {
+    return `<div class="tn-pairing"><span class="tn-player">${escHtml(p.white)}</span><span class="tn-result">bye</span></div>`;
+  }
+  let action = '';
+  if (p.result) {
+    action = `<span class="tn-result">${RESULT_NAMES[p.result]}</span>`;
+  } else {
+    const entry = JSON.parse(localStorage.getItem(entryName(t.id)) || 'null');
+    const mine = entry && (entry.name === p.white || entry.name === p.black);
+    const query = new URLSearchParams({ room: p.roomId, game: t.gameType });
+    if (mine) {
+      query.set('name', entry.name);
+      query.set('entry', entry.token);
+    }
+    action = `<a class="tn-play" href="/join?${escHtml(query)}">${mine ? 'Play' : 'Watch'}</a>`;
+    if (canEnterResult) {
+      action += Object.entries(RESULT_NAMES).map(([value, label]) =>
+        `<button class="tn-enter" data-round="${r + 1}" data-board="${b + 1}" data-result="${value}">${label}</button>`).join('');
+    }
+  }
+  return `<div class="tn-pairing">
+    <span class="tn-board">${b + 1}</span>
+    <span class="tn-player">${escHtml(p.white)}</span>
+    <span class="tn-vs">vs</span>
+    <span class="tn-player">${escHtml(p.black)}</span>
+    ${action}
+  </div>`;
+}
+
+document.getElementById('registerBtn').addEventListener('click', async () => {
+  const msg = document.getElementById('registerMsg');
+  const name = document.getElementById('playerName').value;
+  const result = await api(`/${tournamentId}/players`, { name });
+  if (result.error) return showMsg(msg, result.error, true);
+  localStorage.setItem(entryName(tournamentId), JSON.stringify({ name: name.trim(), token: result.entryToken }));
+  showMsg(msg, `Registered as ${name.trim()}. Your games will open from this page in this browser.`);
+  render(result.tournament);
+});
+
+document.getElementById('startBtn').addEventListener('click', async () => {
+  const msg = document.getElementById('organiserMsg');
+  const result = await api(`/${tournamentId}/start`, {}, localStorage.getItem(keyName(tournamentId)));
+  if (result.error) return showMsg(msg, result.error, true);
+  showMsg(msg, 'Round 1 is paired. Players can now open their games below.');
+  render(result.tournament);
+});
+
+// Organiser result entry (no-shows, games played over the board)
+document.getElementById('rounds').addEventListener('click', async e => {
+  const btn = e.target.closest('.tn-enter');
+  if (!btn) return;
+  const { round, board, result } = btn.dataset;
+  const pairing = current.rounds[round - 1][board - 1];
+  if (!confirm(`Record ${pairing.white} vs ${pairing.black} as ${RESULT_NAMES[result]}?`)) return;
+  const msg = document.getElementById('organiserMsg');
+  const res = await api(`/${tournamentId}/results`, { round: Number(round), board: Number(board), result },
+    localStorage.getItem(keyName(tournamentId)));
+  if (res.error) return showMsg(msg, res.error, true);
+  showMsg(msg, '');
+  render(res.tournament);
+});
+
+if (tournamentId) {
+  document.getElementById('detailView').classList.remove('hidden');
+  refresh();
+  setInterval(refresh, 15_000); // results arrive as games finish
+} else {
+  showList();
+}
@@ -4,6 +4,7 @@ const http = require('http');
 const { Server } = require('socket.io');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const crypto = require('crypto');
 
 const app = express();
 const httpServer = http.createServer(app);
@@ -34,10 +35,201 @@ app.get('/join', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'lobby.html'));
 });
 
-// Leaderboard endpoint
+// Leaderboard endpoints
+// ?period=all|week|month  &limit=(1-100)  &offset=
+function pageParams(query) {
+  const limit  = Math.min(100, Math.max(1, parseInt(query.limit) || 10));
+  const offset = Math.max(0, parseInt(query.offset) || 0);
+  return { period: query.period || 'all', limit, offset };
+}
+
+// Per-game boards (first page of each)
 app.get('/api/leaderboard', (req, res) => {
   const leaderboard = require('./src/leaderboard');
-  res.json(leaderboard.getAllLeaderboards(10));
+  const { period, limit } = pageParams(req.query);
+  res.json(leaderboard.getAllLeaderboards(limit, period));
+});
+
+// One board; :game is a game type or 'all' for every game combined
+app.get('/api/leaderboard/:game', (req, res) => {
+  const leaderboard = require('./src/leaderboard');
+  const registry = require('./src/engine/registry');
+  const game = req.params.game;
+  if (game !== 'all' && !registry.getGame(game)) {
+    return res.status(404).json({ error: 'Unknown game type' });
+  }
+  res.json(leaderboard.getLeaderboard(game === 'all' ? null : game, pageParams(req.query)));
+});
+
+// Ratings endpoint (Glicko-2, rated games only) — ?limit=&offset=
+app.get('/api/ratings/:game', (req, res) => {
+  const ratings = require('./src/ratings');
+  const registry = require('./src/engine/registry');
+  const def = registry.getGame(req.params.game);
+  if (!def || !def.rated) return res.status(404).json({ error: 'No ratings for this game type' });
+  const { limit, offset } = pageParams(req.query);
+  res.json(ratings.getRatings(def.id, { limit, offset }));
+});
+
+// Game record download — :id is an archived game id (sent with game_over),
+// or a room id for the game currently in progress there
+app.get('/api/games/:id.pgn', (req, res) => {
+  const gameArchive = require('./src/gameArchive');
+  const socketEvents = require('./src/rooms/socketEvents');
+  const saved = gameArchive.getGame(req.params.id);
+  const pgn = saved ? saved.pgn : socketEvents.livePgn(req.params.id);
+  if (!pgn) return res.status(404).json({ error: 'Game not found' });
+  res.type('application/x-chess-pgn').attachment(`${req.params.id}.pgn`).send(pgn);
+});
+
+// Room browser — public rooms with players in them; ?game= to filter by game type
+app.get('/api/rooms', (req, res) => {
+  const socketEvents = require('./src/rooms/socketEvents');
+  const registry = require('./src/engine/registry');
+  const game = req.query.game;
+  if (game && !registry.getGame(game)) return res.status(404).json({ error: 'Unknown game type' });
+  res.json(socketEvents.publicRooms(game || null));
+});
+
+// Tournament endpoints — setup calls answer { tournament } or { error };
+// start and results need the X-Organiser-Key returned when the tournament was created
+app.use('/api/tournaments', express.json());
+
+function sendTournament(res, result, status = 200) {
+  if (!result.error) return res.status(status).json(result);
+  const code = result.error === 'Tournament not found' ? 404 : result.forbidden ? 403 : 400;
+  res.status(code).json({ error: result.error });
+}
+
+app.get('/api/tournaments', (req, res) => {
+  const tournaments = require('./src/tournaments');
+  res.json(tournaments.listTournaments());
+});
+
+// Body: { name, gameType, format: knockout|roundrobin|swiss, rounds? (swiss), timeControl? }
+app.post('/api/tournaments', (req, res) => {
+  const tournaments = require('./src/tournaments');
+  sendTournament(res, tournaments.createTournament(req.body), 201);
+});
+
+// Standings, rounds and pairings (with each game's roomId)
+app.get('/api/tournaments/:id', (req, res) => {
+  const tournaments = require('./src/tournaments');
+  const tournament = tournaments.getTournament(req.params.id);
+  if (!tournament) return res.status(404).json({ error: 'Tournament not found' });
+  res.json(tournament);
+});
+
+// Body: { name } → { tournament, entryToken }; the token unlocks the player's reserved seats
+app.post('/api/tournaments/:id/players', (req, res) => {
+  const tournaments = require('./src/tournaments');
+  sendTournament(res, tournaments.register(req.params.id, (req.body || {}).name));
+});
+
+app.post('/api/tournaments/:id/start', (req, res) => {
+  const tournaments = require('./src/tournaments');
+  sendTournament(res, tournaments.start(req.params.id, req.get('X-Organiser-Key')));
+});
+
+// Body: { round, board, result: '1-0'|'0-1'|'1/2-1/2' } — e.g. for a game that was never played
+app.post('/api/tournaments/:id/results', (req, res) => {
+  const tournaments = require('./src/tournaments');
+  sendTournament(res, tournaments.enterResult(req.params.id, req.get('X-Organiser-Key'), req.body));
+});
+
+// Usage trends from ClickHouse — ?days=(1-365, default 30)
+async function sendStats(req, res, query) {
+  const stats = require('./src/analytics/stats');
+  if (!stats.available()) return res.status(503).json({ error: 'Analytics database is not configured' });
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+  try {
+    res.json({ days, rows: await stats[query](days) });
+  } catch (e) {
+    console.warn(`Stats query ${query} failed:`, e.message);
+    res.status(502).json({ error: 'Analytics database is unavailable' });
+  }
+}
+
+// Distinct players per day
+app.get('/api/stats/active-players', (req, res) => sendStats(req, res, 'activePlayers'));
+// Games started and finished per day and game type
+app.get('/api/stats/games', (req, res) => sendStats(req, res, 'gamesPerType'));
+// Average game length per game type
+app.get('/api/stats/game-length', (req, res) => sendStats(req, res, 'gameLength'));
+
+// ── Admin API ──────────────────────────────────────────────────────
+// Every request needs X-Admin-Secret matching ADMIN_SECRET; without that
+// variable the admin API is switched off.
+function requireAdmin(req, res, next) {
+  const secret = process.env.ADMIN_SECRET;
+  if (!secret) return res.status(404).json({ error: 'Admin API is disabled' });
+  const given = Buffer.from(req.get('X-Admin-Secret') || '');
+  const expected = Buffer.from(secret);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
+app.use('/api/admin', requireAdmin, express.json());
+
+// All rooms: players (with socket ids), status, age, engine snapshot
+app.get('/api/admin/rooms', (req, res) => {
+  const socketEvents = require('./src/rooms/socketEvents');
+  res.json(socketEvents.adminRooms());
+});
+
+// Full server-side state of one room
+app.get('/api/admin/rooms/:id', (req, res) => {
+  const socketEvents = require('./src/rooms/socketEvents');
+  const dump = socketEvents.dumpRoom(req.params.id);
+  if (!dump) return res.status(404).json({ error: 'Room not found' });
+  res.json(dump);
+});
+
+// Body: { winner: <seat colour>|'draw', reason? }
+app.post('/api/admin/rooms/:id/end', (req, res) => {
+  const socketEvents = require('./src/rooms/socketEvents');
+  const result = socketEvents.forceEnd(io, req.params.id, req.body);
+  if (result.error) return res.status(result.error === 'Room not found' ? 404 : 400).json(result);
+  res.json(result);
+});
+
+// Body: { reason? }
+app.post('/api/admin/sockets/:id/kick', (req, res) => {
+  const socketEvents = require('./src/rooms/socketEvents');
+  const kicked = socketEvents.kickSocket(io, req.params.id, (req.body || {}).reason);
+  if (!kicked) return res.status(404).json({ error: 'Socket not connected' });
+  res.json(kicked);
+});
+
+// Kicks the socket and bans its address. Body: { reason?, minutes? } — no minutes = until lifted
+app.post('/api/admin/sockets/:id/ban', (req, res) => {
+  const socketEvents = require('./src/rooms/socketEvents');
+  const bans = require('./src/rooms/bans');
+  const { reason, minutes } = req.body || {};
+  const kicked = socketEvents.kickSocket(io, req.params.id, reason || 'Banned by an administrator');
+  if (!kicked) return res.status(404).json({ error: 'Socket not connected' });
+  res.json(bans.ban(kicked.ip, { reason: reason || '', minutes: parseInt(minutes) || null }));
+});
+
+app.get('/api/admin/bans', (req, res) => {
+  const bans = require('./src/rooms/bans');
+  res.json(bans.list());
+});
+
+app.delete('/api/admin/bans/:ip', (req, res) => {
+  const bans = require('./src/rooms/bans');
+  if (!bans.lift(req.params.ip)) return res.status(404).json({ error: 'Not banned' });
+  res.json({ lifted: req.params.ip });
+});
+
+// Body: { message } — shown as a banner on every open page
+app.post('/api/admin/notice', (req, res) => {
+  const socketEvents = require('./src/rooms/socketEvents');
+  const message = typeof (req.body || {}).message === 'string' ? req.body.message.trim().slice(0, 500) : '';
+  if (!message) return res.status(400).json({ error: 'message is required' });
+  socketEvents.broadcastNotice(io, message);
+  res.json({ sent: message, connections: io.engine.clientsCount });
 });
 
 // Health endpoint
@@ -50,6 +242,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus scrape endpoint (rooms, sockets, games, invalid moves, latencies)
+app.get('/metrics', (req, res) => {
+  const metrics = require('./src/metrics');
+  res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
+
 // Socket.IO setup — room events wired in rooms module
 require('./src/rooms/socketEvents')(io);
 
@@ -58,4 +256,12 @@ httpServer.listen(PORT, () => {
   console.log(`caritahub-games listening on port ${PORT}`);
 });
 
+// Write out buffered analytics events before exiting (give up after 5 s)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => {
+    setTimeout(() => process.exit(0), 5000).unref();
+    require('./src/analytics').flush().finally(() => process.exit(0));
+  });
+}
+
 module.exports = { io };
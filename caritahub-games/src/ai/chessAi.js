@@ -0,0 +1,154 @@
+'use strict';
+
+/**
+ * Chess move search for the computer opponent.
+ *
+ * Alpha-beta search (./search.js) over the move generator in engine/chess.js.
+ * Positions are scored by material plus piece-square tables (Michniewski's
+ * simplified evaluation).
+ * Runs inside the AI worker (see ./index.js), never on the socket thread.
+ *
+ *   chooseMove(snapshot, level) → { from, to, promotion } | null
+ *     snapshot: engine.serialize() output; level: 'easy' | 'medium' | 'hard'
+ */
+
+const { rules } = require('../engine/chess');
+const search = require('./search');
+
+// slack: centipawns a move may trail the best one and still be picked at random
+const LEVELS = {
+  easy:   { maxDepth: 1, timeMs: 300,  slack: 150, quiescence: false },
+  medium: { maxDepth: 3, timeMs: 1000, slack: 25,  quiescence: false },
+  hard:   { maxDepth: 5, timeMs: 2500, slack: 0,   quiescence: true }
+};
+
+const VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+
+// ── Piece-square tables (White's view, row 0 = rank 8) ────────────────
+
+const PST = {
+  p: [
+    [  0,  0,  0,  0,  0,  0,  0,  0],
+    [ 50, 50, 50, 50, 50, 50, 50, 50],
+    [ 10, 10, 20, 30, 30, 20, 10, 10],
+    [  5,  5, 10, 25, 25, 10,  5,  5],
+    [  0,  0,  0, 20, 20,  0,  0,  0],
+    [  5, -5,-10,  0,  0,-10, -5,  5],
+    [  5, 10, 10,-20,-20, 10, 10,  5],
+    [  0,  0,  0,  0,  0,  0,  0,  0]
+  ],
+  n: [
+    [-50,-40,-30,-30,-30,-30,-40,-50],
+    [-40,-20,  0,  0,  0,  0,-20,-40],
+    [-30,  0, 10, 15, 15, 10,  0,-30],
+    [-30,  5, 15, 20, 20, 15,  5,-30],
+    [-30,  0, 15, 20, 20, 15,  0,-30],
+    [-30,  5, 10, 15, 15, 10,  5,-30],
+    [-40,-20,  0,  5,  5,  0,-20,-40],
+    [-50,-40,-30,-30,-30,-30,-40,-50]
+  ],
+  b: [
+    [-20,-10,-10,-10,-10,-10,-10,-20],
+    [-10,  0,  0,  0,  0,  0,  0,-10],
+    [-10,  0,  5, 10, 10,  5,  0,-10],
+    [-10,  5,  5, 10, 10,  5,  5,-10],
+    [-10,  0, 10, 10, 10, 10,  0,-10],
+    [-10, 10, 10, 10, 10, 10, 10,-10],
+    [-10,  5,  0,  0,  0,  0,  5,-10],
+    [-20,-10,-10,-10,-10,-10,-10,-20]
+  ],
+  r: [
+    [  0,  0,  0,  0,  0,  0,  0,  0],
+    [  5, 10, 10, 10, 10, 10, 10,  5],
+    [ -5,  0,  0,  0,  0,  0,  0, -5],
+    [ -5,  0,  0,  0,  0,  0,  0, -5],
+    [ -5,  0,  0,  0,  0,  0,  0, -5],
+    [ -5,  0,  0,  0,  0,  0,  0, -5],
+    [ -5,  0,  0,  0,  0,  0,  0, -5],
+    [  0,  0,  0,  5,  5,  0,  0,  0]
+  ],
+  q: [
+    [-20,-10,-10, -5, -5,-10,-10,-20],
+    [-10,  0,  0,  0,  0,  0,  0,-10],
+    [-10,  0,  5,  5,  5,  5,  0,-10],
+    [ -5,  0,  5,  5,  5,  5,  0, -5],
+    [  0,  0,  5,  5,  5,  5,  0, -5],
+    [-10,  5,  5,  5,  5,  5,  0,-10],
+    [-10,  0,  5,  0,  0,  0,  0,-10],
+    [-20,-10,-10, -5, -5,-10,-10,-20]
+  ],
+  k: [
+    [-30,-40,-40,-50,-50,-40,-40,-30],
+    [-30,-40,-40,-50,-50,-40,-40,-30],
+    [-30,-40,-40,-50,-50,-40,-40,-30],
+    [-30,-40,-40,-50,-50,-40,-40,-30],
+    [-20,-30,-30,-40,-40,-30,-30,-20],
+    [-10,-20,-20,-20,-20,-20,-20,-10],
+    [ 20, 20,  0,  0,  0,  0, 20, 20],
+    [ 20, 30, 10,  0,  0, 10, 30, 20]
+  ],
+  // King in the endgame: head for the centre
+  kEnd: [
+    [-50,-40,-30,-20,-20,-30,-40,-50],
+    [-30,-20,-10,  0,  0,-10,-20,-30],
+    [-30,-10, 20, 30, 30, 20,-10,-30],
+    [-30,-10, 30, 40, 40, 30,-10,-30],
+    [-30,-10, 30, 40, 40, 30,-10,-30],
+    [-30,-10, 20, 30, 30, 20,-10,-30],
+    [-30,-30,  0,  0,  0,  0,-30,-30],
+    [-50,-30,-30,-30,-30,-30,-30,-50]
+  ]
+};
+
+// ── Evaluation ────────────────────────────────────────────────────────
+
+/** Static score in centipawns from the side to move's point of view. */
+function evaluate(state) {
+  const { board } = state;
+  let heavy = 0;
+  for (const row of board)
+    for (const p of row)
+      if (p && 'nbrq'.includes(p.toLowerCase())) heavy += VALUES[p.toLowerCase()];
+  const endgame = heavy <= 2600;
+
+  let score = 0;
+  for (let r = 0; r < 8; r++)
+    for (let c = 0; c < 8; c++) {
+      const p = board[r][c];
+      if (!p) continue;
+      const kind = p.toLowerCase();
+      const white = p === p.toUpperCase();
+      const table = kind === 'k' && endgame ? PST.kEnd : PST[kind];
+      const value = VALUES[kind] + (white ? table[r][c] : table[7 - r][c]);
+      score += white ? value : -value;
+    }
+  return state.turn === 'w' ? score : -score;
+}
+
+/** Most valuable victim first, then least valuable attacker; promotions early. */
+function orderKey(state, m) {
+  const victim = state.board[m.to[0]][m.to[1]];
+  const attacker = state.board[m.from[0]][m.from[1]].toLowerCase();
+  let k = victim ? 10 * VALUES[victim.toLowerCase()] - VALUES[attacker] : 0;
+  if (m.promotion) k += VALUES[m.promotion.toLowerCase()];
+  return k;
+}
+
+// ── Search ────────────────────────────────────────────────────────────
+
+const game = {
+  legalMoves: rules.allLegalMoves,
+  play: (state, m) => rules.applyMove(state, m.from, m.to, m.promotion),
+  evaluate,
+  mated: state => rules.isInCheck(state.board, state, state.turn === 'w'),
+  isCapture: (state, m) => state.board[m.to[0]][m.to[1]] !== null,
+  orderKey,
+  drawn: state => state.halfmove >= 100
+};
+
+function chooseMove(snapshot, level) {
+  const move = search.chooseMove(game, snapshot.state, LEVELS[level] || LEVELS.medium);
+  return move && { from: move.from, to: move.to, promotion: move.promotion };
+}
+
+module.exports = { chooseMove, LEVELS };
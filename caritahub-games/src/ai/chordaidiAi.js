@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Chor Dai Di play selection for computer seats.
+ *
+ * Enumerates every combination in the hand and checks it against the table
+ * with classifyCombo/beats from engine/chordaidi.js, then picks by cost: the
+ * lowest cards first, five-card hands preferred when leading (they shed the
+ * most cards), 2s held back and pairs/triples kept whole unless an opponent
+ * is about to go out or the bot is close to finishing itself.
+ * Runs inside the AI worker (see ./index.js).
+ *
+ *   choosePlay(snapshot, level, seat) → [cardId] to play, or null to pass
+ *     snapshot: engine.serialize() output; level: 'standard' (the only one so far)
+ */
+
+const { rules } = require('../engine/chordaidi');
+
+const TWO = 12;                 // rank index of the 2, the highest rank
+const DANGER_CARDS = 3;         // an opponent with this many cards left may go out soon
+const BREAK_COST = 20;          // splitting a pair/triple to play part of it
+const TWO_COST = 40;            // spending a 2 before it is needed
+const LEAD_CARD_BONUS = 8;      // per card, when leading: shed as many as possible
+
+const rankOf = id => Math.floor(id / 4);
+
+/** Every k-card subset of ids. */
+function subsets(ids, k, start = 0, picked = [], out = []) {
+  if (picked.length === k) { out.push([...picked]); return out; }
+  for (let i = start; i <= ids.length - (k - picked.length); i++) {
+    picked.push(ids[i]);
+    subsets(ids, k, i + 1, picked, out);
+    picked.pop();
+  }
+  return out;
+}
+
+/** All valid combos in a hand: [{ cardIds, combo }]. */
+function allCombos(hand) {
+  const found = [];
+  for (const k of [1, 2, 3, 5]) {
+    for (const cardIds of subsets(hand, k)) {
+      const combo = rules.classifyCombo(cardIds);
+      if (combo) found.push({ cardIds, combo });
+    }
+  }
+  return found;
+}
+
+/**
+ * How reluctant the bot is to play these cards: higher for high cards,
+ * broken pairs/triples and 2s (unless `urgent`).
+ */
+function cost(cardIds, combo, hand, { leading, urgent }) {
+  let c = combo.key;
+  const used = new Map();
+  cardIds.forEach(id => used.set(rankOf(id), (used.get(rankOf(id)) || 0) + 1));
+  for (const [rank, n] of used) {
+    const held = hand.filter(id => rankOf(id) === rank).length;
+    if (!urgent && held >= 2 && n < held) c += BREAK_COST;
+    if (!urgent && rank === TWO) c += TWO_COST * n;
+  }
+  if (leading) c -= LEAD_CARD_BONUS * cardIds.length;
+  return c;
+}
+
+function choosePlay(snapshot, level, seat) {
+  const hand = snapshot.hands[seat];
+  const table = snapshot.tableCardIds ? rules.classifyCombo(snapshot.tableCardIds) : null;
+  const leading = table === null;
+
+  let options = allCombos(hand);
+  if (snapshot.roundFirst) options = options.filter(o => o.cardIds.includes(0)); // 3♦ opens the game
+  if (!leading) options = options.filter(o => rules.beats(o.combo, table));
+  if (options.length === 0) return null;
+
+  // Going out beats any strategy
+  const finish = options.find(o => o.cardIds.length === hand.length);
+  if (finish) return finish.cardIds;
+
+  const opponentsLeft = snapshot.hands.filter((h, s) => s !== seat).map(h => h.length);
+  const urgent = Math.min(...opponentsLeft) <= DANGER_CARDS || hand.length <= DANGER_CARDS + 1;
+  const ctx = { leading, urgent };
+  const ranked = options
+    .map(o => ({ ...o, cost: cost(o.cardIds, o.combo, hand, ctx) }))
+    .sort((a, b) => a.cost - b.cost);
+  const best = ranked[0];
+
+  // Following: rather pass than break up a pair or spend a 2 for nothing
+  if (!leading && !urgent) {
+    const breaksOrSpends = best.cardIds.some(id => rankOf(id) === TWO) ||
+      best.cardIds.some(id => {
+        const held = hand.filter(h => rankOf(h) === rankOf(id)).length;
+        const n = best.cardIds.filter(b => rankOf(b) === rankOf(id)).length;
+        return held >= 2 && n < held;
+      });
+    if (breaksOrSpends) return null;
+  }
+  return best.cardIds;
+}
+
+module.exports = { choosePlay };
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Computer opponents. Searches run on a worker thread so a bot thinking for
+ * a couple of seconds never stalls the socket server.
+ *
+ *   think(gameType, snapshot, level, seat?) → Promise<move | null>
+ *     snapshot: engine.serialize() output; level: one of LEVELS[gameType];
+ *     seat: the seat to play for, where the snapshot doesn't imply it
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Difficulty levels per game, weakest first (the searchers' settings live in
+// chessAi.js, xiangqiAi.js …, which are only loaded on the worker)
+const LEVELS = {
+  chess: ['easy', 'medium', 'hard'],
+  xiangqi: ['beginner', 'intermediate', 'strong'],
+  chordaidi: ['standard']
+};
+
+let worker = null;
+let nextId = 1;
+const pending = new Map(); // job id → { resolve, reject }
+
+function getWorker() {
+  if (worker) return worker;
+  const w = new Worker(path.join(__dirname, 'worker.js'));
+  w.unref(); // an idle bot must not keep the process alive
+  // A crashed worker takes its queued jobs with it; the next think() starts a fresh one
+  const fail = err => {
+    if (worker !== w) return;
+    worker = null;
+    for (const { reject } of pending.values()) reject(err);
+    pending.clear();
+  };
+  w.on('message', ({ id, move, error }) => {
+    const job = pending.get(id);
+    if (!job) return;
+    pending.delete(id);
+    if (error) job.reject(new Error(error));
+    else job.resolve(move);
+  });
+  w.on('error', fail);
+  w.on('exit', code => fail(new Error(`AI worker exited (${code})`)));
+  worker = w;
+  return w;
+}
+
+function think(gameType, snapshot, level, seat = null) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    getWorker().postMessage({ id, gameType, snapshot, level, seat });
+  });
+}
+
+module.exports = { think, LEVELS };
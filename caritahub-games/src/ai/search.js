@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Game-independent move search shared by the computer players (chessAi.js,
+ * xiangqiAi.js): negamax alpha-beta, deepened iteratively until the level's
+ * time budget runs out, with an optional capture-only quiescence search.
+ *
+ *   chooseMove(game, root, cfg) → move | null
+ *     game: {
+ *       legalMoves(state)     — legal moves for the side to move
+ *       play(state, move)     — the position after `move` (state is not mutated)
+ *       evaluate(state)       — static score, side to move's point of view
+ *       mated(state)          — true if having no legal move loses (else it draws)
+ *       isCapture(state, move)
+ *       orderKey(state, move) — higher keys are searched first
+ *       drawn?(state)         — true for positions scored as dead draws
+ *     }
+ *     cfg: { maxDepth, timeMs, slack, quiescence }
+ *       slack — a root move scoring within this of the best may be picked at
+ *               random, which keeps the weaker levels varied and beatable
+ */
+
+const MATE = 100000;
+const QUIESCENCE_DEPTH = 4;
+const TIMEOUT = Symbol('timeout');
+
+function chooseMove(game, root, cfg) {
+  const deadline = Date.now() + cfg.timeMs;
+  let nodes = 0;
+
+  const ordered = (state, moves) => moves
+    .map(m => ({ m, k: game.orderKey(state, m) }))
+    .sort((a, b) => b.k - a.k)
+    .map(x => x.m);
+
+  function tick() {
+    if ((++nodes & 63) === 0 && Date.now() > deadline) throw TIMEOUT;
+  }
+
+  /** Captures only, so a leaf isn't scored in the middle of an exchange. */
+  function quiesce(state, alpha, beta, depth) {
+    tick();
+    const standPat = game.evaluate(state);
+    if (standPat >= beta || depth === 0) return standPat;
+    if (standPat > alpha) alpha = standPat;
+    const captures = game.legalMoves(state).filter(m => game.isCapture(state, m));
+    for (const m of ordered(state, captures)) {
+      const score = -quiesce(game.play(state, m), -beta, -alpha, depth - 1);
+      if (score >= beta) return score;
+      if (score > alpha) alpha = score;
+    }
+    return alpha;
+  }
+
+  function negamax(state, depth, alpha, beta, ply) {
+    tick();
+    if (depth === 0) return cfg.quiescence ? quiesce(state, alpha, beta, QUIESCENCE_DEPTH) : game.evaluate(state);
+    const moves = game.legalMoves(state);
+    // Prefer quicker mates and slower losses
+    if (moves.length === 0) return game.mated(state) ? -MATE + ply : 0;
+    if (game.drawn && game.drawn(state)) return 0;
+    for (const m of ordered(state, moves)) {
+      const score = -negamax(game.play(state, m), depth - 1, -beta, -alpha, ply + 1);
+      if (score >= beta) return score;
+      if (score > alpha) alpha = score;
+    }
+    return alpha;
+  }
+
+  let moves = ordered(root, game.legalMoves(root));
+  if (moves.length === 0) return null;
+  let scored = moves.map(m => ({ m, score: 0 }));
+
+  for (let depth = 1; depth <= cfg.maxDepth; depth++) {
+    const results = [];
+    let best = -Infinity;
+    try {
+      for (const m of moves) {
+        // Search within `slack` of the best so far, so near-best moves get exact scores
+        const alpha = best === -Infinity ? -Infinity : best - cfg.slack - 1;
+        const score = -negamax(game.play(root, m), depth - 1, -Infinity, -alpha, 1);
+        results.push({ m, score });
+        if (score > best) best = score;
+      }
+    } catch (e) {
+      if (e !== TIMEOUT) throw e;
+      // Keep a partial pass if it is the first, or if it already found a better move
+      if (results.length && (depth === 1 || best > scored[0].score)) {
+        scored = results.sort((a, b) => b.score - a.score);
+      }
+      break;
+    }
+    scored = results.sort((a, b) => b.score - a.score);
+    moves = scored.map(x => x.m);
+    if (Math.abs(scored[0].score) >= MATE - 100) break; // forced mate found
+  }
+
+  const top = scored[0].score;
+  const candidates = scored.filter(x => x.score >= top - cfg.slack);
+  return candidates[Math.floor(Math.random() * candidates.length)].m;
+}
+
+module.exports = { chooseMove, MATE };
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Worker thread for the computer opponents' move search (see ./index.js).
+ * Receives { id, gameType, snapshot, level, seat } and replies { id, move }
+ * or { id, error }.
+ */
+
+const { parentPort } = require('worker_threads');
+
+const SEARCHERS = {
+  chess: require('./chessAi').chooseMove,
+  xiangqi: require('./xiangqiAi').chooseMove,
+  chordaidi: require('./chordaidiAi').choosePlay
+};
+
+parentPort.on('message', ({ id, gameType, snapshot, level, seat }) => {
+  try {
+    const search = SEARCHERS[gameType];
+    if (!search) throw new Error(`No computer player for ${gameType}`);
+    parentPort.postMessage({ id, move: search(snapshot, level, seat) });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
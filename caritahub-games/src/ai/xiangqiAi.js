@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Xiangqi move search for the computer opponent.
+ *
+ * Alpha-beta search (./search.js) over getLegalMoves/isInCheck from
+ * engine/xiangqi.js. The evaluation is material with xiangqi-specific
+ * adjustments: cannons are worth more than horses while the board is full
+ * (plenty of screens) and less once it empties out, pawns gain value when
+ * they cross the river and more as they close in on the palace.
+ * Runs inside the AI worker (see ./index.js), never on the socket thread.
+ *
+ *   chooseMove(snapshot, level) → { from, to } | null
+ *     snapshot: engine.serialize() output; level: 'beginner' | 'intermediate' | 'strong'
+ */
+
+const { rules } = require('../engine/xiangqi');
+const search = require('./search');
+
+const LEVELS = {
+  beginner:     { maxDepth: 1, timeMs: 400,  slack: 120, quiescence: false },
+  intermediate: { maxDepth: 3, timeMs: 1500, slack: 20,  quiescence: true },
+  strong:       { maxDepth: 6, timeMs: 4000, slack: 0,   quiescence: true }
+};
+
+// Opening / endgame values; the position's phase interpolates between them
+const VALUES = {
+  r: [900, 950],
+  c: [500, 420],
+  n: [400, 460],
+  b: [200, 200],
+  a: [200, 200],
+  k: [0, 0],
+  p: [100, 100]   // before crossing the river; see pawnValue()
+};
+// Rooks, cannons and horses on the board at the start (the phase is 1 with all of them)
+const FULL_MATERIAL = 12;
+
+// ── Evaluation ────────────────────────────────────────────────────────
+
+/** Pawns are worth little at home, about double across the river, most near the palace. */
+function pawnValue(r, c, red) {
+  const advance = red ? 9 - r : r;     // 3 on the starting row
+  if (advance < 5) return 100;
+  if (advance === 9) return 150;        // on the last rank it can only move sideways
+  const nearPalace = c >= 3 && c <= 5 && advance >= 6 ? 40 : 0;
+  return 200 + nearPalace;
+}
+
+/** Static score from the side to move's point of view. */
+function evaluate(state) {
+  const { board } = state;
+  let majors = 0;
+  for (const row of board)
+    for (const p of row)
+      if (p && 'rcn'.includes(p.toLowerCase())) majors++;
+  const phase = Math.min(1, majors / FULL_MATERIAL); // 1 = opening, 0 = bare endgame
+
+  let score = 0;
+  for (let r = 0; r < 10; r++)
+    for (let c = 0; c < 9; c++) {
+      const p = board[r][c];
+      if (!p) continue;
+      const kind = p.toLowerCase();
+      const red = p !== kind;
+      let value;
+      if (kind === 'p') {
+        value = pawnValue(r, c, red);
+      } else {
+        const [open, end] = VALUES[kind];
+        value = open * phase + end * (1 - phase);
+      }
+      // Horses are clumsy on the edge; cannons like the central file early on
+      if (kind === 'n' && (c === 0 || c === 8)) value -= 30;
+      if (kind === 'c' && c === 4) value += 20 * phase;
+      score += red ? value : -value;
+    }
+  return state.turn === 'w' ? score : -score;
+}
+
+function pieceValue(piece) {
+  const kind = piece.toLowerCase();
+  return kind === 'p' ? 100 : VALUES[kind][0];
+}
+
+// ── Search ────────────────────────────────────────────────────────────
+
+function legalMoves(state) {
+  const red = state.turn === 'w';
+  const moves = [];
+  for (let r = 0; r < 10; r++)
+    for (let c = 0; c < 9; c++) {
+      const piece = state.board[r][c];
+      if (!piece || (piece === piece.toUpperCase()) !== red) continue;
+      for (const to of rules.getLegalMoves(state.board, r, c)) {
+        if (!rules.isInCheck(rules.applyMove(state.board, [r, c], to), red)) moves.push({ from: [r, c], to });
+      }
+    }
+  return moves;
+}
+
+const game = {
+  legalMoves,
+  play: (state, m) => ({ board: rules.applyMove(state.board, m.from, m.to), turn: state.turn === 'w' ? 'b' : 'w' }),
+  evaluate,
+  mated: () => true, // no stalemate in xiangqi: the side that cannot move loses
+  isCapture: (state, m) => state.board[m.to[0]][m.to[1]] !== null,
+  // Most valuable victim first, then least valuable attacker
+  orderKey: (state, m) => {
+    const victim = state.board[m.to[0]][m.to[1]];
+    return victim ? 10 * pieceValue(victim) - pieceValue(state.board[m.from[0]][m.from[1]]) : 0;
+  }
+};
+
+function chooseMove(snapshot, level) {
+  const move = search.chooseMove(game, snapshot.state, LEVELS[level] || LEVELS.intermediate);
+  return move && { from: move.from, to: move.to };
+}
+
+module.exports = { chooseMove, LEVELS };
@@ -1,5 +1,10 @@
 'use strict';
 
+/**
+ * ClickHouse connection (CLICKHOUSE_URL etc.), schema bootstrap and the
+ * `clickhouse` analytics sink, which inserts each batch into game_events.
+ */
+
 let client = null;
 
 try {
@@ -17,24 +22,50 @@ try {
   console.warn('ClickHouse unavailable:', e.message);
 }
 
-/**
- * Fire-and-forget event insert. Never throws, never awaited in the game loop.
- */
-function logEvent(eventType, roomId, playerId, playerName, payload = {}) {
-  if (!client) return;
-  const row = {
-    event_type: eventType,
-    room_id: roomId || '',
-    player_id: playerId || '',
-    player_name: playerName || '',
-    payload: JSON.stringify(payload),
-    timestamp: new Date().toISOString()
+// Create or migrate the schema (see schema.js) once per process; a failed
+// attempt — ClickHouse down at startup — is tried again on the next use
+let schemaReady = null;
+function ensureSchema() {
+  if (!client) return Promise.reject(new Error('ClickHouse is not configured'));
+  if (!schemaReady) {
+    schemaReady = require('./schema').migrate(client).then(scheduleBackfills, e => {
+      schemaReady = null;
+      throw e;
+    });
+  }
+  return schemaReady;
+}
+
+// Backfills wait for their cutoff to pass (see schema.js); run them when due
+function scheduleBackfills(due) {
+  if (due === null) return;
+  setTimeout(() => {
+    require('./schema').migrate(client)
+      .then(scheduleBackfills)
+      .catch(e => {
+        console.warn('ClickHouse backfill failed:', e.message);
+        scheduleBackfills(Date.now() + 60_000);
+      });
+  }, Math.max(0, due - Date.now())).unref();
+}
+
+if (client) ensureSchema().catch(e => console.warn('ClickHouse schema setup failed:', e.message));
+
+/** The analytics sink, or null if ClickHouse isn't configured. */
+function createSink() {
+  if (!client) {
+    console.warn('Analytics sink "clickhouse" needs CLICKHOUSE_URL; skipping it');
+    return null;
+  }
+  return {
+    name: 'clickhouse',
+    write: rows => ensureSchema().then(() => client.insert({
+      table: 'game_events',
+      values: rows,
+      format: 'JSONEachRow',
+      clickhouse_settings: { date_time_input_format: 'best_effort' } // ISO timestamps
+    }))
   };
-  client.insert({
-    table: 'game_events',
-    values: [row],
-    format: 'JSONEachRow'
-  }).catch(() => {}); // silent — analytics must never affect gameplay
 }
 
-module.exports = { logEvent };
+module.exports = { client, ensureSchema, createSink };
@@ -0,0 +1,20 @@
+'use strict';
+
+const { openLog } = require('../dataLog');
+
+/**
+ * The `file` analytics sink: one JSON line per event in
+ * $DATA_DIR/$ANALYTICS_FILE (default analytics.jsonl) — for local and dev
+ * setups without ClickHouse. The rows load into ClickHouse as-is with
+ * `INSERT INTO game_events FORMAT JSONEachRow`.
+ */
+
+function createSink(fileName = process.env.ANALYTICS_FILE || 'analytics.jsonl') {
+  const log = openLog(fileName);
+  return {
+    name: 'file',
+    write: async rows => rows.forEach(row => log.append(row))
+  };
+}
+
+module.exports = { createSink };
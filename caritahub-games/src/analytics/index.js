@@ -0,0 +1,151 @@
+'use strict';
+
+const { openLog } = require('../dataLog');
+
+/**
+ * Analytics pipeline. logEvent() only buffers the event; each enabled sink
+ * drains its own buffer in batches, so a slow or broken sink never holds up
+ * the others — or the game loop.
+ *
+ *   ANALYTICS_SINKS        comma-separated: clickhouse, file, stdout
+ *                          (default: clickhouse when CLICKHOUSE_URL is set)
+ *   ANALYTICS_BATCH_SIZE   events per write (default 100)
+ *   ANALYTICS_FLUSH_MS     flush a partial batch after this long (default 5000)
+ *   ANALYTICS_BUFFER_MAX   events held per sink; the oldest are dropped beyond it (default 10000)
+ *   ANALYTICS_MAX_ATTEMPTS tries per batch before it is spilled (default 5)
+ *
+ * A failed write is retried with exponential backoff (1 s doubling to 60 s).
+ * Once a batch has used up its attempts the sink is treated as down: the
+ * batch and everything buffered behind it go to $DATA_DIR/analytics-spill.jsonl
+ * (JSONEachRow, ready to re-insert), and while it stays down each later batch
+ * is spilled after a single failed try.
+ */
+
+const SINKS = {
+  clickhouse: () => require('./clickhouse').createSink(),
+  file: () => require('./file').createSink(),
+  stdout: () => require('./stdout').createSink()
+};
+
+const BATCH_SIZE = Number(process.env.ANALYTICS_BATCH_SIZE) || 100;
+const FLUSH_MS = Number(process.env.ANALYTICS_FLUSH_MS) || 5000;
+const BUFFER_MAX = Number(process.env.ANALYTICS_BUFFER_MAX) || 10_000;
+const MAX_ATTEMPTS = Number(process.env.ANALYTICS_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 60_000;
+
+const spillLog = openLog('analytics-spill.jsonl');
+
+function spill(sink, rows, err) {
+  if (!rows.length) return;
+  console.warn(`Analytics sink "${sink.name}" failed (${err.message}); spilling ${rows.length} event(s) to ${spillLog.path}`);
+  rows.forEach(row => spillLog.append(row));
+}
+
+/** A sink with its own buffer, batching and retry state. */
+function createChannel(sink) {
+  let buffer = [];
+  let attempts = 0;       // failed tries of the batch at the head of the buffer
+  let inflight = null;    // promise of the write in progress
+  let retryTimer = null;
+
+  function push(row) {
+    buffer.push(row);
+    if (buffer.length > BUFFER_MAX) {
+      const dropped = buffer.splice(0, buffer.length - BUFFER_MAX);
+      console.warn(`Analytics sink "${sink.name}" is backed up; dropped ${dropped.length} event(s)`);
+    }
+    if (buffer.length >= BATCH_SIZE) send();
+  }
+
+  /** Write the next batch unless one is in flight or a retry is pending. */
+  function send() {
+    if (inflight || retryTimer || !buffer.length) return;
+    const batch = buffer.splice(0, BATCH_SIZE);
+    inflight = Promise.resolve()
+      .then(() => sink.write(batch))
+      .then(() => {
+        attempts = 0;
+        inflight = null;
+        if (buffer.length >= BATCH_SIZE) send();
+      }, err => {
+        inflight = null;
+        attempts++;
+        if (attempts >= MAX_ATTEMPTS) {
+          spill(sink, batch.concat(buffer), err);
+          buffer = [];
+          attempts = MAX_ATTEMPTS - 1; // one try per batch until a write succeeds again
+        } else {
+          buffer = batch.concat(buffer);
+        }
+        const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+        retryTimer = setTimeout(() => { retryTimer = null; send(); }, delay);
+        retryTimer.unref();
+      });
+  }
+
+  /** Write out everything now, without retries (shutdown); failures are spilled. */
+  async function drain() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (inflight) await inflight;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    while (buffer.length) {
+      const batch = buffer.splice(0, BATCH_SIZE);
+      try {
+        await sink.write(batch);
+      } catch (e) {
+        spill(sink, batch.concat(buffer), e);
+        buffer = [];
+      }
+    }
+  }
+
+  return { push, send, drain };
+}
+
+function configuredSinks() {
+  const setting = process.env.ANALYTICS_SINKS;
+  const names = setting === undefined
+    ? (process.env.CLICKHOUSE_URL ? ['clickhouse'] : [])
+    : setting.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const sinks = [];
+  for (const name of new Set(names)) {
+    if (!SINKS[name]) {
+      console.warn(`Unknown analytics sink "${name}" (expected ${Object.keys(SINKS).join(', ')})`);
+      continue;
+    }
+    const sink = SINKS[name]();
+    if (sink) sinks.push(sink);
+  }
+  if (sinks.length) console.log(`Analytics sinks: ${sinks.map(s => s.name).join(', ')}`);
+  return sinks;
+}
+
+const channels = configuredSinks().map(createChannel);
+
+if (channels.length) setInterval(() => channels.forEach(c => c.send()), FLUSH_MS).unref();
+
+/**
+ * Queue an event for every sink. Never throws, never awaited in the game loop.
+ */
+function logEvent(eventType, roomId, playerId, playerName, payload = {}) {
+  if (!channels.length) return;
+  const row = {
+    event_type: eventType,
+    room_id: roomId || '',
+    player_id: playerId || '',
+    player_name: playerName || '',
+    payload: JSON.stringify(payload),
+    timestamp: new Date().toISOString()
+  };
+  channels.forEach(c => c.push(row));
+}
+
+/** Write out all buffered events (call before exiting). */
+function flush() {
+  return Promise.all(channels.map(c => c.drain()));
+}
+
+module.exports = { logEvent, flush };
@@ -0,0 +1,225 @@
+'use strict';
+
+/**
+ * ClickHouse schema: the game_events table and the materialized views that
+ * /api/stats reads. Migrations run in order, once each; applied versions are
+ * recorded in caritahub_schema_migrations. Add new migrations at the end —
+ * never edit one that has shipped.
+ *
+ * A migration may roll up game_events into a daily table: `select` (without
+ * GROUP BY) feeds both a materialized view for new events and a one-off
+ * backfill of the events already stored. A cutoff time splits them, so no
+ * event is counted twice:
+ *   - the view only counts events stamped at or after the cutoff, which is
+ *     set a little in the future so none of those can predate the view;
+ *   - the backfill counts events stamped before it, once the cutoff has passed
+ *     and buffered events have had time to arrive (events delivered later
+ *     than that, e.g. a spill file replayed days afterwards, are missed).
+ * Cutoffs are recorded in caritahub_schema_backfills before the view is
+ * created and completion after the backfill, so a retry after a failure
+ * reuses the cutoff and first deletes any rows a partial backfill left
+ * (backfilled rows carry backfill = 1).
+ */
+
+// Cutoff lead time, and how long after the cutoff the backfill waits
+const BACKFILL_DELAY_MS = 2 * 60_000;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'game_events',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS game_events (
+        event_type  LowCardinality(String),
+        room_id     String,
+        player_id   String,
+        player_name String,
+        payload     String,
+        timestamp   DateTime64(3, 'UTC')
+      ) ENGINE = MergeTree
+      PARTITION BY toYYYYMM(timestamp)
+      ORDER BY (event_type, timestamp)`
+    ]
+  },
+  {
+    version: 2,
+    name: 'daily_active_players',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS daily_active_players (
+        day      Date,
+        players  AggregateFunction(uniq, String),
+        backfill UInt8
+      ) ENGINE = AggregatingMergeTree
+      ORDER BY (day, backfill)`
+    ],
+    rollup: {
+      table: 'daily_active_players',
+      select: `SELECT toDate(timestamp) AS day, uniqState(player_name) AS players
+      FROM game_events
+      WHERE event_type = 'player_joined' AND player_name != ''`,
+      groupBy: 'day'
+    }
+  },
+  {
+    version: 3,
+    name: 'daily_games',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS daily_games (
+        day       Date,
+        game_type LowCardinality(String),
+        started   UInt64,
+        ended     UInt64,
+        backfill  UInt8
+      ) ENGINE = SummingMergeTree
+      ORDER BY (day, game_type, backfill)`
+    ],
+    rollup: {
+      table: 'daily_games',
+      select: `SELECT toDate(timestamp) AS day,
+             JSONExtractString(payload, 'gameType') AS game_type,
+             countIf(event_type = 'game_started') AS started,
+             countIf(event_type = 'game_ended') AS ended
+      FROM game_events
+      WHERE event_type IN ('game_started', 'game_ended')`,
+      groupBy: 'day, game_type'
+    }
+  },
+  {
+    // game_ended carries `duration` (seconds) for games this server saw start
+    version: 4,
+    name: 'daily_game_length',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS daily_game_length (
+        day           Date,
+        game_type     LowCardinality(String),
+        games         UInt64,
+        total_seconds Float64,
+        backfill      UInt8
+      ) ENGINE = SummingMergeTree
+      ORDER BY (day, game_type, backfill)`
+    ],
+    rollup: {
+      table: 'daily_game_length',
+      select: `SELECT toDate(timestamp) AS day,
+             JSONExtractString(payload, 'gameType') AS game_type,
+             count() AS games,
+             sum(JSONExtractFloat(payload, 'duration')) AS total_seconds
+      FROM game_events
+      WHERE event_type = 'game_ended' AND JSONHas(payload, 'duration')`,
+      groupBy: 'day, game_type'
+    }
+  }
+];
+
+const at = cutoff => `fromUnixTimestamp64Milli(toInt64(${cutoff}), 'UTC')`;
+
+/** The materialized view feeding a rollup with events from `cutoff` (epoch ms) on. */
+function viewQuery({ table, select, groupBy }, cutoff) {
+  return `CREATE MATERIALIZED VIEW IF NOT EXISTS ${table}_mv TO ${table} AS
+      ${select} AND timestamp >= ${at(cutoff)}
+      GROUP BY ${groupBy}`;
+}
+
+/** The backfill of a rollup with the events before `cutoff`; backfill is the table's last column. */
+function backfillQuery({ table, select, groupBy }, cutoff) {
+  return `INSERT INTO ${table}
+      SELECT *, 1 AS backfill FROM (
+      ${select} AND timestamp < ${at(cutoff)}
+      GROUP BY ${groupBy})`;
+}
+
+/** version → { cutoff, done } for every rollup that has a cutoff. */
+async function backfillState(client) {
+  const result = await client.query({
+    query: `SELECT version, max(cutoff_ms) AS cutoff, max(done) AS done
+      FROM caritahub_schema_backfills GROUP BY version`,
+    format: 'JSONEachRow'
+  });
+  const rows = await result.json();
+  return new Map(rows.map(row => [Number(row.version), { cutoff: Number(row.cutoff), done: Number(row.done) === 1 }]));
+}
+
+function recordBackfill(client, version, cutoff, done) {
+  return client.insert({
+    table: 'caritahub_schema_backfills',
+    values: [{ version, cutoff_ms: cutoff, done: done ? 1 : 0 }],
+    format: 'JSONEachRow'
+  });
+}
+
+/** Run every backfill that is due; returns when the next one will be (epoch ms), or null. */
+async function runBackfills(client, state, now) {
+  let next = null;
+  for (const migration of MIGRATIONS) {
+    const pending = migration.rollup && state.get(migration.version);
+    if (!pending || pending.done) continue;
+    const due = pending.cutoff + BACKFILL_DELAY_MS;
+    if (now < due) {
+      next = next === null ? due : Math.min(next, due);
+      continue;
+    }
+    const { table } = migration.rollup;
+    // Rows from an earlier attempt that failed part-way
+    await client.command({
+      query: `ALTER TABLE ${table} DELETE WHERE backfill = 1`,
+      clickhouse_settings: { mutations_sync: '2' }
+    });
+    await client.command({ query: backfillQuery(migration.rollup, pending.cutoff) });
+    await recordBackfill(client, migration.version, pending.cutoff, true);
+    pending.done = true;
+    console.log(`ClickHouse backfill for migration ${migration.version} (${migration.name}) done`);
+  }
+  return next;
+}
+
+/**
+ * Apply every migration the database hasn't seen yet, then run the backfills
+ * that are due. Resolves to when the next backfill is due (epoch ms; call
+ * migrate again then), or null if none is pending.
+ */
+async function migrate(client, now = Date.now()) {
+  await client.command({
+    query: `CREATE TABLE IF NOT EXISTS caritahub_schema_migrations (
+      version    UInt32,
+      name       String,
+      applied_at DateTime DEFAULT now()
+    ) ENGINE = MergeTree
+    ORDER BY version`
+  });
+  await client.command({
+    query: `CREATE TABLE IF NOT EXISTS caritahub_schema_backfills (
+      version     UInt32,
+      cutoff_ms   UInt64,
+      done        UInt8,
+      recorded_at DateTime DEFAULT now()
+    ) ENGINE = MergeTree
+    ORDER BY version`
+  });
+  const result = await client.query({ query: 'SELECT version FROM caritahub_schema_migrations', format: 'JSONEachRow' });
+  const applied = new Set((await result.json()).map(row => Number(row.version)));
+  const state = await backfillState(client);
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+    for (const query of migration.statements) await client.command({ query });
+    if (migration.rollup) {
+      // Fixed before the view exists, so a retried migration keeps the same split
+      if (!state.has(migration.version)) {
+        const cutoff = now + BACKFILL_DELAY_MS;
+        await recordBackfill(client, migration.version, cutoff, false);
+        state.set(migration.version, { cutoff, done: false });
+      }
+      await client.command({ query: viewQuery(migration.rollup, state.get(migration.version).cutoff) });
+    }
+    await client.insert({
+      table: 'caritahub_schema_migrations',
+      values: [{ version: migration.version, name: migration.name }],
+      format: 'JSONEachRow'
+    });
+    console.log(`ClickHouse migration ${migration.version} (${migration.name}) applied`);
+  }
+
+  return runBackfills(client, state, now);
+}
+
+module.exports = { migrate, MIGRATIONS, BACKFILL_DELAY_MS };
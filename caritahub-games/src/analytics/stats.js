@@ -0,0 +1,51 @@
+'use strict';
+
+const { client, ensureSchema } = require('./clickhouse');
+
+/**
+ * Usage trends for /api/stats, read from the materialized views created in
+ * schema.js. Every query covers the last `days` days (today included).
+ * Each function resolves to rows, or rejects if ClickHouse is unset or down.
+ */
+
+async function select(query, days) {
+  await ensureSchema();
+  const result = await client.query({ query, query_params: { days }, format: 'JSONEachRow' });
+  return result.json();
+}
+
+/** [{ day, players }] — distinct player names that joined a room each day. */
+async function activePlayers(days) {
+  const rows = await select(`
+    SELECT toString(day) AS day, uniqMerge(players) AS players
+    FROM daily_active_players
+    WHERE day > today() - {days:UInt32}
+    GROUP BY day ORDER BY day`, days);
+  return rows.map(r => ({ day: r.day, players: Number(r.players) }));
+}
+
+/** [{ day, gameType, started, ended }] */
+async function gamesPerType(days) {
+  const rows = await select(`
+    SELECT toString(day) AS day, game_type, sum(started) AS started, sum(ended) AS ended
+    FROM daily_games
+    WHERE day > today() - {days:UInt32}
+    GROUP BY day, game_type ORDER BY day, game_type`, days);
+  return rows.map(r => ({ day: r.day, gameType: r.game_type, started: Number(r.started), ended: Number(r.ended) }));
+}
+
+/** [{ gameType, games, averageSeconds }] over the whole period. */
+async function gameLength(days) {
+  const rows = await select(`
+    SELECT game_type, sum(games) AS games, sum(total_seconds) / sum(games) AS average_seconds
+    FROM daily_game_length
+    WHERE day > today() - {days:UInt32}
+    GROUP BY game_type ORDER BY game_type`, days);
+  return rows.map(r => ({
+    gameType: r.game_type,
+    games: Number(r.games),
+    averageSeconds: Math.round(Number(r.average_seconds))
+  }));
+}
+
+module.exports = { available: () => !!client, activePlayers, gamesPerType, gameLength };
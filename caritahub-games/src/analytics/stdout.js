@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * The `stdout` analytics sink: one JSON line per event, prefixed so a log
+ * collector can pick analytics out of the server's other output.
+ */
+
+function createSink() {
+  return {
+    name: 'stdout',
+    write: async rows => {
+      process.stdout.write(rows.map(row => `analytics ${JSON.stringify(row)}\n`).join(''));
+    }
+  };
+}
+
+module.exports = { createSink };
@@ -0,0 +1,64 @@
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+/**
+ * Append-only JSONL files under $DATA_DIR (default ./data).
+ *
+ * Writes are synchronous so an entry is on disk before the next socket event
+ * is handled. Failures are logged and swallowed — persistence must never
+ * affect gameplay.
+ *
+ *   openLog('results.jsonl') → { path, append(entry), read(), rewrite(entries) }
+ */
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function openLog(fileName) {
+  const file = path.join(DATA_DIR, fileName);
+
+  /** Append one entry as a JSON line. */
+  function append(entry) {
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      console.warn(`Write to ${fileName} failed:`, e.message);
+    }
+  }
+
+  /** Return all entries. Corrupt lines (e.g. a torn write at shutdown) are skipped. */
+  function read() {
+    let text;
+    try {
+      if (!fs.existsSync(file)) return [];
+      text = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      console.warn(`Read of ${fileName} failed:`, e.message);
+      return [];
+    }
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try { entries.push(JSON.parse(line)); } catch { /* skip */ }
+    }
+    return entries;
+  }
+
+  /** Replace the file contents with `entries` (write-then-rename). */
+  function rewrite(entries) {
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tmp = file + '.tmp';
+      fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e) + '\n').join(''));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.warn(`Rewrite of ${fileName} failed:`, e.message);
+    }
+  }
+
+  return { path: file, append, read, rewrite };
+}
+
+module.exports = { openLog, DATA_DIR };
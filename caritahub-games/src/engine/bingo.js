@@ -14,11 +14,15 @@
  *    - Any row, column, or diagonal fully marked → BINGO!
  *    - Full card (full house) → FULL HOUSE!
  *  - Multiple winners can declare in the same call.
+ *  - A player who resigns can no longer win (the next seat still in takes
+ *    over calling); the last player left wins.
  *
  * Interface (matches CDI pattern):
- *   createGame(playerCount)  → engine object
+ *   createGame(playerCount, saved?) → engine object
  *   engine.state()           → full state (no secrets; all cards visible)
+ *   engine.serialize()       → snapshot for createGame(_, saved), incl. pool order
  *   engine.callNumber(seat)  → { ok, reason, number } — caller draws next number
+ *   engine.resign(seat)      → { ok, reason }
  *   engine.isGameOver()      → bool
  *   engine.winners()         → [{ seat, type }] array
  */
@@ -93,19 +97,32 @@ function checkWins(marked) {
   return wins;
 }
 
-function createGame(playerCount = 2) {
+function createGame(playerCount = 2, saved = null) {
+  if (saved) {
+    if (saved.gameType !== 'bingo') throw new Error('Snapshot is not a bingo game');
+    playerCount = saved.playerCount;
+  }
   if (playerCount < 2 || playerCount > 8) throw new Error('Bingo requires 2–8 players');
 
-  // Build number pool 1-75, shuffled
-  const pool = shuffle(Array.from({ length: 75 }, (_, i) => i + 1));
-  const called = []; // numbers called so far
+  const copyGrid = g => g.map(row => [...row]);
+
+  // Build number pool 1-75, shuffled (pop() order is the call order)
+  const pool = saved ? [...saved.pool] : shuffle(Array.from({ length: 75 }, (_, i) => i + 1));
+  const called = saved ? [...saved.called] : []; // numbers called so far
 
   // Each player gets a card + marked matrix
-  const cards   = Array.from({ length: playerCount }, generateCard);
-  const marked  = Array.from({ length: playerCount }, initialMarked);
+  const cards   = saved ? saved.cards.map(copyGrid)  : Array.from({ length: playerCount }, generateCard);
+  const marked  = saved ? saved.marked.map(copyGrid) : Array.from({ length: playerCount }, initialMarked);
 
-  let _isGameOver = false;
-  let _winners = []; // [{ seat, types }]
+  let _isGameOver = saved ? saved.isGameOver : false;
+  let _winners = saved ? saved.winners.map(w => ({ ...w, types: [...w.types] })) : []; // [{ seat, types }]
+  const resigned = saved && saved.resigned ? [...saved.resigned] : []; // seats that have given up
+
+  // The caller is the first seat still in the game (seat 0 unless it resigned)
+  function callerSeat() {
+    for (let p = 0; p < playerCount; p++) if (!resigned.includes(p)) return p;
+    return 0;
+  }
 
   function state() {
     return {
@@ -118,12 +135,13 @@ function createGame(playerCount = 2) {
       isGameOver: _isGameOver,
       winners: _winners,
       playerCount,
-      callerSeat: 0,                // seat 0 is always the caller
+      callerSeat: callerSeat(),
+      resigned: resigned.slice(),
     };
   }
 
   function callNumber(seat) {
-    if (seat !== 0) return { ok: false, reason: 'Only the caller can draw numbers' };
+    if (seat !== callerSeat()) return { ok: false, reason: 'Only the caller can draw numbers' };
     if (_isGameOver)  return { ok: false, reason: 'Game is over' };
     if (pool.length === 0) return { ok: false, reason: 'All numbers have been called!' };
 
@@ -147,7 +165,7 @@ function createGame(playerCount = 2) {
       const wins = checkWins(marked[p]);
       // Only count if this player wasn't already a winner with these win types
       const alreadyWon = _winners.find(w => w.seat === p);
-      if (wins.length > 0 && !alreadyWon) {
+      if (wins.length > 0 && !alreadyWon && !resigned.includes(p)) {
         newWinners.push({ seat: p, types: wins });
       }
     }
@@ -160,10 +178,100 @@ function createGame(playerCount = 2) {
     return { ok: true, number: num, newWinners };
   }
 
+  function resign(seat) {
+    if (_isGameOver) return { ok: false, reason: 'Game is over' };
+    if (resigned.includes(seat)) return { ok: false, reason: 'You have already resigned' };
+    resigned.push(seat);
+    const left = Array.from({ length: playerCount }, (_, p) => p).filter(p => !resigned.includes(p));
+    if (left.length === 1) {
+      _winners = [{ seat: left[0], types: [] }]; // no line: everyone else resigned
+      _isGameOver = true;
+    }
+    return { ok: true };
+  }
+
   function isGameOver() { return _isGameOver; }
   function winners() { return _winners; }
 
-  return { state, callNumber, isGameOver, winners };
+  function serialize() {
+    return {
+      gameType: 'bingo',
+      playerCount,
+      pool: [...pool],
+      called: [...called],
+      cards: cards.map(copyGrid),
+      marked: marked.map(copyGrid),
+      isGameOver: _isGameOver,
+      winners: _winners.map(w => ({ ...w, types: [...w.types] })),
+      resigned: [...resigned],
+    };
+  }
+
+  return { state, callNumber, resign, isGameOver, winners, serialize };
+}
+
+// ── Registry definition ──────────────────────────────────────────────────────
+
+const COLORS = ['caller', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7', 'p8'];
+
+function view(engine, room) {
+  const gs = engine.state();
+  return {
+    gameType: 'bingo',
+    called:      gs.called,
+    lastCalled:  gs.lastCalled,
+    cards:       gs.cards,
+    marked:      gs.marked,
+    isGameOver:  gs.isGameOver,
+    winners:     gs.winners,
+    callerSeat:  gs.callerSeat,
+    resigned:    gs.resigned,
+    playerCount: gs.playerCount,
+    players: room.players.map(p => ({
+      name: p.name, color: p.color, connected: p.socketId !== null,
+      seat: COLORS.indexOf(p.color)
+    }))
+  };
 }
 
-module.exports = { createGame, COLUMNS, CARD_SIZE, FREE_ROW, FREE_COL };
+const definition = {
+  id: 'bingo',
+  colors: COLORS,
+  minPlayers: 2,
+  maxPlayers: 8,
+  perSeatView: false,
+  create: (playerCount, saved) => createGame(playerCount, saved),
+  view,
+  actions: {
+    // Caller draws next number
+    bingo_call(ctx) {
+      const result = ctx.engine.callNumber(ctx.seat);
+      if (!result.ok) return ctx.reply('error', { message: result.reason });
+      ctx.broadcastState();
+    }
+  },
+  resign: (engine, seat) => engine.resign(seat),
+  outcome(engine, room) {
+    if (!engine.isGameOver()) return null;
+    const ws = engine.winners();
+    const winNames = ws.map(w => {
+      const wp = room.players.find(p => COLORS.indexOf(p.color) === w.seat);
+      return wp?.name || '?';
+    });
+    if (ws.length === 1 && ws[0].types.length === 0) {
+      return {
+        winner: winNames[0],
+        winnerSeats: [ws[0].seat],
+        reason: `${winNames[0]} wins — everyone else resigned`,
+        cause: 'resign'
+      };
+    }
+    return {
+      winner: winNames.join(', '),
+      winnerSeats: ws.map(w => w.seat),
+      reason: `BINGO! ${winNames.join(' & ')} won!`
+    };
+  }
+};
+
+module.exports = { createGame, COLUMNS, CARD_SIZE, FREE_ROW, FREE_COL, definition };
@@ -0,0 +1,196 @@
+'use strict';
+
+const { parseTimeControl, createClock } = require('./clock');
+const ai = require('../ai');
+
+/**
+ * Registry definition shared by the two-player board games (xiangqi, chess).
+ * Both engines expose move/undo/fen/turn/inCheck/isGameOver; seat 0 moves
+ * when turn() is 'w', seat 1 when it is 'b'.
+ *
+ *   boardGameDefinition({ id, colors, createGame, winner, drawReason?, canWinOnTime?,
+ *                         rulesets?, importPosition?, bot? }) → definition
+ *     createGame(saved, options) — engine factory (options: the room's creation options)
+ *     winner(engine)             — winning colour, 'draw', or null while the game runs
+ *     drawReason(engine)         — why a finished game is drawn (default 'Stalemate')
+ *     canWinOnTime(engine, seat) — false if `seat` has no mating material, in which
+ *                                  case the opponent running out of time is a draw
+ *     rulesets                   — ruleset names a room may choose (options.ruleset)
+ *     importPosition(text)       — check FEN/PGN `text` once → { position } to keep as
+ *                                  options.startPosition, or { error }
+ *     bot                        — true if src/ai has a searcher for this game, so
+ *                                  a computer player can take a seat
+ *
+ * Engines may expose adjudication() → { winner, reason, cause } | null for
+ * games ended by a rule other than mate (e.g. xiangqi perpetual check),
+ * moveList()/lastMove() for the move list in game_state, and pgn(tags) for
+ * game records (see pgn() below).
+ *
+ * Rooms created with a time control (options.timeControl, see clock.js) get
+ * an engine whose move() presses the clock; `engine.clock` is set.
+ *
+ * Players may offer draws (`drawOffers`, handled by socketEvents.js); an
+ * engine with claimableDraw() lets an offer end the game outright when a
+ * draw can be claimed (e.g. threefold repetition).
+ */
+
+function boardGameDefinition({
+  id, colors, createGame, winner,
+  drawReason = () => 'Stalemate',
+  canWinOnTime = () => true,
+  rulesets,
+  importPosition,
+  bot = false
+}) {
+  function create(playerCount, saved, options = {}) {
+    const game = createGame(saved, options);
+    const control = parseTimeControl(options.timeControl);
+    if (!control) return game;
+
+    const clock = createClock(control, saved && saved.clock);
+    const turnSeat = () => game.turn() === 'w' ? 0 : 1;
+    if (!saved) clock.start(turnSeat(), Date.now());
+
+    return {
+      ...game,
+      clock,
+      move(from, to, promotion) {
+        const now = Date.now();
+        if (clock.flagged(now) !== null) return { ok: false, reason: 'Time is up' };
+        const seat = turnSeat();
+        const result = game.move(from, to, promotion);
+        if (result.ok) clock.press(seat, now);
+        return result;
+      },
+      undo() {
+        if (!game.undo()) return false;
+        clock.switchTo(turnSeat(), Date.now());
+        return true;
+      },
+      serialize() {
+        return { ...game.serialize(), clock: clock.serialize() };
+      }
+    };
+  }
+
+  function view(engine, room) {
+    const isOver = engine.isGameOver();
+    const w = isOver ? winner(engine) : null;
+    const ruling = engine.adjudication ? engine.adjudication() : null;
+    return {
+      fen: engine.fen(),
+      turn: engine.turn(),   // 'w' | 'b'
+      inCheck: engine.inCheck(),
+      isGameOver: isOver,
+      winner: w,
+      drawReason: w === 'draw' ? drawReason(engine) : null,
+      ruling,
+      drawClaim: engine.claimableDraw ? engine.claimableDraw() : null,
+      clock: engine.clock ? engine.clock.state(Date.now()) : null,
+      moves: engine.moveList ? engine.moveList() : [],
+      lastMove: engine.lastMove ? engine.lastMove() : null,
+      players: room.players.map(p => ({ name: p.name, color: p.color, connected: p.socketId !== null || !!p.bot, bot: !!p.bot }))
+    };
+  }
+
+  function makeMove(ctx, { from, to, promotion } = {}) {
+    const { engine } = ctx;
+    // Verify it is this socket's color's turn
+    const turnSeat = engine.turn() === 'w' ? 0 : 1;
+    if (ctx.seat !== turnSeat) return ctx.reject('Not your turn');
+    if (engine.isGameOver()) return ctx.reject('Game is over');
+
+    const result = engine.move(from, to, promotion || null);
+    if (!result.ok) return ctx.reject(result.reason);
+
+    ctx.broadcastState();
+    ctx.log('move_made', { from, to });
+  }
+
+  function outcome(engine, room) {
+    if (engine.isGameOver()) {
+      const ruling = engine.adjudication ? engine.adjudication() : null;
+      if (ruling && ruling.winner === 'draw') {
+        return { winner: 'draw', winnerSeats: [], draw: true, reason: `${ruling.reason} — it's a draw!`, cause: ruling.cause };
+      }
+      if (ruling) return { winner: ruling.winner, winnerSeats: [colors.indexOf(ruling.winner)], reason: ruling.reason, cause: ruling.cause };
+      const w = winner(engine);
+      if (w === 'draw') return { winner: 'draw', winnerSeats: [], draw: true, reason: `${drawReason(engine)} — it's a draw!` };
+      return { winner: w, winnerSeats: [colors.indexOf(w)], reason: 'Checkmate' };
+    }
+
+    const flagSeat = engine.clock ? engine.clock.flagged(Date.now()) : null;
+    if (flagSeat === null) return null;
+    const flagged = room.players.find(p => p.color === colors[flagSeat]);
+    const name = flagged ? flagged.name : colors[flagSeat];
+    const oppSeat = 1 - flagSeat;
+    if (!canWinOnTime(engine, oppSeat)) {
+      return {
+        winner: 'draw', winnerSeats: [], draw: true, cause: 'timeout',
+        reason: `${name} ran out of time, but the opponent cannot checkmate — it's a draw!`
+      };
+    }
+    return { winner: colors[oppSeat], winnerSeats: [oppSeat], cause: 'timeout', reason: `${name} ran out of time` };
+  }
+
+  /**
+   * PGN record of the game with room tags (players, date, result, time control),
+   * or null if the engine can't produce one. outcome is null for a game in progress.
+   */
+  function pgn(engine, room, outcome = null) {
+    if (typeof engine.pgn !== 'function') return null;
+    const tagName = color => color[0].toUpperCase() + color.slice(1);
+    const d = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    const tags = {
+      Event: `CaritaHub ${tagName(id)}`,
+      Site: 'CaritaHub Games',
+      Date: `${d.getUTCFullYear()}.${pad(d.getUTCMonth() + 1)}.${pad(d.getUTCDate())}`,
+      Round: '-'
+    };
+    colors.forEach(color => {
+      const player = room.players.find(p => p.color === color);
+      tags[tagName(color)] = player ? player.name : '?';
+    });
+    if (!outcome) tags.Result = '*';
+    else if (outcome.draw) tags.Result = '1/2-1/2';
+    else tags.Result = outcome.winnerSeats.includes(0) ? '1-0' : '0-1';
+    if (outcome) tags.Termination = outcome.cause === 'timeout' ? 'time forfeit' : 'normal';
+
+    const control = parseTimeControl(room.options && room.options.timeControl);
+    if (control && control.type === 'fischer') tags.TimeControl = `${control.initialMs / 1000}+${control.incrementMs / 1000}`;
+    return engine.pgn(tags);
+  }
+
+  /** Computer player: search on the AI worker, answer with a make_move. */
+  const computer = bot && {
+    levels: ai.LEVELS[id],
+    seatToMove: engine => engine.isGameOver() ? null : engine.turn() === 'w' ? 0 : 1,
+    play: (engine, seat, level) => ai.think(id, engine.serialize(), level)
+      .then(move => move && { event: 'make_move', data: move })
+  };
+
+  return {
+    id,
+    colors,
+    minPlayers: 2,
+    maxPlayers: 2,
+    perSeatView: false,
+    rated: true,
+    timeControls: true,
+    drawOffers: true,
+    rulesets,
+    importPosition,
+    bot: computer || undefined,
+    create,
+    view,
+    actions: { make_move: makeMove },
+    outcome,
+    pgn,
+    // Flag fall is detected by outcome(); the timer only has to wake the room up
+    deadline: engine => engine.clock ? engine.clock.deadline() : null,
+    expire: () => {}
+  };
+}
+
+module.exports = { boardGameDefinition };
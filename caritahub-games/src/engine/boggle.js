@@ -15,12 +15,16 @@ const path = require('path');
  *    (standard Boggle rule: only unique words score).
  *  - Scoring: 3=1pt, 4=1pt, 5=2pt, 6=3pt, 7=5pt, 8+=11pt
  *  - Winner: highest score after deduplication.
+ *  - A player who resigns has their words withdrawn and places last; the
+ *    round ends early once only one player is left.
  *
  * Interface:
- *   createGame(playerCount)   → engine object
+ *   createGame(playerCount, saved?) → engine object
  *   engine.state()            → { board, timeLeft, submissions, isGameOver, scores, … }
+ *   engine.serialize()        → snapshot for createGame(_, saved), incl. submissions + start time
  *   engine.submitWord(seat, word) → { ok, reason }
- *   engine.endRound()         → { scores, words } — called by server timer
+ *   engine.endRound()         → { scores, words, solution } — called by server timer
+ *   engine.resign(seat)       → { ok, reason }
  *   engine.isGameOver()       → bool
  *   engine.winner()           → seat index | null
  */
@@ -350,21 +354,86 @@ function canFormWord(board, word) {
   return false;
 }
 
+// ── Solver ───────────────────────────────────────────────────────────────────
+
+/** Letters available on the board, counted (a Q face supplies both Q and U). */
+function letterCounts(board) {
+  const counts = {};
+  for (const face of board) {
+    for (const ch of face === 'Q' ? 'QU' : face) counts[ch] = (counts[ch] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Every dictionary word that can be formed on the board, sorted by score
+ * (highest first) then alphabetically. Words needing more of a letter than
+ * the board has are skipped before the path search.
+ */
+function solveBoard(board) {
+  const available = letterCounts(board);
+  const found = [];
+  for (const word of WORD_SET) {
+    if (word.length < 3) continue;
+    const need = {};
+    let possible = true;
+    for (const ch of word) {
+      need[ch] = (need[ch] || 0) + 1;
+      if (need[ch] > (available[ch] || 0)) { possible = false; break; }
+    }
+    if (possible && canFormWord(board, word)) found.push(word);
+  }
+  return found
+    .map(word => ({ word, score: scoreWord(word) }))
+    .sort((a, b) => b.score - a.score || a.word.localeCompare(b.word));
+}
+
+/**
+ * End-of-round solution: { words: [{ word, score, foundBy: [seat] }], longest: [word],
+ * highest: [word], maxScore } — longest/highest are the words to highlight.
+ */
+function buildSolution(board, submissions) {
+  const words = solveBoard(board).map(({ word, score }) => ({
+    word,
+    score,
+    foundBy: submissions.reduce((seats, set, seat) => (set.has(word) ? [...seats, seat] : seats), [])
+  }));
+  const maxLength = Math.max(0, ...words.map(w => w.word.length));
+  const topScore = Math.max(0, ...words.map(w => w.score));
+  return {
+    words,
+    longest: words.filter(w => w.word.length === maxLength).map(w => w.word),
+    highest: words.filter(w => w.score === topScore).map(w => w.word),
+    maxScore: words.reduce((sum, w) => sum + w.score, 0)
+  };
+}
+
 // ── Round timer (60 seconds) ──────────────────────────────────────────────────
 const ROUND_SECONDS = 60;
 
-function createGame(playerCount = 2) {
+function createGame(playerCount = 2, saved = null) {
+  if (saved) {
+    if (saved.gameType !== 'boggle') throw new Error('Snapshot is not a boggle game');
+    playerCount = saved.playerCount;
+  }
   if (playerCount < 2 || playerCount > 4) throw new Error('Boggle requires 2–4 players');
 
-  const board = generateBoard();
-  const startTime = Date.now();
+  const board = saved ? [...saved.board] : generateBoard();
+  // The round clock is wall-clock based, so a restored round keeps counting from its original start
+  const startTime = saved ? saved.startTime : Date.now();
 
   // submissions[seat] = Set of words submitted
-  const submissions = Array.from({ length: playerCount }, () => new Set());
+  const submissions = saved
+    ? saved.submissions.map(words => new Set(words))
+    : Array.from({ length: playerCount }, () => new Set());
 
-  let _isGameOver = false;
-  let _scores = null;  // computed on endRound()
-  let _words  = null;  // { seat: [{ word, score, unique }] }
+  let _isGameOver = saved ? saved.isGameOver : false;
+  const resigned = saved && saved.resigned ? [...saved.resigned] : []; // seats that have given up
+  let _scores = saved && saved.scores ? [...saved.scores] : null;  // computed on endRound()
+  let _words  = saved && saved.words  ? saved.words.map(list => list.map(w => ({ ...w }))) : null;  // { seat: [{ word, score, unique }] }
+  // Every word on the board, computed on endRound() (rebuilt for snapshots saved before the solver existed)
+  let _solution = saved && saved.solution ? saved.solution
+    : _isGameOver ? buildSolution(board, submissions) : null;
 
   function timeLeft() {
     const elapsed = Math.floor((Date.now() - startTime) / 1000);
@@ -383,13 +452,16 @@ function createGame(playerCount = 2) {
       isGameOver: _isGameOver,
       scores: _scores,
       words: _words,
+      solution: _solution,
       playerCount,
+      resigned: resigned.slice(),
     };
   }
 
   function submitWord(seat, word) {
     if (_isGameOver) return { ok: false, reason: 'Round is over' };
     if (timeLeft() <= 0) return { ok: false, reason: 'Time is up' };
+    if (resigned.includes(seat)) return { ok: false, reason: 'You have resigned' };
     if (typeof word !== 'string') return { ok: false, reason: 'Invalid word' };
 
     const w = word.toUpperCase().trim();
@@ -404,7 +476,7 @@ function createGame(playerCount = 2) {
   }
 
   function endRound() {
-    if (_isGameOver) return { scores: _scores, words: _words };
+    if (_isGameOver) return { scores: _scores, words: _words, solution: _solution };
     _isGameOver = true;
 
     // Find words submitted by exactly one player (unique = scores)
@@ -437,7 +509,18 @@ function createGame(playerCount = 2) {
       });
     }
 
-    return { scores: _scores, words: _words };
+    _solution = buildSolution(board, submissions);
+    return { scores: _scores, words: _words, solution: _solution };
+  }
+
+  function resign(seat) {
+    if (_isGameOver) return { ok: false, reason: 'Round is over' };
+    if (resigned.includes(seat)) return { ok: false, reason: 'You have already resigned' };
+    resigned.push(seat);
+    // Withdrawn words no longer cancel anyone else's
+    submissions[seat].clear();
+    if (resigned.length === playerCount - 1) endRound();
+    return { ok: true };
   }
 
   function isGameOver() { return _isGameOver; }
@@ -446,12 +529,100 @@ function createGame(playerCount = 2) {
     if (!_scores) return null;
     let best = -1, bestSeat = null;
     for (let s = 0; s < playerCount; s++) {
+      if (resigned.includes(s)) continue;
       if (_scores[s] > best) { best = _scores[s]; bestSeat = s; }
     }
     return bestSeat;
   }
 
-  return { state, submitWord, endRound, isGameOver, winner, timeLeft };
+  function serialize() {
+    return {
+      gameType: 'boggle',
+      playerCount,
+      board: [...board],
+      startTime,
+      submissions: submissions.map(set => Array.from(set)),
+      isGameOver: _isGameOver,
+      scores: _scores ? [..._scores] : null,
+      words: _words ? _words.map(list => list.map(w => ({ ...w }))) : null,
+      solution: _solution,
+      resigned: [...resigned],
+    };
+  }
+
+  return { state, submitWord, endRound, resign, isGameOver, winner, timeLeft, serialize };
+}
+
+// ── Registry definition ──────────────────────────────────────────────────────
+
+const COLORS = ['red', 'blue', 'green', 'purple'];
+
+function view(engine, room) {
+  const gs = engine.state();
+  return {
+    gameType: 'boggle',
+    board:              gs.board,
+    timeLeft:           gs.timeLeft,
+    startTime:          gs.startTime,
+    roundSeconds:       gs.roundSeconds,
+    submissionCounts:   gs.submissionCounts,
+    isGameOver:         gs.isGameOver,
+    scores:             gs.scores,
+    words:              gs.words,
+    solution:           gs.solution,
+    resigned:           gs.resigned,
+    playerCount:        gs.playerCount,
+    players: room.players.map(p => ({
+      name: p.name, color: p.color, connected: p.socketId !== null,
+      seat: COLORS.indexOf(p.color)
+    }))
+  };
 }
 
-module.exports = { createGame };
+const definition = {
+  id: 'boggle',
+  colors: COLORS,
+  minPlayers: 2,
+  maxPlayers: 4,
+  perSeatView: false,
+  create: (playerCount, saved) => createGame(playerCount, saved),
+  view,
+  actions: {
+    boggle_submit(ctx, { word } = {}) {
+      const result = ctx.engine.submitWord(ctx.seat, word);
+      if (!result.ok) return ctx.reply('boggle_reject', { word, reason: result.reason });
+
+      // Confirm to submitter; broadcast updated counts to all
+      ctx.reply('boggle_accept', { word: result.word });
+      ctx.broadcast('boggle_counts', {
+        submissionCounts: ctx.engine.state().submissionCounts
+      });
+    },
+    // Host ends round early — only the red (seat 0) player can end early
+    boggle_end(ctx) {
+      if (ctx.seat !== 0) return;
+      ctx.engine.endRound();
+      ctx.broadcastState();
+    }
+  },
+  resign: (engine, seat) => engine.resign(seat),
+  outcome(engine, room) {
+    if (!engine.isGameOver()) return null;
+    const winSeat = engine.winner();
+    const winPlayer = room.players.find(p => COLORS.indexOf(p.color) === winSeat);
+    const { resigned } = engine.state();
+    // Resigned seats place below everyone still in
+    const scores = engine.state().scores.map((sc, s) => (resigned.includes(s) ? -1 : sc));
+    return {
+      winner: winPlayer?.color || null,
+      winnerSeats: winPlayer ? [winSeat] : [],
+      placements: scores.map(sc => 1 + scores.filter(o => o > sc).length),
+      reason: winPlayer ? `${winPlayer.name} wins with ${engine.state().scores[winSeat]} points!` : "Time's up!"
+    };
+  },
+  // Round auto-ends when the timer runs out
+  deadline: engine => engine.state().startTime + ROUND_SECONDS * 1000,
+  expire: engine => engine.endRound()
+};
+
+module.exports = { createGame, definition };
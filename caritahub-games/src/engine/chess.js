@@ -4,10 +4,19 @@
  * Server-side Western Chess engine.
  * Board: 8x8 array, row 0 = rank 8 (Black's back rank), row 7 = rank 1 (White's back rank).
  * Uppercase = White (K Q R B N P), lowercase = Black (k q r b n p).
- * Exposes the same interface as xiangqi.js: createGame() -> { move, undo, fen, turn, inCheck, isGameOver, legalMoves, boardState }
+ * Exposes the same interface as xiangqi.js: createGame(saved?, options?) -> { move, undo, fen, turn, inCheck, isGameOver, legalMoves, boardState, canMate, serialize }
  * Additional: winner() -> 'white'|'black'|'draw'|null
+ *             drawReason() -> why the game is drawn automatically, or null
+ *             claimableDraw() -> draw either player may claim now, or null
+ *             moveList() -> SAN of every move, lastMove() -> { from, to } | null
+ *             pgn(tags?) -> PGN text of the game so far
+ *
+ * Automatic draws: stalemate, insufficient material, fivefold repetition,
+ * seventy-five-move rule. Claimable draws: threefold repetition, fifty-move rule.
  */
 
+const { boardGameDefinition } = require('./boardGame');
+
 const INITIAL_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
 
 // ── FEN parsing / serialisation ──────────────────────────────────────
@@ -32,11 +41,13 @@ function parseFen(fen) {
     board.push(cells);
   }
 
+  // A right only stands while that king and rook are still on their home squares
+  const at = (r, c) => board[r] && board[r][c];
   const castling = {
-    K: castlingStr.includes('K'),
-    Q: castlingStr.includes('Q'),
-    k: castlingStr.includes('k'),
-    q: castlingStr.includes('q'),
+    K: castlingStr.includes('K') && at(7, 4) === 'K' && at(7, 7) === 'R',
+    Q: castlingStr.includes('Q') && at(7, 4) === 'K' && at(7, 0) === 'R',
+    k: castlingStr.includes('k') && at(0, 4) === 'k' && at(0, 7) === 'r',
+    q: castlingStr.includes('q') && at(0, 4) === 'k' && at(0, 0) === 'r',
   };
 
   let enPassant = null;
@@ -308,11 +319,370 @@ function isGameOver(board, state) {
   return !hasAnyLegalMove(board, state, white);
 }
 
-// ── Public engine factory ─────────────────────────────────────────────
+// ── Draw rules ────────────────────────────────────────────────────────
+
+/**
+ * Identity of a position for repetition: placement, side to move, castling
+ * rights and the en-passant square — the latter only if a capture there is
+ * actually legal (FIDE 9.2.2).
+ */
+function positionKey(state) {
+  const fen = boardToFen(state.board, state.turn, state.castling, null, 0, 0).split(' ');
+  let ep = '-';
+  if (state.enPassant) {
+    const [er, ec] = state.enPassant;
+    const white = state.turn === 'w';
+    const pawn = white ? 'P' : 'p';
+    const pr = white ? er + 1 : er - 1;
+    for (const pc of [ec - 1, ec + 1]) {
+      if (inBounds(pr, pc) && state.board[pr][pc] === pawn &&
+          legalMovesFor(state.board, state, pr, pc).some(([r, c]) => r === er && c === ec)) {
+        ep = 'abcdefgh'[ec] + (8 - er);
+      }
+    }
+  }
+  return `${fen[0]} ${fen[1]} ${fen[2]} ${ep}`;
+}
+
+/** How many times `state` has occurred, counting the earlier states in `history` (oldest first). */
+function repetitionsOf(state, history) {
+  const key = positionKey(state);
+  let count = 1;
+  // Only positions since the last capture or pawn move can recur
+  for (let i = history.length - 1, plies = state.halfmove; i >= 0 && plies > 0; i--, plies--) {
+    if (positionKey(history[i]) === key) count++;
+  }
+  return count;
+}
 
-function createGame() {
-  let state = parseFen(INITIAL_FEN);
+/**
+ * Neither side can ever mate: K v K, K + minor v K, or only bishops left
+ * and all of them on squares of one colour.
+ */
+function hasInsufficientMaterial(board) {
+  const others = [];
+  for (let r = 0; r < 8; r++)
+    for (let c = 0; c < 8; c++) {
+      const p = board[r][c];
+      if (!p || p.toLowerCase() === 'k') continue;
+      const t = p.toLowerCase();
+      if (t === 'p' || t === 'r' || t === 'q') return false;
+      others.push({ t, shade: (r + c) % 2 });
+    }
+  if (others.length <= 1) return true;
+  return others.every(o => o.t === 'b' && o.shade === others[0].shade);
+}
+
+/**
+ * True if `white`'s side has enough material to ever deliver mate
+ * (anything beyond a lone king or king + single minor piece).
+ */
+function hasMatingMaterial(board, white) {
+  let minors = 0;
+  for (const row of board)
+    for (const p of row) {
+      if (!p || p.toLowerCase() === 'k' || isWhite(p) !== white) continue;
+      const t = p.toLowerCase();
+      if (t === 'n' || t === 'b') minors++;
+      else return true;
+    }
+  return minors >= 2;
+}
+
+// ── SAN / PGN ─────────────────────────────────────────────────────────
+
+const FILES = 'abcdefgh';
+const PROMOTIONS = ['Q', 'R', 'B', 'N'];
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+// Import size cap (characters) — rooms persist their creation options
+const MAX_IMPORT_LENGTH = 20000;
+// Each imported move is searched for and replayed again on restart and rematch
+const MAX_IMPORT_PLIES = 300;
+
+function squareName([r, c]) { return FILES[c] + (8 - r); }
+
+/** Standard Algebraic Notation for a legal move in `state` (before it is made). */
+function toSan(state, from, to, promotion = null) {
+  const { board } = state;
+  const piece = board[from[0]][from[1]];
+  const type = piece.toUpperCase();
+  const white = isWhite(piece);
+  let san;
+
+  if (type === 'K' && Math.abs(to[1] - from[1]) === 2) {
+    san = to[1] > from[1] ? 'O-O' : 'O-O-O';
+  } else {
+    const ep = state.enPassant;
+    const capture = board[to[0]][to[1]] !== null ||
+      (type === 'P' && ep !== null && ep[0] === to[0] && ep[1] === to[1]);
+    if (type === 'P') {
+      san = (capture ? FILES[from[1]] + 'x' : '') + squareName(to);
+      if (to[0] === 0 || to[0] === 7) san += '=' + (promotion || 'Q').toUpperCase();
+    } else {
+      // Disambiguate from other pieces of the same kind that can reach `to`
+      const rivals = [];
+      for (let r = 0; r < 8; r++)
+        for (let c = 0; c < 8; c++) {
+          if ((r === from[0] && c === from[1]) || board[r][c] !== piece) continue;
+          if (legalMovesFor(board, state, r, c).some(([mr, mc]) => mr === to[0] && mc === to[1])) rivals.push([r, c]);
+        }
+      let dis = '';
+      if (rivals.length) {
+        if (!rivals.some(([, c]) => c === from[1])) dis = FILES[from[1]];
+        else if (!rivals.some(([r]) => r === from[0])) dis = String(8 - from[0]);
+        else dis = squareName(from);
+      }
+      san = type + dis + (capture ? 'x' : '') + squareName(to);
+    }
+  }
+
+  const next = applyMove(state, from, to, promotion);
+  if (isInCheck(next.board, next, !white)) san += hasAnyLegalMove(next.board, next, !white) ? '+' : '#';
+  return san;
+}
+
+/** Every legal move in `state` as { from, to, promotion }. */
+function allLegalMoves(state) {
+  const white = state.turn === 'w';
+  const moves = [];
+  for (let r = 0; r < 8; r++)
+    for (let c = 0; c < 8; c++) {
+      const p = state.board[r][c];
+      if (!p || isWhite(p) !== white) continue;
+      for (const to of legalMovesFor(state.board, state, r, c)) {
+        if (p.toLowerCase() === 'p' && (to[0] === 0 || to[0] === 7)) {
+          for (const prom of PROMOTIONS) moves.push({ from: [r, c], to, promotion: white ? prom : prom.toLowerCase() });
+        } else {
+          moves.push({ from: [r, c], to, promotion: null });
+        }
+      }
+    }
+  return moves;
+}
+
+/** Find the legal move written as `san` in `state`, or null. Tolerates 0-0, e8Q, +/#/!/? suffixes. */
+function parseSan(state, san) {
+  const norm = s => s.replace(/[+#!?]+$/, '').replace(/e\.p\.$/, '').replace(/0/g, 'O').replace('=', '');
+  const wanted = norm(san);
+  // Only moves to the square the SAN names are written out (castling names none)
+  const dest = /([a-h][1-8])[QRBNqrbn]?$/.exec(wanted);
+  return allLegalMoves(state)
+    .filter(m => !dest || squareName(m.to) === dest[1])
+    .find(m => norm(toSan(state, m.from, m.to, m.promotion)) === wanted) || null;
+}
+
+/**
+ * Return an error message for an unusable FEN, else null. Castling rights the
+ * board no longer allows are dropped by parseFen rather than rejected.
+ */
+function fenError(fen) {
+  const parts = fen.trim().split(/\s+/);
+  if (parts.length < 4 || parts.length > 6) return 'FEN must have 4 to 6 fields';
+  const ranks = parts[0].split('/');
+  if (ranks.length !== 8) return 'FEN board must have 8 ranks';
+  for (const rank of ranks) {
+    if (!/^[prnbqkPRNBQK1-8]+$/.test(rank)) return 'FEN board has an invalid character';
+    const width = [...rank].reduce((n, ch) => n + (/\d/.test(ch) ? parseInt(ch) : 1), 0);
+    if (width !== 8) return 'FEN rank does not have 8 squares';
+  }
+  if (!/^[wb]$/.test(parts[1])) return 'FEN side to move must be w or b';
+  if (!/^(-|K?Q?k?q?)$/.test(parts[2]) || parts[2] === '') return 'FEN castling field is invalid';
+  if (!/^(-|[a-h][36])$/.test(parts[3])) return 'FEN en-passant square is invalid';
+  if (parts[4] !== undefined && !/^\d+$/.test(parts[4])) return 'FEN halfmove clock is invalid';
+  if (parts[5] !== undefined && !/^[1-9]\d*$/.test(parts[5])) return 'FEN fullmove number is invalid';
+
+  const state = parseFen(parts.join(' '));
+  const count = p => state.board.flat().filter(x => x === p).length;
+  if (count('K') !== 1 || count('k') !== 1) return 'Each side needs exactly one king';
+  if (/[pP]/.test(ranks[0] + ranks[7])) return 'Pawns cannot stand on the first or last rank';
+  const [white, black] = [findKing(state.board, true), findKing(state.board, false)];
+  if (Math.abs(white[0] - black[0]) <= 1 && Math.abs(white[1] - black[1]) <= 1) {
+    return 'The kings cannot stand next to each other';
+  }
+  if (state.enPassant) {
+    // The square a pawn of the side that just moved skipped: empty, with that pawn in front
+    const [r, c] = state.enPassant;
+    const ahead = state.turn === 'w' ? 1 : -1;
+    if (r !== (state.turn === 'w' ? 2 : 5) || state.board[r][c] || state.board[r - ahead][c] ||
+        state.board[r + ahead][c] !== (state.turn === 'w' ? 'p' : 'P')) {
+      return 'FEN en-passant square does not follow a two-square pawn move';
+    }
+  }
+  if (isInCheck(state.board, state, state.turn !== 'w')) return 'The side not to move is in check';
+  return null;
+}
+
+/** Why no move may follow `state` (mate or an automatic draw), else null. */
+function importEnd(state, history) {
+  if (isGameOver(state.board, state)) return isInCheck(state.board, state, state.turn === 'w') ? 'checkmate' : 'stalemate';
+  if (hasInsufficientMaterial(state.board)) return 'insufficient material';
+  if (state.halfmove >= 150) return 'the seventy-five-move rule';
+  if (repetitionsOf(state, history) >= 5) return 'fivefold repetition';
+  return null;
+}
+
+/** Split PGN text into tags and SAN tokens (comments, variations, NAGs and move numbers removed). */
+function parsePgn(text) {
+  const tags = {};
+  const tagRe = /\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/g;
+  let m;
+  while ((m = tagRe.exec(text)) !== null) tags[m[1]] = m[2].replace(/\\(.)/g, '$1');
+
+  const stripped = text.replace(tagRe, ' ').replace(/\{[^}]*\}/g, ' ').replace(/;[^\n]*/g, ' ');
+  // Drop (variations), nested or not, in one pass; unmatched parentheses stay and fail as moves
+  const out = [];
+  const open = [];
+  for (const ch of stripped) {
+    if (ch === '(') { open.push(out.length); out.push(ch); }
+    else if (ch === ')' && open.length) { out.length = open.pop(); out.push(' '); }
+    else out.push(ch);
+  }
+  const body = out.join('');
+
+  const sans = body.replace(/\$\d+/g, ' ').split(/\s+/)
+    .map(t => t.replace(/^\d+\.+/, ''))
+    .filter(t => t && !RESULTS.includes(t));
+  return { tags, sans };
+}
+
+/**
+ * Build a starting point from user-supplied FEN or PGN text.
+ * Returns { startFen, state, history, moves, uci } or { error } — uci lists the
+ * moves as 'e2e4'/'e7e8q' for storePosition.
+ */
+function importPosition(text) {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'No position given' };
+  if (text.length > MAX_IMPORT_LENGTH) return { error: 'Position text is too long' };
+
+  const trimmed = text.trim();
+  const looksLikeFen = !trimmed.includes('[') && trimmed.split('/').length === 8 && trimmed.split(/\s+/).length <= 6;
+  if (looksLikeFen) {
+    const error = fenError(trimmed);
+    if (error) return { error };
+    const state = parseFen(trimmed);
+    return { startFen: fen(state), state, history: [], moves: [], uci: [] };
+  }
+
+  const { tags, sans } = parsePgn(trimmed);
+  const startFen = tags.FEN ? tags.FEN.trim() : INITIAL_FEN;
+  const error = tags.FEN ? fenError(startFen) : null;
+  if (error) return { error: `PGN FEN tag: ${error}` };
+
+  if (sans.length > MAX_IMPORT_PLIES) return { error: `PGN has more than ${MAX_IMPORT_PLIES} half-moves` };
+
+  let state = parseFen(startFen);
+  const history = [];
+  const moves = [];
+  const uci = [];
+  for (const san of sans) {
+    const ended = importEnd(state, history);
+    if (ended) return { error: `Move "${san}" comes after the game ended by ${ended}` };
+    const found = parseSan(state, san);
+    if (!found) return { error: `Illegal or unreadable move "${san}" after ${moves.length} half-moves` };
+    moves.push({ from: found.from, to: found.to, san: toSan(state, found.from, found.to, found.promotion) });
+    uci.push(squareName(found.from) + squareName(found.to) + (found.promotion || '').toLowerCase());
+    history.push(cloneState(state));
+    state = applyMove(state, found.from, found.to, found.promotion);
+  }
+  return { startFen: fen(parseFen(startFen)), state, history, moves, uci };
+}
+
+/**
+ * Check FEN/PGN text once and boil it down to what a room keeps in
+ * options.startPosition: { fen, moves } with the moves in UCI.
+ * Returns { position } or { error }.
+ */
+function storePosition(text) {
+  const start = importPosition(text);
+  if (start.error) return { error: start.error };
+  return { position: { fen: start.startFen, moves: start.uci } };
+}
+
+/** Replay a stored position (see storePosition); it was checked when stored, so no move search. */
+function replayPosition({ fen: startFen, moves: uci = [] }) {
+  const square = name => [8 - Number(name[1]), FILES.indexOf(name[0])];
+  let state = parseFen(startFen);
   const history = [];
+  const moves = [];
+  for (const m of uci) {
+    const [from, to, promotion] = [square(m.slice(0, 2)), square(m.slice(2, 4)), m[4] || null];
+    moves.push({ from, to, san: toSan(state, from, to, promotion) });
+    history.push(cloneState(state));
+    state = applyMove(state, from, to, promotion);
+  }
+  return { startFen, state, history, moves };
+}
+
+function fen(state) {
+  return boardToFen(state.board, state.turn, state.castling, state.enPassant, state.halfmove, state.fullmove);
+}
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/** Render PGN: Seven Tag Roster first, then any extra tags, then wrapped movetext. */
+function renderPgn(tags, startFen, moves) {
+  const roster = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+  const all = {
+    Event: '?', Site: '?', Date: '????.??.??', Round: '-', White: '?', Black: '?', Result: '*',
+    ...tags
+  };
+  if (startFen !== INITIAL_FEN) { all.SetUp = '1'; all.FEN = startFen; }
+  const keys = [...roster, ...Object.keys(all).filter(k => !roster.includes(k))];
+  const header = keys.map(k => `[${k} "${escapeTag(all[k])}"]`).join('\n');
+
+  const start = parseFen(startFen);
+  let number = start.fullmove;
+  let white = start.turn === 'w';
+  const tokens = [];
+  moves.forEach((mv, i) => {
+    if (white) tokens.push(`${number}.`);
+    else if (i === 0) tokens.push(`${number}...`);
+    tokens.push(mv.san);
+    if (!white) number++;
+    white = !white;
+  });
+  tokens.push(all.Result);
+
+  const lines = [];
+  let line = '';
+  for (const t of tokens) {
+    if (line && line.length + 1 + t.length > 79) { lines.push(line); line = t; }
+    else line = line ? `${line} ${t}` : t;
+  }
+  lines.push(line);
+  return `${header}\n\n${lines.join('\n')}\n`;
+}
+
+// ── Public engine factory ─────────────────────────────────────────────
+
+/**
+ * createGame(saved?, options?) — saved is a snapshot from serialize(); omit for a new game.
+ * options.startPosition: a stored position (see storePosition), or FEN or PGN
+ * text to start from (see importPosition; rooms saved before positions were stored).
+ */
+function createGame(saved = null, options = {}) {
+  if (saved && saved.gameType !== 'chess') throw new Error('Snapshot is not a chess game');
+  let start;
+  if (saved) {
+    start = {
+      startFen: saved.startFen || INITIAL_FEN,
+      state: cloneState(saved.state),
+      history: saved.history.map(cloneState),
+      // Snapshots from before the move list was kept have no SAN for earlier moves
+      moves: saved.moves || saved.history.map(() => ({ from: null, to: null, san: '??' }))
+    };
+  } else if (options.startPosition && typeof options.startPosition === 'object') {
+    start = replayPosition(options.startPosition);
+  } else if (options.startPosition) {
+    start = importPosition(options.startPosition);
+    if (start.error) throw new Error(start.error);
+  } else {
+    start = { startFen: INITIAL_FEN, state: parseFen(INITIAL_FEN), history: [], moves: [] };
+  }
+  const { startFen, history, moves } = start;
+  let state = start.state;
 
   function move(from, to, promotion) {
     const { board, turn } = state;
@@ -329,9 +699,14 @@ function createGame() {
     }
 
     // Normalize promotion piece to correct case
-    let prom = promotion || null;
-    if (prom) prom = white ? prom.toUpperCase() : prom.toLowerCase();
+    let prom = null;
+    if (piece.toLowerCase() === 'p' && (to[0] === 0 || to[0] === 7)) {
+      prom = (promotion || 'Q').toUpperCase();
+      if (!PROMOTIONS.includes(prom)) return { ok: false, reason: 'Invalid promotion piece' };
+      if (!white) prom = prom.toLowerCase();
+    }
 
+    moves.push({ from: [...from], to: [...to], san: toSan(state, from, to, prom) });
     history.push(cloneState(state));
     state = applyMove(state, from, to, prom);
     return { ok: true };
@@ -340,27 +715,64 @@ function createGame() {
   function undo() {
     if (history.length === 0) return false;
     state = history.pop();
+    moves.pop();
     return true;
   }
 
-  function fen() {
-    return boardToFen(state.board, state.turn, state.castling, state.enPassant, state.halfmove, state.fullmove);
+  function currentFen() {
+    return fen(state);
+  }
+
+  /** SAN of every move played, in order. */
+  function moveList() {
+    return moves.map(m => m.san);
+  }
+
+  function lastMove() {
+    const last = moves[moves.length - 1];
+    return last && last.from ? { from: last.from, to: last.to } : null;
+  }
+
+  /** PGN of the game so far; tags override the defaults (Event, White, Result, …). */
+  function pgn(tags = {}) {
+    return renderPgn(tags, startFen, moves);
   }
 
   function turn() { return state.turn; }
 
   function inCheck() { return isInCheck(state.board, state, state.turn === 'w'); }
 
-  function gameOver() { return isGameOver(state.board, state); }
+  /** How many times the current position has occurred (1 = first time). */
+  function repetitions() {
+    return repetitionsOf(state, history);
+  }
+
+  function isCheckmate() {
+    return isGameOver(state.board, state) && isInCheck(state.board, state, state.turn === 'w');
+  }
+
+  function drawReason() {
+    if (isCheckmate()) return null; // mate on the 75th move still counts
+    if (isGameOver(state.board, state)) return 'Stalemate';
+    if (hasInsufficientMaterial(state.board)) return 'Insufficient material';
+    if (state.halfmove >= 150) return 'Seventy-five-move rule';
+    if (repetitions() >= 5) return 'Fivefold repetition';
+    return null;
+  }
+
+  function claimableDraw() {
+    if (gameOver()) return null;
+    if (repetitions() >= 3) return 'Threefold repetition';
+    if (state.halfmove >= 100) return 'Fifty-move rule';
+    return null;
+  }
+
+  function gameOver() { return isCheckmate() || drawReason() !== null; }
 
   function winner() {
-    if (!isGameOver(state.board, state)) return null;
-    // Current side has no moves
-    if (isInCheck(state.board, state, state.turn === 'w')) {
-      // Checkmate — the side that just moved wins
-      return state.turn === 'w' ? 'black' : 'white';
-    }
-    return 'draw'; // stalemate
+    // Checkmate — the side that just moved wins
+    if (isCheckmate()) return state.turn === 'w' ? 'black' : 'white';
+    return drawReason() !== null ? 'draw' : null;
   }
 
   function legalMoves(square) {
@@ -369,7 +781,37 @@ function createGame() {
 
   function boardState() { return cloneBoard(state.board); }
 
-  return { move, undo, fen, turn, inCheck, isGameOver: gameOver, winner, legalMoves, boardState };
+  function canMate(color) { return hasMatingMaterial(state.board, color === 'w'); }
+
+  /** Full-fidelity, JSON-safe snapshot (position, castling/ep/clocks, undo history). */
+  function serialize() {
+    return {
+      gameType: 'chess',
+      startFen,
+      state: cloneState(state),
+      history: history.map(cloneState),
+      moves: moves.map(m => ({ ...m }))
+    };
+  }
+
+  return { move, undo, fen: currentFen, turn, inCheck, isGameOver: gameOver, winner, drawReason, claimableDraw,
+           legalMoves, boardState, canMate, moveList, lastMove, pgn, serialize };
 }
 
-module.exports = { createGame, INITIAL_FEN };
+// ── Registry definition ───────────────────────────────────────────────
+
+const definition = boardGameDefinition({
+  id: 'chess',
+  colors: ['white', 'black'],
+  createGame,
+  winner: engine => engine.winner(),
+  drawReason: engine => engine.drawReason(),
+  canWinOnTime: (engine, seat) => engine.canMate(seat === 0 ? 'w' : 'b'),
+  importPosition: storePosition,
+  bot: true
+});
+
+// Move generation for the computer opponent's search (src/ai/chessAi.js)
+const rules = { allLegalMoves, applyMove, isInCheck };
+
+module.exports = { createGame, importPosition, INITIAL_FEN, rules, definition };
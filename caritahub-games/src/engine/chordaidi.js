@@ -9,13 +9,18 @@
  * Combos:     single | pair | triple | straight | flush | fullhouse | quads | straightflush
  * Turn:       play a strictly higher combo of the same TYPE, or pass.
  *             A new round starts when all others pass — table is cleared, winner plays anything.
- * Win:        first player to empty their hand.
+ * Win:        first player to empty their hand, or the last one left when
+ *             everyone else has resigned.
+ * Resigning:  the seat is skipped from then on and placed last; if it owned
+ *             the table, the table is cleared for the next player to lead.
  *
  * Interface (mirrors chess.js):
- *   createGame() → {
+ *   createGame(saved?) → {
  *     state()        — full serialisable state (sent to clients)
+ *     serialize()    — snapshot for createGame(saved): hands, table, history
  *     play(seat, cardIds)  — returns { ok, reason }
  *     pass(seat)           — returns { ok, reason }
+ *     resign(seat)         — returns { ok, reason }
  *     undo()               — returns false (not supported; satisfies interface)
  *     isGameOver()         — bool
  *     winner()             — seat index 0-3 or null
@@ -150,8 +155,9 @@ function beats(incoming, table) {
 
 // ── Game factory ─────────────────────────────────────────────────────────────
 
-function createGame() {
-  const hands = deal();
+function createGame(saved = null) {
+  if (saved && saved.gameType !== 'chordaidi') throw new Error('Snapshot is not a Chor Dai Di game');
+  const hands = saved ? saved.hands.map(h => [...h]) : deal();
 
   // Find who has 3♦ (id=0)
   let startSeat = hands.findIndex(h => h.includes(0));
@@ -163,12 +169,35 @@ function createGame() {
   let roundFirst   = true;     // first play of the game (must include 3♦)
   let winnerSeat   = null;
   let history      = [];       // [{seat, cardIds, pass}] for undo (not implemented)
+  let resigned     = [];       // seats that have given up
+
+  if (saved) {
+    currentSeat = saved.currentSeat;
+    passCount   = saved.passCount;
+    tableCombo  = saved.tableCardIds ? classifyCombo(saved.tableCardIds) : null;
+    tableOwner  = saved.tableOwner;
+    roundFirst  = saved.roundFirst;
+    winnerSeat  = saved.winnerSeat;
+    history     = saved.history.map(h => ({ ...h }));
+    resigned    = saved.resigned ? [...saved.resigned] : [];
+  }
 
   function isGameOver() { return winnerSeat !== null; }
   function winner()     { return winnerSeat; }
   function turn()       { return currentSeat; }
 
-  function nextSeat(s) { return (s + 1) % 4; }
+  function nextSeat(s) {
+    do s = (s + 1) % 4; while (resigned.includes(s));
+    return s;
+  }
+
+  // Everyone still in has passed since the owner played: the owner leads anew
+  function clearIfAllPassed(owner) {
+    if (currentSeat !== owner) return;
+    tableCombo  = null;
+    passCount   = 0;
+    tableOwner  = null;
+  }
 
   function state() {
     return {
@@ -183,6 +212,7 @@ function createGame() {
       roundFirst,
       isGameOver: isGameOver(),
       winner: winnerSeat,
+      resigned: [...resigned],
     };
   }
 
@@ -260,25 +290,138 @@ function createGame() {
     if (seat !== currentSeat) return { ok: false, reason: 'Not your turn' };
     if (tableCombo === null)  return { ok: false, reason: 'Cannot pass on an empty table' };
 
-    const owner = tableOwner;
     history.push({ seat, pass: true });
     passCount++;
     currentSeat = nextSeat(seat);
+    clearIfAllPassed(tableOwner);
 
-    if (passCount === 3) {
-      // All others passed — owner gets a free turn
-      tableCombo  = null;
-      passCount   = 0;
-      currentSeat = owner;
-      tableOwner  = null;
-    }
+    return { ok: true };
+  }
+
+  function resign(seat) {
+    if (isGameOver()) return { ok: false, reason: 'Game over' };
+    if (resigned.includes(seat)) return { ok: false, reason: 'You have already resigned' };
+    resigned.push(seat);
+    history.push({ seat, resign: true });
 
+    const left = [0, 1, 2, 3].filter(s => !resigned.includes(s));
+    if (left.length === 1) {
+      winnerSeat = left[0];
+      return { ok: true };
+    }
+    // 3♦ leaves with its holder, so nobody has to lead it
+    if (roundFirst && hands[seat].includes(0)) roundFirst = false;
+    if (tableOwner === seat) {
+      tableCombo = null;
+      tableOwner = null;
+      passCount  = 0;
+    }
+    if (currentSeat === seat) {
+      currentSeat = nextSeat(seat);
+      clearIfAllPassed(tableOwner);
+    }
     return { ok: true };
   }
 
   function undo() { return false; } // not supported for card games
 
-  return { state, play, pass: passFixed, undo, isGameOver, winner, turn };
+  function serialize() {
+    return {
+      gameType: 'chordaidi',
+      hands: hands.map(h => [...h]),
+      currentSeat,
+      passCount,
+      tableCardIds: tableCombo ? tableCombo.cards.map(c => c.id) : null,
+      tableOwner,
+      roundFirst,
+      winnerSeat,
+      history: history.map(h => ({ ...h })),
+      resigned: [...resigned],
+    };
+  }
+
+  return { state, play, pass: passFixed, resign, undo, isGameOver, winner, turn, serialize };
 }
 
-module.exports = { createGame };
+// ── Registry definition ──────────────────────────────────────────────────────
+
+const ai = require('../ai');
+
+const COLORS = ['south', 'west', 'north', 'east'];
+
+/** Build the per-player game_state payload (hides other players' cards). */
+function view(engine, room, myColor) {
+  const gs  = engine.state();
+  const mySeat = COLORS.indexOf(myColor);
+  return {
+    gameType: 'chordaidi',
+    myHand:       mySeat >= 0 ? gs.hands[mySeat] : [],
+    handCounts:   gs.hands.map(h => h.length),
+    currentSeat:  gs.currentSeat,
+    tableCombo:   gs.tableCombo,
+    tableOwner:   gs.tableOwner,
+    passCount:    gs.passCount,
+    isGameOver:   gs.isGameOver,
+    winner:       gs.winner,
+    resigned:     gs.resigned,
+    players: room.players.map(p => ({
+      name: p.name, color: p.color, connected: p.socketId !== null || !!p.bot, bot: !!p.bot,
+      seat: COLORS.indexOf(p.color)
+    }))
+  };
+}
+
+const definition = {
+  id: 'chordaidi',
+  colors: COLORS,
+  minPlayers: 4,
+  maxPlayers: 4,
+  perSeatView: true,
+  create: (playerCount, saved) => createGame(saved),
+  view,
+  // Computer seats fill the table and stand in for players who don't come back
+  bot: {
+    levels: ai.LEVELS.chordaidi,
+    takeOver: true,
+    seatToMove: engine => engine.isGameOver() ? null : engine.turn(),
+    play: (engine, seat, level) => ai.think('chordaidi', engine.serialize(), level, seat)
+      .then(cardIds => cardIds ? { event: 'cdi_play', data: { cardIds } } : { event: 'cdi_pass' })
+  },
+  actions: {
+    cdi_play(ctx, { cardIds } = {}) {
+      if (!Array.isArray(cardIds)) return ctx.reject('Invalid combination');
+      const result = ctx.engine.play(ctx.seat, cardIds);
+      if (!result.ok) return ctx.reject(result.reason);
+      ctx.broadcastState();
+    },
+    cdi_pass(ctx) {
+      const result = ctx.engine.pass(ctx.seat);
+      if (!result.ok) return ctx.reject(result.reason);
+      ctx.broadcastState();
+    }
+  },
+  resign: (engine, seat) => engine.resign(seat),
+  outcome(engine, room) {
+    if (!engine.isGameOver()) return null;
+    const { hands, resigned } = engine.state();
+    const winSeat = engine.winner();
+    const winPlayer = room.players.find(p => COLORS.indexOf(p.color) === winSeat);
+    // Everyone else is placed by cards left in hand; resigned seats come last
+    const counts = hands.map((h, s) => (resigned.includes(s) ? Infinity : h.length));
+    const lastStanding = resigned.length === 3;
+    return {
+      winner: winPlayer?.color || null,
+      winnerSeats: [winSeat],
+      placements: counts.map(c => 1 + counts.filter(o => o < c).length),
+      reason: lastStanding
+        ? `${winPlayer?.name || 'Someone'} wins — everyone else resigned`
+        : `${winPlayer?.name || 'Someone'} played all cards!`,
+      cause: lastStanding ? 'resign' : undefined
+    };
+  }
+};
+
+// Combo rules for the computer player (src/ai/chordaidiAi.js)
+const rules = { classifyCombo, beats };
+
+module.exports = { createGame, rules, definition };
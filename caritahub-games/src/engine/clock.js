@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Server-authoritative two-player game clock.
+ *
+ * Time controls (chosen at room creation, as strings):
+ *   '5+3'     — 5 minutes each, +3 s after every move (Fischer increment)
+ *   '15+10'   — 15 minutes each, +10 s
+ *   'move:30' — 30 s for every move; the allowance resets after each move
+ *
+ * Interface:
+ *   parseTimeControl(str)        → control object, or null if invalid
+ *   createClock(control, saved?) → {
+ *     start(seat, now)           — start running for `seat`
+ *     press(seat, now)           — `seat` finished a move: charge time, add increment, switch
+ *     switchTo(seat, now)        — hand the move to `seat` without increment (undo)
+ *     remaining(seat, now)       — ms left for `seat`
+ *     flagged(now)               — seat whose time has run out, or null
+ *     deadline()                 — epoch ms when the running side flags, or null
+ *     state(now)                 — { control, remaining: [ms, ms], running } for clients
+ *     serialize()                — snapshot for createClock(control, saved)
+ *   }
+ */
+
+const PRESETS = ['3+2', '5+3', '10+5', '15+10', '30+0', 'move:30', 'move:60'];
+
+function parseTimeControl(str) {
+  if (typeof str !== 'string') return null;
+  let m = str.match(/^(\d{1,3})\+(\d{1,3})$/);
+  if (m) {
+    const minutes = parseInt(m[1]), increment = parseInt(m[2]);
+    if (minutes < 1 || minutes > 180 || increment > 60) return null;
+    return { id: str, type: 'fischer', initialMs: minutes * 60_000, incrementMs: increment * 1000 };
+  }
+  m = str.match(/^move:(\d{1,4})$/);
+  if (m) {
+    const seconds = parseInt(m[1]);
+    if (seconds < 5 || seconds > 3600) return null;
+    return { id: str, type: 'move', perMoveMs: seconds * 1000 };
+  }
+  return null;
+}
+
+function createClock(control, saved = null) {
+  const fullAllowance = control.type === 'move' ? control.perMoveMs : control.initialMs;
+
+  let remaining = saved ? [...saved.remaining] : [fullAllowance, fullAllowance];
+  let running   = saved ? saved.running : null;  // seat whose clock is ticking
+  // A restored clock resumes from now: time the server was down is not charged
+  let startedAt = running !== null ? Date.now() : null;
+
+  function elapsed(now) {
+    return running === null ? 0 : now - startedAt;
+  }
+
+  function remainingFor(seat, now) {
+    const left = seat === running ? remaining[seat] - elapsed(now) : remaining[seat];
+    return Math.max(0, left);
+  }
+
+  function start(seat, now) {
+    running = seat;
+    startedAt = now;
+  }
+
+  function switchTo(seat, now) {
+    if (running !== null) remaining[running] = remainingFor(running, now);
+    running = seat;
+    startedAt = now;
+  }
+
+  function press(seat, now) {
+    if (control.type === 'move') {
+      remaining[seat] = control.perMoveMs;
+    } else {
+      remaining[seat] = remainingFor(seat, now) + control.incrementMs;
+    }
+    const next = 1 - seat;
+    if (control.type === 'move') remaining[next] = control.perMoveMs;
+    running = next;
+    startedAt = now;
+  }
+
+  function flagged(now) {
+    if (running === null) return null;
+    return remainingFor(running, now) <= 0 ? running : null;
+  }
+
+  function deadline() {
+    if (running === null) return null;
+    return startedAt + remaining[running];
+  }
+
+  function state(now) {
+    return {
+      control: control.id,
+      remaining: [remainingFor(0, now), remainingFor(1, now)],
+      running
+    };
+  }
+
+  function serialize() {
+    const now = Date.now();
+    return { remaining: [remainingFor(0, now), remainingFor(1, now)], running };
+  }
+
+  return { start, press, switchTo, remaining: remainingFor, flagged, deadline, state, serialize };
+}
+
+module.exports = { parseTimeControl, createClock, PRESETS };
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Game-engine registry.
+ *
+ * Each engine module under src/engine/ exports a `definition` describing how
+ * the socket layer should drive it. Adding a game means writing the engine,
+ * exporting its definition and registering it below — socketEvents.js does
+ * not need to change.
+ *
+ * Definition shape:
+ *   {
+ *     id,                          — game type string sent by the lobby ('chess', …)
+ *     colors,                      — seat colours, seat index = position in array
+ *     minPlayers, maxPlayers,      — seats required to start / seats available
+ *     perSeatView,                 — true if view() hides information per seat
+ *     rated?,                      — true for two-player games with Glicko-2 ratings
+ *     timeControls?,               — true if rooms accept a timeControl option (clock.js)
+ *     rulesets?,                   — rule variants a room may choose (options.ruleset);
+ *                                    the first is the default
+ *     importPosition(text)?        — check user text (e.g. FEN/PGN) a room should start
+ *                                    from, once → { position } (stored as
+ *                                    options.startPosition for create()) or { error }
+ *     drawOffers?,                 — true if players may offer/accept draws; an engine
+ *                                    claimableDraw() → reason|null lets an offer end
+ *                                    the game at once when a draw can be claimed
+ *     bot?: { levels, takeOver?, seatToMove(engine), play(engine, seat, level) }
+ *                                  — computer players: seatToMove → seat a bot should act
+ *                                    for now (or null), play → Promise of the action to
+ *                                    take, { event, data } (an `actions` event) or null;
+ *                                    takeOver: a bot stands in for a player who stays
+ *                                    disconnected past the reconnect grace period
+ *     create(playerCount, saved?, options?)
+ *                                  — engine factory; saved is an engine.serialize()
+ *                                    snapshot to resume from, options the room's
+ *                                    creation options ({ timeControl?, ruleset?, startPosition? })
+ *     view(engine, room, color)    — game_state / game_started payload
+ *     actions: { event: fn(ctx, data) }
+ *                                  — socket event handlers; ctx is built by the
+ *                                    socket layer (see socketEvents.js)
+ *     resign(engine, seat)?        — take a seat that gives up out of play → { ok, reason };
+ *                                    outcome() then reports the result once the game is
+ *                                    decided. Without it only two-seat games can be
+ *                                    resigned, and the opponent wins
+ *     outcome(engine, room)        — null while running, else
+ *                                    { winner, winnerSeats, reason, draw?,
+ *                                      placements?, cause? }
+ *                                    placements[seat] = finishing place (1 = first);
+ *                                    defaults to winners 1st, everyone else 2nd
+ *     pgn(engine, room, outcome?)? — game record (PGN text) for the archive, or null
+ *     deadline(engine)?            — epoch ms at which expire() must run, or null
+ *     expire(engine)?              — called by the server timer at the deadline
+ *   }
+ */
+
+const games = new Map();
+
+const REQUIRED = ['id', 'colors', 'minPlayers', 'maxPlayers', 'create', 'view', 'actions', 'outcome'];
+
+/** Add a game definition. Throws on missing fields or a duplicate id. */
+function register(definition) {
+  for (const key of REQUIRED) {
+    if (definition[key] === undefined) throw new Error(`Game definition missing '${key}'`);
+  }
+  if (games.has(definition.id)) throw new Error(`Game '${definition.id}' already registered`);
+  if (definition.maxPlayers > definition.colors.length) {
+    throw new Error(`Game '${definition.id}' has fewer colours than maxPlayers`);
+  }
+  games.set(definition.id, definition);
+  return definition;
+}
+
+/** Return the definition for a game type, or null if unknown. */
+function getGame(id) {
+  return games.get(id) || null;
+}
+
+/** Return all registered game ids in registration order. */
+function gameIds() {
+  return Array.from(games.keys());
+}
+
+register(require('./xiangqi').definition);
+register(require('./chess').definition);
+register(require('./chordaidi').definition);
+register(require('./bingo').definition);
+register(require('./boggle').definition);
+
+module.exports = { register, getGame, gameIds };
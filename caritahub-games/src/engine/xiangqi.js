@@ -8,6 +8,8 @@
  *   N/n = Horse (馬)       R/r = Chariot (車)  C/c = Cannon (炮)  P/p = Pawn (兵/卒)
  */
 
+const { boardGameDefinition } = require('./boardGame');
+
 const INITIAL_FEN = 'rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w';
 
 function parseFen(fen) {
@@ -226,9 +228,246 @@ function isGameOver(board, turn) {
   return true; // no legal moves — current side loses
 }
 
-function createGame() {
-  let state = parseFen(INITIAL_FEN);
-  const history = []; // array of { board, turn } for undo
+function cloneState(s) {
+  return { board: s.board.map(row => [...row]), turn: s.turn };
+}
+
+// ── Notation: WXF, Chinese and ICCS ───────────────────────────────────
+//
+// Files are numbered 1–9 from each player's right: Red's file 1 is column 8,
+// Black's file 1 is column 0. A move is written piece, file, direction
+// (+ forward / - backward / = sideways), then the destination file — or, for
+// pieces moving straight along a file, the number of ranks moved:
+//   WXF      C2=5       H8+7       R1+1
+//   Chinese  炮二平五    馬８進７    車一進一
+// Red uses Chinese numerals, Black full-width digits. Two identical pieces
+// on one file are told apart by front/rear (+/-, 前/後) in place of the file.
+// ICCS gives the from/to squares: files a–i left to right from Red's side,
+// ranks 0–9 from Red's back rank (e.g. h2e2).
+
+const WXF_LETTERS = { k: 'K', a: 'A', b: 'E', n: 'H', r: 'R', c: 'C', p: 'P' };
+const CHINESE_RED = { k: '帥', a: '仕', b: '相', n: '馬', r: '車', c: '炮', p: '兵' };
+const CHINESE_BLACK = { k: '將', a: '士', b: '象', n: '馬', r: '車', c: '砲', p: '卒' };
+const RED_NUMERALS = ['', '一', '二', '三', '四', '五', '六', '七', '八', '九'];
+const BLACK_NUMERALS = ['', '１', '２', '３', '４', '５', '６', '７', '８', '９'];
+const STRAIGHT_MOVERS = 'krcp';
+
+function iccsSquare([r, c]) {
+  return 'abcdefghi'[c] + (9 - r);
+}
+
+/** Notation for the legal move from → to on `board` (before it is made). */
+function notateMove(board, from, to) {
+  const piece = board[from[0]][from[1]];
+  const red = isRed(piece);
+  const kind = piece.toLowerCase();
+  const fileOf = c => red ? 9 - c : c + 1;
+  const numerals = red ? RED_NUMERALS : BLACK_NUMERALS;
+
+  // Same pieces on this file, front (nearest the enemy) first
+  const tandem = [];
+  for (let r = 0; r < 10; r++) if (board[r][from[1]] === piece) tandem.push(r);
+  if (red) tandem.sort((a, b) => a - b); else tandem.sort((a, b) => b - a);
+  const index = tandem.indexOf(from[0]);
+
+  let wxfPrefix = WXF_LETTERS[kind] + fileOf(from[1]);
+  let chinesePrefix = (red ? CHINESE_RED : CHINESE_BLACK)[kind] + numerals[fileOf(from[1])];
+  if (tandem.length === 2) {
+    wxfPrefix = WXF_LETTERS[kind] + (index === 0 ? '+' : '-');
+    chinesePrefix = (index === 0 ? '前' : '後') + (red ? CHINESE_RED : CHINESE_BLACK)[kind];
+  } else if (tandem.length > 2) {
+    wxfPrefix = WXF_LETTERS[kind] + String(index + 1);
+    chinesePrefix = (tandem.length === 3 ? '前中後'[index] : numerals[index + 1]) + (red ? CHINESE_RED : CHINESE_BLACK)[kind];
+  }
+
+  let op, opChinese, dest;
+  if (from[0] === to[0]) {
+    op = '='; opChinese = '平'; dest = fileOf(to[1]);
+  } else {
+    const forward = red ? to[0] < from[0] : to[0] > from[0];
+    op = forward ? '+' : '-';
+    opChinese = forward ? '進' : '退';
+    dest = STRAIGHT_MOVERS.includes(kind) && from[1] === to[1] ? Math.abs(to[0] - from[0]) : fileOf(to[1]);
+  }
+
+  return {
+    from: [...from],
+    to: [...to],
+    wxf: wxfPrefix + op + dest,
+    chinese: chinesePrefix + opChinese + numerals[dest],
+    iccs: iccsSquare(from) + iccsSquare(to)
+  };
+}
+
+/** Recover the move between two consecutive positions (for snapshots without move records). */
+function diffMove(before, after) {
+  let from = null;
+  let to = null;
+  for (let r = 0; r < 10; r++)
+    for (let c = 0; c < 9; c++) {
+      if (before.board[r][c] === after.board[r][c]) continue;
+      if (after.board[r][c] === null) from = [r, c];
+      else to = [r, c];
+    }
+  return from && to ? notateMove(before.board, from, to) : null;
+}
+
+function escapeTag(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/** Render a PGN-style record (WXF movetext), as read by common xiangqi tools. */
+function renderPgn(tags, moves) {
+  const roster = ['Game', 'Event', 'Site', 'Date', 'Round', 'Red', 'Black', 'Result'];
+  const all = {
+    Game: 'Chinese Chess', Event: '?', Site: '?', Date: '????.??.??', Round: '-',
+    Red: '?', Black: '?', Result: '*',
+    ...tags,
+    Format: 'WXF'
+  };
+  const keys = [...roster, ...Object.keys(all).filter(k => !roster.includes(k))];
+  const header = keys.map(k => `[${k} "${escapeTag(all[k])}"]`).join('\n');
+
+  const lines = [];
+  for (let i = 0; i < moves.length; i += 2) {
+    const pair = moves.slice(i, i + 2).map(m => m.wxf).join(' ');
+    lines.push(`${i / 2 + 1}. ${pair}`);
+  }
+  lines.push(all.Result);
+  return `${header}\n\n${lines.join('\n')}\n`;
+}
+
+// ── Repetition: perpetual check and chase ─────────────────────────────
+//
+// When a position occurs for the third time the cycle since its previous
+// occurrence is adjudicated. A side whose every move in the cycle gave check
+// is checking perpetually; one whose every move checked or chased (newly
+// attacked an undefended piece, or a chariot with a horse or cannon) is
+// chasing perpetually.
+//
+// Rulesets:
+//   'axf'    — Asian Xiangqi Federation: perpetual check and perpetual chase
+//              both lose; if both sides offend it is a draw, except that
+//              check against chase loses for the checking side
+//   'casual' — only perpetual check loses; any other repetition is a draw
+
+const RULESETS = ['axf', 'casual'];
+const REPETITION_LIMIT = 3;
+
+/** True if `owner` (red = true) could legally recapture on [r, c] of `board`. */
+function isDefended(board, [r, c], owner) {
+  for (let fr = 0; fr < 10; fr++) {
+    for (let fc = 0; fc < 9; fc++) {
+      const piece = board[fr][fc];
+      if (!piece || isRed(piece) !== owner) continue;
+      if (!getLegalMoves(board, fr, fc).some(([mr, mc]) => mr === r && mc === c)) continue;
+      if (!isInCheck(applyMove(board, [fr, fc], [r, c]), owner)) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Squares of enemy pieces `red` is chasing on `board`. Generals and pawns may
+ * attack freely, and pawns that haven't crossed the river may be attacked freely.
+ */
+function chasedSquares(board, red) {
+  const chased = new Set();
+  for (let r = 0; r < 10; r++) {
+    for (let c = 0; c < 9; c++) {
+      const piece = board[r][c];
+      if (!piece || isRed(piece) !== red) continue;
+      const kind = piece.toLowerCase();
+      if (kind === 'k' || kind === 'p') continue;
+      for (const [tr, tc] of getLegalMoves(board, r, c)) {
+        const target = board[tr][tc];
+        if (!target) continue;
+        const tKind = target.toLowerCase();
+        if (tKind === 'k') continue;
+        if (tKind === 'p' && (red ? tr <= 4 : tr >= 5)) continue; // not across the river
+        const after = applyMove(board, [r, c], [tr, tc]);
+        if (isInCheck(after, red)) continue;
+        const chariotHarried = tKind === 'r' && (kind === 'n' || kind === 'c');
+        if (chariotHarried || !isDefended(after, [tr, tc], !red)) chased.add(`${tr},${tc}`);
+      }
+    }
+  }
+  return chased;
+}
+
+/** Classify a move: { check, chase } — did it give check / start a new chase? */
+function classifyMove(before, after, red) {
+  const check = isInCheck(after, !red);
+  const earlier = chasedSquares(before, red);
+  let chase = false;
+  for (const sq of chasedSquares(after, red)) {
+    if (!earlier.has(sq)) { chase = true; break; }
+  }
+  return { check, chase };
+}
+
+/**
+ * Adjudicate a repetition cycle. plies: [{ red, check, chase }] in move order.
+ * Returns { winner: 'red'|'black'|'draw', reason, cause }.
+ */
+function adjudicateCycle(plies, ruleset) {
+  const offence = red => {
+    const own = plies.filter(p => p.red === red);
+    if (own.length === 0) return null;
+    if (own.every(p => p.check)) return 'check';
+    if (ruleset === 'axf' && own.every(p => p.check || p.chase)) return 'chase';
+    return null;
+  };
+  const redOff = offence(true);
+  const blackOff = offence(false);
+
+  let loser = null;
+  if (redOff && !blackOff) loser = 'red';
+  else if (blackOff && !redOff) loser = 'black';
+  else if (redOff === 'check' && blackOff === 'chase') loser = 'red';
+  else if (blackOff === 'check' && redOff === 'chase') loser = 'black';
+
+  if (!loser) return { winner: 'draw', reason: 'Repetition', cause: 'repetition' };
+  const off = loser === 'red' ? redOff : blackOff;
+  const side = loser === 'red' ? 'Red' : 'Black';
+  return {
+    winner: loser === 'red' ? 'black' : 'red',
+    reason: `${side} loses by perpetual ${off}`,
+    cause: `perpetual_${off}`
+  };
+}
+
+/**
+ * createGame(saved?, options?) — saved is a snapshot from serialize(); omit for a new game.
+ * options.ruleset: 'axf' (default) or 'casual' — see the repetition rules above.
+ */
+function createGame(saved = null, options = {}) {
+  if (saved && saved.gameType !== 'xiangqi') throw new Error('Snapshot is not a xiangqi game');
+  let state = saved ? cloneState(saved.state) : parseFen(INITIAL_FEN);
+  const history = saved ? saved.history.map(cloneState) : []; // array of { board, turn } for undo
+  // moves[i] is the notated move from history[i]; { from, to, wxf, chinese, iccs }
+  const moves = saved && saved.moves
+    ? saved.moves.map(m => ({ ...m }))
+    : history.map((h, i) => diffMove(h, history[i + 1] || state));
+  // plies[i] classifies the move from history[i]; { red, check, chase }
+  const plies = saved && saved.plies
+    ? saved.plies.map(p => ({ ...p }))
+    : history.map(h => ({ red: h.turn === 'w', check: false, chase: false }));
+  const ruleset = (saved && saved.ruleset) || (RULESETS.includes(options.ruleset) ? options.ruleset : 'axf');
+  let ruling = saved ? saved.ruling || null : null;  // set once a repetition is adjudicated
+
+  /** Adjudicate if the current position has now occurred REPETITION_LIMIT times. */
+  function checkRepetition() {
+    const key = boardToFen(state.board, state.turn);
+    let count = 1;
+    let previous = -1;
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (boardToFen(history[i].board, history[i].turn) !== key) continue;
+      if (previous < 0) previous = i;
+      count++;
+    }
+    if (count >= REPETITION_LIMIT) ruling = adjudicateCycle(plies.slice(previous), ruleset);
+  }
 
   function move(from, to) {
     const { board, turn } = state;
@@ -247,14 +486,20 @@ function createGame() {
     const newBoard = applyMove(board, from, to);
     if (isInCheck(newBoard, red)) return { ok: false, reason: 'Move leaves king in check' };
 
-    history.push({ board: board.map(row => [...row]), turn });
+    moves.push(notateMove(board, from, to));
+    history.push(cloneState(state));
+    plies.push({ red, ...classifyMove(board, newBoard, red) });
     state = { board: newBoard, turn: turn === 'w' ? 'b' : 'w' };
+    checkRepetition();
     return { ok: true };
   }
 
   function undo() {
     if (history.length === 0) return false;
     state = history.pop();
+    moves.pop();
+    plies.pop();
+    ruling = null;
     return true;
   }
 
@@ -271,7 +516,12 @@ function createGame() {
   }
 
   function gameOver() {
-    return isGameOver(state.board, state.turn);
+    return ruling !== null || isGameOver(state.board, state.turn);
+  }
+
+  /** Repetition ruling { winner, reason, cause }, or null if none applies. */
+  function adjudication() {
+    return ruling ? { ...ruling } : null;
   }
 
   function legalMoves(square) {
@@ -283,7 +533,59 @@ function createGame() {
     return state.board.map(row => [...row]);
   }
 
-  return { move, undo, fen, turn, inCheck, isGameOver: gameOver, legalMoves, boardState };
+  /** Every move played, in order: [{ wxf, chinese, iccs }]. */
+  function moveList() {
+    return moves.map(m => m && { wxf: m.wxf, chinese: m.chinese, iccs: m.iccs });
+  }
+
+  function lastMove() {
+    const last = moves[moves.length - 1];
+    return last ? { from: last.from, to: last.to } : null;
+  }
+
+  /** PGN-style record of the game so far; tags override the defaults (Event, Red, Result, …). */
+  function pgn(tags = {}) {
+    return renderPgn(tags, moves.filter(Boolean));
+  }
+
+  /** Full-fidelity, JSON-safe snapshot (position, undo history, repetition state). */
+  function serialize() {
+    return {
+      gameType: 'xiangqi',
+      state: cloneState(state),
+      history: history.map(cloneState),
+      moves: moves.map(m => m && { ...m }),
+      plies: plies.map(p => ({ ...p })),
+      ruleset,
+      ruling
+    };
+  }
+
+  return {
+    move, undo, fen, turn, inCheck, isGameOver: gameOver, adjudication,
+    legalMoves, boardState, moveList, lastMove, pgn, serialize
+  };
 }
 
-module.exports = { createGame, INITIAL_FEN };
+// ── Registry definition ───────────────────────────────────────────────
+
+const definition = boardGameDefinition({
+  id: 'xiangqi',
+  colors: ['red', 'black'],
+  createGame,
+  rulesets: RULESETS,
+  // No stalemate draw in xiangqi: the side to move with no legal moves loses
+  winner: engine => {
+    const ruling = engine.adjudication();
+    if (ruling) return ruling.winner;
+    return engine.turn() === 'w' ? 'black' : 'red';
+  },
+  // Every xiangqi draw is a repetition ruling
+  drawReason: engine => (engine.adjudication() || { reason: 'Repetition' }).reason,
+  bot: true
+});
+
+// Move generation for the computer opponent's search (src/ai/xiangqiAi.js)
+const rules = { getLegalMoves, isInCheck, applyMove };
+
+module.exports = { createGame, INITIAL_FEN, RULESETS, rules, definition };
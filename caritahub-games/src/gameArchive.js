@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Archive of finished games' records (PGN), served at /api/games/:id.pgn.
+ *
+ * Every archived game appends one line to $DATA_DIR/games.jsonl:
+ *   { id, gameType, roomId, playedAt, players: [name], pgn }
+ * The log is replayed into memory at startup.
+ */
+
+const crypto = require('crypto');
+const { openLog } = require('./dataLog');
+
+const log = openLog('games.jsonl');
+const games = new Map(); // id → record
+
+for (const record of log.read()) {
+  if (record.id) games.set(record.id, record);
+}
+
+/** Archive a finished game; returns its id. */
+function saveGame(gameType, roomId, players, pgn) {
+  let id;
+  do { id = crypto.randomBytes(5).toString('hex'); } while (games.has(id));
+  const record = { id, gameType, roomId: roomId || '', playedAt: Date.now(), players, pgn };
+  games.set(id, record);
+  log.append(record);
+  return id;
+}
+
+/** Return an archived game record, or null. */
+function getGame(id) {
+  return games.get(id) || null;
+}
+
+module.exports = { saveGame, getGame };
@@ -1,67 +1,107 @@
 'use strict';
 
 /**
- * In-memory leaderboard.
- * Tracks wins per player name per game type.
- * Resets on server restart (no persistence).
+ * Persistent results store and leaderboards.
  *
- * Structure: Map<gameType, Map<playerName, wins>>
+ * Every finished game appends one record to $DATA_DIR/results.jsonl:
+ *   { gameType, roomId, playedAt, players: [{ name, result, place }] }
+ *   result: 'win' | 'loss' | 'draw'    place: 1 = first (ties share a place)
+ *
+ * Records are replayed into memory at startup; boards are aggregated on
+ * demand, optionally restricted to the current week or month (UTC, weeks
+ * start on Monday).
+ *
+ * Board entry: { name, wins, draws, losses, played, firsts, bestPlace }
+ * Sorted by wins, then draws, then fewest losses.
  */
 
-const store = new Map(); // gameType -> Map<playerName, wins>
+const { openLog } = require('./dataLog');
+const registry = require('./engine/registry');
 
-const GAME_TYPES = ['xiangqi', 'chess', 'chordaidi'];
+const log = openLog('results.jsonl');
+const results = log.read();
 
-function _ensureGame(gameType) {
-  if (!store.has(gameType)) store.set(gameType, new Map());
-  return store.get(gameType);
-}
-
-/** Record a win for a player in a given game type. */
-function recordWin(gameType, playerName) {
-  if (!playerName) return;
-  const board = _ensureGame(gameType);
-  board.set(playerName, (board.get(playerName) || 0) + 1);
-}
+const PERIODS = ['all', 'week', 'month'];
 
 /**
- * Return leaderboard for one or all game types.
- * Each entry: { name, wins }
- * Sorted descending by wins, top N entries.
+ * Record a finished game.
+ * standings: [{ name, result: 'win'|'loss'|'draw', place }]
  */
-function getLeaderboard(gameType = null, limit = 10) {
-  const types = gameType ? [gameType] : GAME_TYPES;
+function recordResult(gameType, roomId, standings) {
+  const players = standings
+    .filter(s => s.name)
+    .map(s => ({ name: s.name, result: s.result, place: s.place }));
+  if (players.length === 0) return;
+  const record = { gameType, roomId: roomId || '', playedAt: Date.now(), players };
+  results.push(record);
+  log.append(record);
+}
 
-  // Aggregate across requested game types
-  const agg = new Map();
-  for (const gt of types) {
-    const board = store.get(gt);
-    if (!board) continue;
-    for (const [name, wins] of board) {
-      agg.set(name, (agg.get(name) || 0) + wins);
+/** Epoch ms at which `period` began, relative to `now`. */
+function periodStart(period, now = Date.now()) {
+  if (period === 'week') {
+    const d = new Date(now);
+    const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - daysSinceMonday);
+  }
+  if (period === 'month') {
+    const d = new Date(now);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+  }
+  return 0;
+}
+
+function _aggregate(gameTypes, period) {
+  const since = periodStart(period);
+  const agg = new Map(); // name → entry
+  for (const r of results) {
+    if (!gameTypes.includes(r.gameType) || r.playedAt < since) continue;
+    for (const p of r.players) {
+      let e = agg.get(p.name);
+      if (!e) {
+        e = { name: p.name, wins: 0, draws: 0, losses: 0, played: 0, firsts: 0, bestPlace: null };
+        agg.set(p.name, e);
+      }
+      e.played++;
+      if (p.result === 'win') e.wins++;
+      else if (p.result === 'draw') e.draws++;
+      else e.losses++;
+      if (p.place === 1) e.firsts++;
+      if (p.place && (e.bestPlace === null || p.place < e.bestPlace)) e.bestPlace = p.place;
     }
   }
+  return Array.from(agg.values())
+    .sort((a, b) => b.wins - a.wins || b.draws - a.draws || a.losses - b.losses || a.name.localeCompare(b.name));
+}
 
-  return Array.from(agg.entries())
-    .map(([name, wins]) => ({ name, wins }))
-    .sort((a, b) => b.wins - a.wins)
-    .slice(0, limit);
+/**
+ * Return one leaderboard page.
+ * gameType: a registered game id, or null for all games combined.
+ * Returns { gameType, period, total, offset, limit, entries }.
+ */
+function getLeaderboard(gameType = null, { period = 'all', limit = 10, offset = 0 } = {}) {
+  if (!PERIODS.includes(period)) period = 'all';
+  const types = gameType ? [gameType] : registry.gameIds();
+  const all = _aggregate(types, period);
+  return {
+    gameType,
+    period,
+    total: all.length,
+    offset,
+    limit,
+    entries: all.slice(offset, offset + limit)
+  };
 }
 
 /**
- * Return per-game leaderboards as { gameType: [{ name, wins }] }.
+ * Return per-game leaderboards as { gameType: [entry] } (first page of each).
  */
-function getAllLeaderboards(limit = 10) {
+function getAllLeaderboards(limit = 10, period = 'all') {
   const result = {};
-  for (const gt of GAME_TYPES) {
-    const board = store.get(gt);
-    if (!board) { result[gt] = []; continue; }
-    result[gt] = Array.from(board.entries())
-      .map(([name, wins]) => ({ name, wins }))
-      .sort((a, b) => b.wins - a.wins)
-      .slice(0, limit);
+  for (const gt of registry.gameIds()) {
+    result[gt] = getLeaderboard(gt, { period, limit }).entries;
   }
   return result;
 }
 
-module.exports = { recordWin, getLeaderboard, getAllLeaderboards };
+module.exports = { recordResult, getLeaderboard, getAllLeaderboards, PERIODS };
@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Prometheus metrics, served in the text exposition format at GET /metrics.
+ *
+ * A small in-process registry of counters, gauges and histograms with
+ * labels. Counters and histograms are updated where things happen
+ * (socketEvents.js, roomManager.js); gauges that mirror live state are
+ * filled in at scrape time by collectors registered with onCollect().
+ */
+
+const registered = []; // in exposition order
+const collectors = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/** Series store keyed by label values in labelNames order. */
+function series(labelNames) {
+  const map = new Map(); // key → { values, data }
+  return {
+    get(labels, init) {
+      const values = labelNames.map(n => (labels[n] === undefined ? '' : labels[n]));
+      const key = values.join('\u0000');
+      if (!map.has(key)) map.set(key, { values, data: init() });
+      return map.get(key);
+    },
+    all: () => Array.from(map.values()),
+    clear: () => map.clear()
+  };
+}
+
+function register(metric) {
+  registered.push(metric);
+  return metric;
+}
+
+// ── Metric types ──────────────────────────────────────────────────────
+
+function counter(name, help, labelNames = []) {
+  const s = series(labelNames);
+  if (!labelNames.length) s.get({}, () => ({ value: 0 })); // expose 0 before the first inc
+  return register({
+    inc(labels = {}, n = 1) { s.get(labels, () => ({ value: 0 })).data.value += n; },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...s.all().map(e => `${name}${formatLabels(labelNames, e.values)} ${e.data.value}`)
+    ]
+  });
+}
+
+function gauge(name, help, labelNames = []) {
+  const s = series(labelNames);
+  return register({
+    set(labels, v) { s.get(labels, () => ({ value: 0 })).data.value = v; },
+    inc(labels = {}, n = 1) { s.get(labels, () => ({ value: 0 })).data.value += n; },
+    /** Drop every series (collectors rebuild them on each scrape). */
+    reset: () => s.clear(),
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} gauge`,
+      ...s.all().map(e => `${name}${formatLabels(labelNames, e.values)} ${e.data.value}`)
+    ]
+  });
+}
+
+function histogram(name, help, labelNames, buckets) {
+  const s = series(labelNames);
+  const init = () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 });
+  const metric = register({
+    observe(labels, v) {
+      const { data } = s.get(labels, init);
+      buckets.forEach((le, i) => { if (v <= le) data.counts[i]++; });
+      data.sum += v;
+      data.count++;
+    },
+    /** Start timing; call the returned function to record the elapsed seconds. */
+    startTimer(labels) {
+      const start = process.hrtime.bigint();
+      return () => metric.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...s.all().flatMap(({ values, data }) => [
+        ...buckets.map((le, i) => `${name}_bucket${formatLabels(labelNames, values, `le="${le}"`)} ${data.counts[i]}`),
+        `${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${data.count}`,
+        `${name}_sum${formatLabels(labelNames, values)} ${data.sum}`,
+        `${name}_count${formatLabels(labelNames, values)} ${data.count}`
+      ])
+    ]
+  });
+  return metric;
+}
+
+// ── Metrics ───────────────────────────────────────────────────────────
+
+const rooms = gauge('caritahub_rooms', 'Rooms by game type and status (waiting, in_progress, finished)', ['game_type', 'status']);
+const connectedSockets = gauge('caritahub_connected_sockets', 'Connected Socket.IO clients');
+const spectators = gauge('caritahub_spectators', 'Spectators in rooms by game type', ['game_type']);
+
+const roomsCreated = counter('caritahub_rooms_created_total', 'Rooms created', ['game_type']);
+const roomsDeleted = counter('caritahub_rooms_deleted_total', 'Rooms deleted after everyone left', ['game_type']);
+const reconnects = counter('caritahub_reconnects_total', 'Seats (or spectator places) reclaimed with a seat token', ['game_type']);
+const gamesStarted = counter('caritahub_games_started_total', 'Games started', ['game_type']);
+const gamesEnded = counter('caritahub_games_ended_total', 'Games finished, by outcome (win, draw) and cause', ['game_type', 'outcome', 'cause']);
+const invalidMoves = counter('caritahub_invalid_moves_total', 'Game actions rejected by the rules', ['game_type', 'reason']);
+const joinRateLimited = counter('caritahub_join_rate_limited_total', 'Joins and quick-play requests refused by the per-IP rate limit');
+
+const moveValidation = histogram('caritahub_move_validation_seconds', 'Time to validate and apply a game action', ['game_type'],
+  [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 1]);
+const gameDuration = histogram('caritahub_game_duration_seconds', 'Game length from start to game over', ['game_type'],
+  [30, 60, 120, 300, 600, 900, 1800, 3600, 7200]);
+
+// ── Exposition ────────────────────────────────────────────────────────
+
+/** Run `fn` before every scrape, e.g. to set gauges from live state. */
+function onCollect(fn) {
+  collectors.push(fn);
+}
+
+/** All metrics in the Prometheus text format. */
+function render() {
+  for (const fn of collectors) {
+    try { fn(); } catch (e) { console.warn('Metrics collector failed:', e.message); }
+  }
+  return registered.flatMap(m => m.render()).join('\n') + '\n';
+}
+
+module.exports = {
+  rooms, connectedSockets, spectators,
+  roomsCreated, roomsDeleted, reconnects,
+  gamesStarted, gamesEnded, invalidMoves, joinRateLimited,
+  moveValidation, gameDuration,
+  onCollect, render,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Glicko-2 player ratings for rated games (chess, xiangqi).
+ *
+ * Each finished game is treated as its own rating period, so ratings move
+ * immediately after every game. A player's rating deviation (RD) grows back
+ * towards the default while they are idle (one idle period per week), so
+ * returning players' ratings move faster again.
+ *
+ * Names are free text, so a rating belongs to whoever first played a rated
+ * game under the name with their player key (a random secret each browser
+ * keeps in localStorage). Only the hash of that key is stored; games where
+ * either seat lacks the key the name is bound to are not rated.
+ *
+ * Ratings persist in $DATA_DIR/ratings.jsonl — one line per update, replayed
+ * (last line per player wins) and compacted at startup.
+ *
+ * Rating entry: { gameType, name, keyHash, rating, rd, volatility, games, updatedAt }
+ */
+
+const crypto = require('crypto');
+const { openLog } = require('./dataLog');
+
+const DEFAULT_RATING     = 1500;
+const DEFAULT_RD         = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const TAU                = 0.5;      // constrains volatility change
+const SCALE              = 173.7178; // Glicko ↔ Glicko-2 scale factor
+const IDLE_PERIOD_MS     = 7 * 24 * 60 * 60 * 1000;
+const EPSILON            = 0.000001;
+
+const log = openLog('ratings.jsonl');
+const store = new Map(); // gameType → Map<name, entry>
+
+function _board(gameType) {
+  if (!store.has(gameType)) store.set(gameType, new Map());
+  return store.get(gameType);
+}
+
+function _fresh(gameType, name) {
+  return { gameType, name, keyHash: null, rating: DEFAULT_RATING, rd: DEFAULT_RD, volatility: DEFAULT_VOLATILITY, games: 0, updatedAt: null };
+}
+
+for (const entry of log.read()) {
+  if (!entry.gameType || !entry.name) continue;
+  _board(entry.gameType).set(entry.name, entry);
+}
+log.rewrite(Array.from(store.values()).flatMap(board => Array.from(board.values())));
+
+/** Hash of the player key a name's ratings are bound to (in any game), or null while unbound. */
+function _ownerOf(name) {
+  for (const board of store.values()) {
+    const entry = board.get(name);
+    if (entry && entry.keyHash) return entry.keyHash;
+  }
+  return null;
+}
+
+/** RD after `now - updatedAt` of inactivity (capped at the default RD). */
+function _idleRd(entry, now) {
+  if (!entry.updatedAt) return entry.rd;
+  const periods = Math.floor((now - entry.updatedAt) / IDLE_PERIOD_MS);
+  if (periods <= 0) return entry.rd;
+  const phi = entry.rd / SCALE;
+  const grown = Math.sqrt(phi * phi + periods * entry.volatility * entry.volatility) * SCALE;
+  return Math.min(DEFAULT_RD, grown);
+}
+
+// ── Glicko-2 maths ──────────────────────────────────────────────────────────
+
+function _g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function _expected(mu, muOpp, phiOpp) {
+  return 1 / (1 + Math.exp(-_g(phiOpp) * (mu - muOpp)));
+}
+
+/** New volatility via the Illinois algorithm (Glickman, step 5). */
+function _volatility(phi, sigma, v, delta) {
+  const a = Math.log(sigma * sigma);
+  const f = x => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) { A = B; fA = fB; }
+    else fA = fA / 2;
+    B = C; fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+/**
+ * One Glicko-2 rating period for `player`.
+ * player: { rating, rd, volatility }
+ * games:  [{ opponent: { rating, rd }, score }]   score: 1 win, 0.5 draw, 0 loss
+ * Returns { rating, rd, volatility }.
+ */
+function glicko2(player, games) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.rd / SCALE;
+
+  let vInv = 0;
+  let improvement = 0;
+  for (const { opponent, score } of games) {
+    const muOpp = (opponent.rating - DEFAULT_RATING) / SCALE;
+    const phiOpp = opponent.rd / SCALE;
+    const g = _g(phiOpp);
+    const e = _expected(mu, muOpp, phiOpp);
+    vInv += g * g * e * (1 - e);
+    improvement += g * (score - e);
+  }
+  const v = 1 / vInv;
+  const delta = v * improvement;
+
+  const sigma = _volatility(phi, player.volatility, v, delta);
+  const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: Math.min(DEFAULT_RD, newPhi * SCALE),
+    volatility: sigma
+  };
+}
+
+// ── Public API ──────────────────────────────────────────────────────────────
+
+/** Hash a player key sent by a client; null unless it looks like one (16–128 characters). */
+function hashPlayerKey(key) {
+  if (typeof key !== 'string' || key.length < 16 || key.length > 128) return null;
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/** Current rating for a player (defaults for unrated players), RD adjusted for idle time. */
+function getRating(gameType, name) {
+  const { keyHash, ...entry } = _board(gameType).get(name) || _fresh(gameType, name);
+  return { ...entry, rd: _idleRd(entry, Date.now()) };
+}
+
+/**
+ * Update both players' ratings after a rated two-player game.
+ * a, b: { name, keyHash } — keyHash from hashPlayerKey for the key the player joined with.
+ * scoreA: 1 if A won, 0.5 draw, 0 if B won. Returns [entryA, entryB], or null
+ * if the game can't be rated (same name twice, or a player whose key doesn't
+ * match the one their name is bound to). An unbound name is bound to its key here.
+ */
+function recordGame(gameType, a, b, scoreA) {
+  if (!a.name || !b.name || a.name === b.name) return null;
+  const owned = p => !!p.keyHash && (_ownerOf(p.name) || p.keyHash) === p.keyHash;
+  if (!owned(a) || !owned(b)) return null;
+  const now = Date.now();
+  const [ra, rb] = [a, b].map(p => getRating(gameType, p.name));
+
+  const updated = [
+    { ...ra, ...glicko2(ra, [{ opponent: rb, score: scoreA }]), keyHash: a.keyHash, games: ra.games + 1, updatedAt: now },
+    { ...rb, ...glicko2(rb, [{ opponent: ra, score: 1 - scoreA }]), keyHash: b.keyHash, games: rb.games + 1, updatedAt: now }
+  ];
+  for (const entry of updated) {
+    _board(gameType).set(entry.name, entry);
+    log.append(entry);
+  }
+  return updated.map(({ keyHash, ...entry }) => entry);
+}
+
+/**
+ * Return one page of a game's ratings, highest first.
+ * Returns { gameType, total, offset, limit, entries: [{ name, rating, rd, games }] }.
+ */
+function getRatings(gameType, { limit = 10, offset = 0 } = {}) {
+  const now = Date.now();
+  const all = Array.from(_board(gameType).values())
+    .map(e => ({ name: e.name, rating: Math.round(e.rating), rd: Math.round(_idleRd(e, now)), games: e.games }))
+    .sort((x, y) => y.rating - x.rating || x.rd - y.rd || x.name.localeCompare(y.name));
+  return { gameType, total: all.length, offset, limit, entries: all.slice(offset, offset + limit) };
+}
+
+module.exports = { getRating, recordGame, getRatings, hashPlayerKey, glicko2, DEFAULT_RATING };
@@ -0,0 +1,52 @@
+'use strict';
+
+const { openLog } = require('../dataLog');
+
+/**
+ * IP bans set through the admin API; a banned address cannot open a socket.
+ *
+ * Each ban appends { ip, reason, until, at } to $DATA_DIR/bans.jsonl and each
+ * lift appends { ip, lifted: true }; the log is replayed at startup.
+ * until: expiry timestamp (ms), or null for a ban that lasts until lifted.
+ */
+
+const log = openLog('bans.jsonl');
+const bans = new Map(); // ip → { ip, reason, until, at }
+
+for (const entry of log.read()) {
+  if (!entry.ip) continue;
+  if (entry.lifted) bans.delete(entry.ip);
+  else bans.set(entry.ip, entry);
+}
+
+/** Ban an address, for `minutes` if given. Returns the ban. */
+function ban(ip, { reason = '', minutes = null } = {}) {
+  const entry = { ip, reason, until: minutes ? Date.now() + minutes * 60_000 : null, at: Date.now() };
+  bans.set(ip, entry);
+  log.append(entry);
+  return entry;
+}
+
+/** Lift a ban; false if the address wasn't banned. */
+function lift(ip) {
+  if (!bans.delete(ip)) return false;
+  log.append({ ip, lifted: true });
+  return true;
+}
+
+function isBanned(ip) {
+  const entry = bans.get(ip);
+  if (!entry) return false;
+  if (entry.until !== null && entry.until <= Date.now()) {
+    bans.delete(ip);
+    return false;
+  }
+  return true;
+}
+
+/** Bans still in force. */
+function list() {
+  return Array.from(bans.keys()).filter(isBanned).map(ip => bans.get(ip));
+}
+
+module.exports = { ban, lift, isBanned, list };
@@ -0,0 +1,133 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * In-room text chat.
+ *
+ * Each room has two channels: 'players' (written by seated players, read by
+ * everyone in the room) and 'spectators' (written and read by spectators
+ * only, so onlookers can't coach the players). The last HISTORY_LIMIT
+ * messages of each channel are kept on the room and replayed on join.
+ *
+ * Moderation: messages are capped at MAX_LENGTH, rate-limited per socket,
+ * banned words are masked, and the room host (first human player) can mute
+ * anyone else in the room.
+ *
+ * Banned words come from CHAT_BANNED_WORDS (comma-separated) and/or
+ * CHAT_BANNED_WORDS_FILE (one word per line).
+ */
+
+const MAX_LENGTH = 300;
+const HISTORY_LIMIT = 50;
+const RATE_LIMIT = 5;          // messages …
+const RATE_WINDOW_MS = 10_000; // … per socket per window
+
+function loadBannedWords() {
+  const words = (process.env.CHAT_BANNED_WORDS || '').split(',');
+  if (process.env.CHAT_BANNED_WORDS_FILE) {
+    try {
+      words.push(...fs.readFileSync(process.env.CHAT_BANNED_WORDS_FILE, 'utf8').split('\n'));
+    } catch (e) {
+      console.warn('Could not read CHAT_BANNED_WORDS_FILE:', e.message);
+    }
+  }
+  return words.map(w => w.trim().toLowerCase()).filter(Boolean);
+}
+
+const escapeRegExp = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Chinese and Japanese are written without spaces, so words in them match anywhere
+const UNSPACED = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+/**
+ * One pattern for every banned word: spaced-language words only match whole
+ * (no letter or digit either side, in any script), unspaced ones anywhere.
+ */
+function bannedPatternOf(words) {
+  const whole = words.filter(w => !UNSPACED.test(w)).map(escapeRegExp);
+  const anywhere = words.filter(w => UNSPACED.test(w)).map(escapeRegExp);
+  const parts = [];
+  if (whole.length) parts.push(`(?<![\\p{L}\\p{N}])(?:${whole.join('|')})(?![\\p{L}\\p{N}])`);
+  if (anywhere.length) parts.push(`(?:${anywhere.join('|')})`);
+  return parts.length ? new RegExp(parts.join('|'), 'giu') : null;
+}
+
+const bannedPattern = bannedPatternOf(loadBannedWords());
+
+/** Replace banned words with asterisks (one per character). */
+function maskBanned(text) {
+  return bannedPattern ? text.replace(bannedPattern, w => '*'.repeat([...w].length)) : text;
+}
+
+/** Chat state lives on the room, so it goes away with it. */
+function chatOf(room) {
+  if (!room.chat) room.chat = { players: [], spectators: [], muted: new Set(), nextId: 1 };
+  return room.chat;
+}
+
+/** The player who may moderate: the first human seated in the room. */
+function hostOf(room) {
+  return room.players.find(p => !p.bot) || null;
+}
+
+/**
+ * Record that a socket sent a message; false if it is over the rate limit.
+ * times: the socket's recent send timestamps (mutated).
+ */
+function allowSend(times, now = Date.now()) {
+  while (times.length && times[0] <= now - RATE_WINDOW_MS) times.shift();
+  if (times.length >= RATE_LIMIT) return false;
+  times.push(now);
+  return true;
+}
+
+/**
+ * Post a message. sender: { name, color } (color 'spectator' for spectators).
+ * Returns { message } with the stored message, or { error }.
+ */
+function post(room, sender, text) {
+  if (typeof text !== 'string') return { error: 'Empty message' };
+  const clean = text.replace(/[\u0000-\u001f\u007f]/g, ' ').trim();
+  if (!clean) return { error: 'Empty message' };
+  if (clean.length > MAX_LENGTH) return { error: `Messages are limited to ${MAX_LENGTH} characters` };
+  const chat = chatOf(room);
+  if (chat.muted.has(sender.name)) return { error: 'The host has muted you' };
+
+  const channel = sender.color === 'spectator' ? 'spectators' : 'players';
+  const message = {
+    id: chat.nextId++,
+    channel,
+    from: sender.name,
+    color: sender.color,
+    text: maskBanned(clean),
+    at: Date.now()
+  };
+  chat[channel].push(message);
+  if (chat[channel].length > HISTORY_LIMIT) chat[channel].shift();
+  return { message };
+}
+
+/** Messages a newcomer may see, oldest first (spectators also get their own channel). */
+function history(room, spectator) {
+  const chat = chatOf(room);
+  const messages = spectator ? chat.players.concat(chat.spectators) : chat.players.slice();
+  return messages.sort((a, b) => a.id - b.id);
+}
+
+/** Mute or unmute someone by name. Returns an error message, or null. */
+function setMuted(room, name, muted) {
+  const host = hostOf(room);
+  if (host && host.name === name) return 'The host cannot be muted';
+  const inRoom = room.players.some(p => p.name === name) || room.spectators.some(s => s.name === name);
+  if (!inRoom) return 'No one by that name is in the room';
+  const chat = chatOf(room);
+  if (muted) chat.muted.add(name);
+  else chat.muted.delete(name);
+  return null;
+}
+
+function mutedNames(room) {
+  return Array.from(chatOf(room).muted);
+}
+
+module.exports = { post, history, setMuted, mutedNames, hostOf, allowSend, MAX_LENGTH };
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Quick-play matchmaking queues (in memory; a restart empties them).
+ *
+ * One queue per game type and time control. A match is formed as soon as
+ * enough compatible players are waiting — `size` is the game's minPlayers.
+ * Players in a rated game may ask for a rating band: everyone in the match
+ * must then be within that many points of them (and within their own bands).
+ * Longest-waiting players are matched first.
+ *
+ *   entry: { socketId, name, gameType, timeControl, rating, band, joinedAt }
+ */
+
+const queues = new Map(); // queue key → [entry], oldest first
+
+const keyOf = (gameType, timeControl) => `${gameType}|${timeControl || ''}`;
+
+function compatible(a, b) {
+  if (a.name === b.name) return false; // names must be unique within a room
+  const gap = Math.abs(a.rating - b.rating);
+  return (a.band === null || gap <= a.band) && (b.band === null || gap <= b.band);
+}
+
+/**
+ * Queue a player (replacing any earlier entry for the same socket).
+ * Returns the matched entries — removed from the queue — or null if the
+ * player is now waiting.
+ */
+function join(entry, size) {
+  leave(entry.socketId);
+  const key = keyOf(entry.gameType, entry.timeControl);
+  const queue = queues.get(key) || [];
+  queue.push({ ...entry, joinedAt: Date.now() });
+  queues.set(key, queue);
+
+  for (const anchor of queue) {
+    const group = [anchor];
+    for (const other of queue) {
+      if (group.length === size) break;
+      if (other !== anchor && group.every(g => compatible(g, other))) group.push(other);
+    }
+    if (group.length === size) {
+      queues.set(key, queue.filter(e => !group.includes(e)));
+      return group;
+    }
+  }
+  return null;
+}
+
+/** Remove a socket from whichever queue it is in; returns that queue's key or null. */
+function leave(socketId) {
+  for (const [key, queue] of queues) {
+    const i = queue.findIndex(e => e.socketId === socketId);
+    if (i === -1) continue;
+    queue.splice(i, 1);
+    if (!queue.length) queues.delete(key);
+    return key;
+  }
+  return null;
+}
+
+/** Entries waiting in a queue, oldest first. */
+function waiting(key) {
+  return queues.get(key) || [];
+}
+
+module.exports = { join, leave, waiting, keyOf };
@@ -1,32 +1,114 @@
 'use strict';
 
-// In-memory room store
+const crypto = require('crypto');
+const roomStore = require('./roomStore');
+const seatTokens = require('./seatTokens');
+const metrics = require('../metrics');
+
+// In-memory room store (mirrored to disk by roomStore)
 const rooms = new Map();
 // Grace period timers for reconnection: socketId -> timeout handle
 const reconnectTimers = new Map();
+// Called with the roomId after a room is deleted (see onRoomDeleted)
+const deleteListeners = [];
 
 const RECONNECT_GRACE_MS = 60 * 1000;
+// Unused invite tokens kept per room; creating more drops the oldest
+const MAX_INVITES = 20;
 
 function generateRoomId() {
   return Math.random().toString(36).slice(2, 8).toUpperCase();
 }
 
+function hashPasscode(roomId, passcode) {
+  return crypto.createHash('sha256').update(`${roomId}:${passcode}`).digest('hex');
+}
+
+/** colour → hash of the entry token needed for that reserved seat (colours without one are left out). */
+function hashEntryTokens(roomId, tokens = {}) {
+  const hashes = {};
+  for (const [color, token] of Object.entries(tokens)) {
+    if (token) hashes[color] = hashPasscode(roomId, token);
+  }
+  return hashes;
+}
+
+/** Does `entry` unlock the reserved seat `color`? Seats reserved without a token need none. */
+function entryMatches(room, roomId, color, entry) {
+  const expected = room.entryHashes && room.entryHashes[color];
+  if (!expected) return true;
+  if (typeof entry !== 'string' || !entry) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashPasscode(roomId, entry)), Buffer.from(expected));
+}
+
+/**
+ * options: { gameType, colors, options, public, reserved, entryTokens,
+ *            tournament, passcode, inviteOnly } — see the room fields below.
+ */
 function createRoom(options = {}) {
   const roomId = generateRoomId();
   rooms.set(roomId, {
-    players: [],      // [{ socketId, name, color }]
+    players: [],      // [{ socketId, name, color, bot?, keyHash? }] — bot: difficulty level of a computer seat;
+                      // keyHash: hashed player key the seat was taken with (see ratings.js)
     spectators: [],   // [{ socketId, name }]
     gameState: null,
+    gameType: options.gameType || 'xiangqi',
     colors: options.colors || ['red', 'black'], // game-specific color names
+    options: options.options || {},             // game options chosen at creation (e.g. timeControl)
+    public: !!options.public,                   // listed in the room browser (GET /api/rooms)
+    series: null,     // { games, points: { name: score } } — running score across rematches
+    reserved: options.reserved || null,     // colour → player name; only that player may take the seat…
+    entryHashes: hashEntryTokens(roomId, options.entryTokens), // …and only with their entry token
+    tournament: options.tournament || null, // { id, name, round, board } for tournament games
+    pinned: !!options.reserved,             // kept while empty until released (see releaseRoom)
+    passcodeHash: options.passcode ? hashPasscode(roomId, options.passcode) : null, // newcomers need the passcode…
+    inviteOnly: !!options.inviteOnly,       // …or, in invite-only rooms, must bring an invite token
+    invites: [],                            // unused one-time invite tokens (see createInvite)
+    locked: false,                          // host has closed the room to newcomers
+    revoked: [],                            // names removed by removeMember; their seat tokens are refused
     createdAt: Date.now(),
     deleteTimer: null
   });
+  metrics.roomsCreated.inc({ game_type: rooms.get(roomId).gameType });
   return roomId;
 }
 
-function joinRoom(roomId, socketId, name) {
+/**
+ * Check a newcomer against the room's access rules. A valid invite token
+ * admits them to any unlocked room and is used up.
+ */
+function admit(room, roomId, passcode, invite) {
+  if (room.locked) return { error: 'This room is locked.' };
+  const i = invite ? room.invites.indexOf(invite) : -1;
+  if (i !== -1) {
+    room.invites.splice(i, 1);
+    return {};
+  }
+  if (room.inviteOnly) return { error: 'This room is invite-only. Ask the host for an invite link.' };
+  if (room.passcodeHash) {
+    const given = Buffer.from(hashPasscode(roomId, passcode || ''));
+    if (!passcode || !crypto.timingSafeEqual(given, Buffer.from(room.passcodeHash))) {
+      return { error: passcode ? 'Wrong passcode.' : 'This room needs a passcode.', needsPasscode: true };
+    }
+  }
+  return {};
+}
+
+/**
+ * Seat a socket in a room.
+ * claim: verified seat token payload ({ roomId, name, color }) or null.
+ * spectate: join as a spectator even if a seat is free.
+ * passcode / invite: credentials for a protected room (see admit).
+ * entry: the entry token for a reserved seat (tournament registration).
+ * keyHash: the joiner's hashed player key, kept on their seat for rating.
+ * A seat can only be reclaimed with its token; a new joiner whose name is
+ * already used in the room is rejected.
+ * Returns { room, color, reconnected, seatToken } or { error, needsPasscode? }.
+ */
+function joinRoom(roomId, socketId, name, claim = null, { spectate = false, passcode = null, invite = null, entry = null, keyHash = null } = {}) {
   const room = rooms.get(roomId);
   if (!room) return { error: 'Room not found' };
+  if (claim && claim.roomId !== roomId) return { error: 'Seat token is for a different room' };
 
   // Cancel any pending delete timer when someone joins
   if (room.deleteTimer) {
@@ -40,23 +122,77 @@ function joinRoom(roomId, socketId, name) {
     reconnectTimers.delete(socketId);
   }
 
-  // Check if this player is reconnecting — match by name only.
-  // socketId may be null (clean disconnect) or stale (race with page navigation).
-  const existing = room.players.find(p => p.name === name);
-  if (existing) {
-    existing.socketId = socketId;
-    return { room, color: existing.color, reconnected: true };
+  if (claim) {
+    if (room.revoked.includes(claim.name)) return { error: 'You were removed from this room.' };
+    if (claim.color === 'spectator') {
+      // A spectator's place isn't kept, so coming back is like joining anew
+      if (room.locked) return { error: 'This room is locked.' };
+      room.spectators = room.spectators.filter(s => s.name !== claim.name);
+      room.spectators.push({ socketId, name: claim.name });
+      metrics.reconnects.inc({ game_type: room.gameType });
+      return { room, color: 'spectator', reconnected: true, seatToken: seatTokens.issue(roomId, claim.name, 'spectator') };
+    }
+    const seat = room.players.find(p => p.color === claim.color && p.name === claim.name);
+    if (!seat) return { error: 'Your seat is no longer available' };
+    // socketId may be null (clean disconnect) or stale (race with page navigation)
+    seat.socketId = socketId;
+    delete seat.bot; // back from a computer takeover
+    metrics.reconnects.inc({ game_type: room.gameType });
+
+    return { room, color: seat.color, reconnected: true, seatToken: seatTokens.issue(roomId, seat.name, seat.color) };
   }
 
-  if (room.players.length < room.colors.length) {
-    const color = room.colors[room.players.length];
-    room.players.push({ socketId, name, color });
-    return { room, color, reconnected: false };
+  const taken = room.players.some(p => p.name === name) || room.spectators.some(s => s.name === name);
+  if (taken) return { error: 'That name is already taken in this room. Please choose another.' };
+  const denied = admit(room, roomId, passcode, invite);
+  if (denied.error) return denied;
+  // Let back in through the front door: the new seat token is good again
+  room.revoked = room.revoked.filter(n => n !== name);
+
+  // First free seat (a computer player may already hold an earlier one);
+  // in a room with reserved seats only the named players sit down
+  const color = room.reserved
+    ? room.colors.find(c => room.reserved[c] === name)
+    : room.colors.find(c => !room.players.some(p => p.color === c));
+  if (color && !spectate && room.reserved && !entryMatches(room, roomId, color, entry)) {
+    return { error: 'This seat is reserved. Open your game from the tournament page you registered on.' };
+  }
+  if (color && !spectate) {
+    room.players.push(keyHash ? { socketId, name, color, keyHash } : { socketId, name, color });
+    return { room, color, reconnected: false, seatToken: seatTokens.issue(roomId, name, color) };
   }
 
   // Spectator
   room.spectators.push({ socketId, name });
-  return { room, color: 'spectator', reconnected: false };
+  return { room, color: 'spectator', reconnected: false, seatToken: seatTokens.issue(roomId, name, 'spectator') };
+}
+
+/**
+ * Seat a computer player (driven by socketEvents.js, never by a socket).
+ * Returns the seated player, or null if the colour is taken.
+ */
+function addBot(roomId, color, level) {
+  const room = rooms.get(roomId);
+  if (!room || room.players.some(p => p.color === color)) return null;
+  if (room.reserved && room.reserved[color]) return null;
+  const base = `Computer (${level[0].toUpperCase()}${level.slice(1)})`;
+  let name = base;
+  for (let n = 2; room.players.some(p => p.name === name); n++) name = `${base} ${n}`;
+  const player = { socketId: null, name, color, bot: level };
+  room.players.push(player);
+  return player;
+}
+
+/**
+ * Hand a disconnected player's seat to a computer player. The seat keeps its
+ * name, so the player can still reclaim it with their seat token.
+ */
+function takeOverSeat(roomId, color, level) {
+  const room = rooms.get(roomId);
+  const seat = room && room.players.find(p => p.color === color);
+  if (!seat || seat.socketId !== null || seat.bot) return null;
+  seat.bot = level;
+  return seat;
 }
 
 function leaveRoom(socketId) {
@@ -80,23 +216,121 @@ function leaveRoom(socketId) {
   return null;
 }
 
+/**
+ * Drop a player or spectator from a room altogether (admin kick); their seat
+ * token stops working until they are admitted again as a newcomer.
+ */
+function removeMember(roomId, name) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  room.players = room.players.filter(p => p.name !== name);
+  room.spectators = room.spectators.filter(s => s.name !== name);
+  if (!room.revoked.includes(name)) room.revoked.push(name);
+  return room;
+}
+
 function scheduleRoomCleanup(roomId, room) {
+  if (room.pinned) return;
   if (room.deleteTimer) clearTimeout(room.deleteTimer);
   room.deleteTimer = setTimeout(() => {
     // Only delete if no active players
     const hasActive = room.players.some(p => p.socketId !== null);
-    if (!hasActive) {
-      rooms.delete(roomId);
-    }
+    if (!hasActive) deleteRoom(roomId);
   }, RECONNECT_GRACE_MS);
 }
 
+/** Delete a room now, in memory and on disk (e.g. a new room its creator could not join). */
+function deleteRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+  if (room.deleteTimer) clearTimeout(room.deleteTimer);
+  rooms.delete(roomId);
+  roomStore.remove(roomId);
+  metrics.roomsDeleted.inc({ game_type: room.gameType });
+  for (const fn of deleteListeners) fn(roomId);
+}
+
+/** Run `fn(roomId)` whenever a room is deleted, e.g. to drop state kept per room. */
+function onRoomDeleted(fn) {
+  deleteListeners.push(fn);
+}
+
+/** Issue a one-time invite token for a room, or null if the room is gone. */
+function createInvite(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+  const token = crypto.randomBytes(9).toString('base64url');
+  room.invites.push(token);
+  if (room.invites.length > MAX_INVITES) room.invites.shift();
+  return token;
+}
+
+/** Close (or reopen) a room to newcomers; players and spectators already in it stay. */
+function setLocked(roomId, locked) {
+  const room = rooms.get(roomId);
+  if (room) room.locked = !!locked;
+  return room || null;
+}
+
+/**
+ * Let a pinned room (reserved seats, e.g. a tournament game) be cleaned up
+ * like any other once nobody is in it.
+ */
+function releaseRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room || !room.pinned) return;
+  room.pinned = false;
+  if (!room.players.some(p => p.socketId !== null)) scheduleRoomCleanup(roomId, room);
+}
+
+/**
+ * Re-create a room from a persisted snapshot (see roomStore). All seats start
+ * disconnected; the room is deleted after the usual grace period unless a
+ * player reclaims their seat (pinned rooms wait until released).
+ */
+function restoreRoom(roomId, saved) {
+  const room = {
+    players: saved.players.map(p => {
+      const player = { socketId: null, name: p.name, color: p.color };
+      if (p.bot) player.bot = p.bot;
+      if (p.keyHash) player.keyHash = p.keyHash;
+      return player;
+    }),
+    spectators: [],
+    gameState: null,
+    gameType: saved.gameType,
+    colors: saved.colors,
+    options: saved.options || {},
+    public: !!saved.public,
+    series: saved.series || null,
+    reserved: saved.reserved || null,
+    entryHashes: saved.entryHashes || {},
+    tournament: saved.tournament || null,
+    pinned: !!saved.pinned,
+    passcodeHash: saved.passcodeHash || null,
+    inviteOnly: !!saved.inviteOnly,
+    invites: saved.invites || [],
+    locked: !!saved.locked,
+    revoked: saved.revoked || [],
+    createdAt: saved.createdAt,
+    deleteTimer: null
+  };
+  rooms.set(roomId, room);
+  scheduleRoomCleanup(roomId, room);
+  return room;
+}
+
 function getRoom(roomId) {
   return rooms.get(roomId) || null;
 }
 
+/** Every room as [{ roomId, room }]. */
+function listRooms() {
+  return Array.from(rooms, ([roomId, room]) => ({ roomId, room }));
+}
+
 function roomCount() {
   return rooms.size;
 }
 
-module.exports = { createRoom, joinRoom, leaveRoom, getRoom, roomCount };
+module.exports = { createRoom, joinRoom, addBot, takeOverSeat, createInvite, setLocked, leaveRoom, removeMember, releaseRoom, restoreRoom, deleteRoom, getRoom, listRooms, roomCount, onRoomDeleted, RECONNECT_GRACE_MS };
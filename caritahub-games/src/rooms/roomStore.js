@@ -0,0 +1,93 @@
+'use strict';
+
+const { openLog } = require('../dataLog');
+
+/**
+ * Durable room store — append-only JSONL log on a local volume.
+ *
+ * Every save appends one line `{ roomId, room, engine, savedAt }`; a removal
+ * appends `{ roomId, removed: true }`. On boot the log is replayed (last line
+ * per room wins) and compacted so it only holds live rooms.
+ *
+ * Location: $DATA_DIR/rooms.jsonl (default ./data). Set PERSIST_ROOMS=false
+ * to disable.
+ */
+
+const log     = openLog('rooms.jsonl');
+const enabled = process.env.PERSIST_ROOMS !== 'false';
+
+// Rewrite the log once this many lines have been appended since the last compaction
+const COMPACT_AFTER = 5000;
+
+const latest = new Map(); // roomId → last saved entry
+let appended = 0;
+
+function append(entry) {
+  if (!enabled) return;
+  log.append(entry);
+  if (++appended >= COMPACT_AFTER) compact();
+}
+
+/** Rewrite the log with one line per live room. */
+function compact() {
+  if (!enabled) return;
+  log.rewrite(Array.from(latest.values()));
+  appended = 0;
+}
+
+/** Persist a room and (optionally) its engine snapshot. */
+function save(roomId, room, engineSnapshot = null) {
+  const entry = {
+    roomId,
+    room: {
+      gameType:      room.gameType,
+      colors:        room.colors,
+      options:       room.options,
+      public:        room.public,
+      series:        room.series,
+      reserved:      room.reserved,
+      entryHashes:   room.entryHashes,
+      tournament:    room.tournament,
+      pinned:        room.pinned,
+      passcodeHash:  room.passcodeHash,
+      inviteOnly:    room.inviteOnly,
+      invites:       room.invites,
+      locked:        room.locked,
+      revoked:       room.revoked,
+      createdAt:     room.createdAt,
+      // Sockets don't survive a restart; seats are reclaimed via join_game
+      players:       room.players.map(p => {
+        const player = { name: p.name, color: p.color };
+        if (p.bot) player.bot = p.bot;
+        if (p.keyHash) player.keyHash = p.keyHash;
+        return player;
+      })
+    },
+    engine: engineSnapshot,
+    savedAt: Date.now()
+  };
+  latest.set(roomId, entry);
+  append(entry);
+}
+
+/** Forget a room (deleted after its grace period). */
+function remove(roomId) {
+  if (!latest.has(roomId)) return;
+  latest.delete(roomId);
+  append({ roomId, removed: true });
+}
+
+/** Replay the log and return the live rooms as [{ roomId, room, engine, savedAt }]. */
+function load() {
+  latest.clear();
+  if (!enabled) return [];
+  for (const entry of log.read()) {
+    if (!entry.roomId) continue;
+    if (entry.removed) latest.delete(entry.roomId);
+    else latest.set(entry.roomId, entry);
+  }
+  compact();
+  return Array.from(latest.values());
+}
+
+module.exports = { save, remove, load, LOG_FILE: log.path };
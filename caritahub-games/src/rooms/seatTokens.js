@@ -0,0 +1,62 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+const { DATA_DIR } = require('../dataLog');
+
+/**
+ * Signed seat tokens.
+ *
+ * Issued on `joined`; the holder can later reclaim the same seat (game page
+ * load, reconnect after a network drop or server restart). A token is
+ * `base64url(JSON { r: roomId, n: name, c: color }) + '.' + HMAC-SHA256`.
+ *
+ * Secret: SEAT_TOKEN_SECRET, else a random key generated once and kept in
+ * $DATA_DIR/seat-token.key so tokens stay valid across restarts.
+ */
+
+function loadSecret() {
+  if (process.env.SEAT_TOKEN_SECRET) return process.env.SEAT_TOKEN_SECRET;
+  const keyFile = path.join(DATA_DIR, 'seat-token.key');
+  try {
+    if (fs.existsSync(keyFile)) return fs.readFileSync(keyFile, 'utf8').trim();
+    const key = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(keyFile, key, { mode: 0o600 });
+    return key;
+  } catch (e) {
+    console.warn('Seat token key not persisted; tokens reset on restart:', e.message);
+    return crypto.randomBytes(32).toString('hex');
+  }
+}
+
+const SECRET = loadSecret();
+
+function sign(body) {
+  return crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+}
+
+/** Issue a token for a seat (color may be 'spectator'). */
+function issue(roomId, name, color) {
+  const body = Buffer.from(JSON.stringify({ r: roomId, n: name, c: color })).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+/** Return { roomId, name, color } for a valid token, else null. */
+function verify(token) {
+  if (typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const { r, n, c } = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    return { roomId: r, name: n, color: c };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { issue, verify };
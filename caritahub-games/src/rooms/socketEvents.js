@@ -1,150 +1,514 @@
 'use strict';
 
 const roomManager = require('./roomManager');
-const { createGame: createXiangqiGame }    = require('../engine/xiangqi');
-const { createGame: createChessGame }      = require('../engine/chess');
-const { createGame: createChordaidiGame }  = require('../engine/chordaidi');
-const { createGame: createBingoGame }      = require('../engine/bingo');
-const { createGame: createBoggleGame }     = require('../engine/boggle');
-const analytics = require('../analytics/clickhouse');
+const roomStore = require('./roomStore');
+const seatTokens = require('./seatTokens');
+const chat = require('./chat');
+const matchmaking = require('./matchmaking');
+const bans = require('./bans');
+const registry = require('../engine/registry');
+const { parseTimeControl } = require('../engine/clock');
+const analytics = require('../analytics');
 const leaderboard = require('../leaderboard');
+const ratings = require('../ratings');
+const gameArchive = require('../gameArchive');
+const tournaments = require('../tournaments');
+const metrics = require('../metrics');
 
 // Active game engines per room
 const engines = new Map();
-// Game type per room ('xiangqi' | 'chess')
-const roomGameTypes = new Map();
+// Server-side deadline timers per room (e.g. Boggle round end): roomId → timeoutHandle
+const deadlineTimers = new Map();
+// Pending draw offers: roomId → colour of the offering player
+const drawOffers = new Map();
+// Pending undo requests: roomId → colour of the requesting player
+const undoRequests = new Map();
+// Rooms whose computer player is searching for a move
+const botThinking = new Set();
+// Pending computer takeovers of disconnected seats: `${roomId}:${color}` → timeoutHandle
+const takeoverTimers = new Map();
+// Rematch agreement after a game: roomId → Set of player names who want one
+const rematchVotes = new Map();
+// roomId → when the current game started (for the game duration histogram)
+const gameStarts = new Map();
+
+// Proxy headers are only believed behind a proxy that sets them (Fly sets FLY_APP_NAME)
+const TRUST_PROXY = process.env.TRUST_PROXY ? process.env.TRUST_PROXY === 'true' : !!process.env.FLY_APP_NAME;
+
+/**
+ * The address rate limits and bans apply to. Fly's edge sets Fly-Client-IP;
+ * other proxies append the address they saw to X-Forwarded-For, so only the
+ * last hop is theirs — anything before it came from the client.
+ */
+function clientIp(socket) {
+  const { headers, address } = socket.handshake;
+  if (!TRUST_PROXY) return address;
+  if (headers['fly-client-ip']) return headers['fly-client-ip'].trim();
+  const hops = (headers['x-forwarded-for'] || '').split(',').map(h => h.trim()).filter(Boolean);
+  return hops.length ? hops[hops.length - 1] : address;
+}
 
 // Per-IP join rate limiter (max 10 new joins per minute; reconnects are exempt)
 const joinCounts = new Map();
-function checkJoinRate(ip) {
+function checkJoinRate(socket) {
+  const ip = clientIp(socket);
   const now = Date.now();
   const entry = joinCounts.get(ip) || { count: 0, resetAt: now + 60_000 };
   if (now > entry.resetAt) { entry.count = 0; entry.resetAt = now + 60_000; }
   entry.count++;
   joinCounts.set(ip, entry);
+  if (entry.count > 10) metrics.joinRateLimited.inc();
   return entry.count <= 10;
 }
 
+/** 'waiting', 'in_progress' or 'finished' (a game was played and no new one is on). */
+function statusOf(roomId, room) {
+  return engines.has(roomId) ? 'in_progress' : room.series ? 'finished' : 'waiting';
+}
+
+/** How newcomers get into a room: 'open', 'passcode' or 'invite'. */
+function accessOf(room) {
+  return room.inviteOnly ? 'invite' : room.passcodeHash ? 'passcode' : 'open';
+}
+
 function roomSnapshot(room) {
+  const def = registry.getGame(room.gameType);
   return {
-    players: room.players.map(p => ({ name: p.name, color: p.color, connected: p.socketId !== null })),
-    spectators: room.spectators.map(s => s.name)
+    players: room.players.map(p => {
+      const entry = { name: p.name, color: p.color, connected: p.socketId !== null || !!p.bot };
+      if (p.bot) entry.bot = p.bot;
+      else if (def && def.rated) entry.rating = Math.round(ratings.getRating(room.gameType, p.name).rating);
+      return entry;
+    }),
+    spectators: room.spectators.map(s => s.name),
+    options: room.options,
+    series: room.series,
+    access: accessOf(room),
+    locked: room.locked,
+    reserved: room.reserved,
+    tournament: room.tournament
   };
 }
 
-function gameStatePayload(roomId, room, engine) {
-  const isOver = engine.isGameOver();
-  let winner = null;
-  if (isOver) {
-    // Chess engine exposes winner() directly (handles stalemate draw)
-    if (typeof engine.winner === 'function') {
-      winner = engine.winner();
-    } else {
-      // Xiangqi: losing side is the one whose turn it is at game over
-      winner = engine.turn() === 'w' ? 'black' : 'red';
+// ── Persistence ─────────────────────────────────────────────────────────────
+
+/** Snapshot a room (and its engine, if it can serialise itself) to disk. */
+function persist(roomId) {
+  const room = roomManager.getRoom(roomId);
+  if (!room) return;
+  const engine = engines.get(roomId);
+  const snapshot = engine && typeof engine.serialize === 'function' ? engine.serialize() : null;
+  roomStore.save(roomId, room, snapshot);
+}
+
+/** Rebuild rooms and engines saved before the last shutdown. */
+function rehydrate(io) {
+  let restored = 0;
+  for (const { roomId, room: saved, engine: snapshot } of roomStore.load()) {
+    const def = registry.getGame(saved.gameType);
+    if (!def) continue;
+    const room = roomManager.restoreRoom(roomId, saved);
+    if (snapshot) {
+      try {
+        const engine = def.create(room.players.length, snapshot, room.options);
+        engines.set(roomId, engine);
+        if (def.bot && def.bot.takeOver) room.players.forEach(p => { if (!p.bot) scheduleTakeover(io, roomId, p.color); });
+        settle(io, roomId, room, engine, 'restore', 'restore');
+      } catch (e) {
+        console.warn(`Could not restore game in room ${roomId}:`, e.message);
+      }
     }
+    restored++;
   }
-  return {
-    fen: engine.fen(),
-    turn: engine.turn(),   // 'w' | 'b'
-    inCheck: engine.inCheck(),
-    isGameOver: isOver,
-    winner,
-    players: room.players.map(p => ({ name: p.name, color: p.color, connected: p.socketId !== null }))
-  };
+  if (restored) console.log(`Restored ${restored} room(s) from ${roomStore.LOG_FILE}`);
 }
 
-// ── Chor Dai Di helpers ─────────────────────────────────────────────────────
-const CDI_COLORS = ['south', 'west', 'north', 'east'];
+// ── Generic engine dispatch ─────────────────────────────────────────────────
+
+/** Send the current game state; per-seat games get a personalised view each. */
+function broadcastState(io, roomId, room, engine, event = 'game_state') {
+  const def = registry.getGame(room.gameType);
+  if (!def.perSeatView) {
+    io.to(roomId).emit(event, def.view(engine, room, null));
+    return;
+  }
+  room.players.forEach(p => {
+    if (!p.socketId) return;
+    io.to(p.socketId).emit(event, def.view(engine, room, p.color));
+  });
+  room.spectators.forEach(s => {
+    io.to(s.socketId).emit(event, def.view(engine, room, 'spectator'));
+  });
+}
 
-function seatForColor(color) { return CDI_COLORS.indexOf(color); }
+function clearDeadline(roomId) {
+  if (deadlineTimers.has(roomId)) {
+    clearTimeout(deadlineTimers.get(roomId));
+    deadlineTimers.delete(roomId);
+  }
+}
 
-/** Build the per-player game_state payload (hides other players' cards). */
-function chordaidiPayload(roomId, room, engine, myColor) {
-  const gs  = engine.state();
-  const mySeat = seatForColor(myColor);
-  return {
-    gameType: 'chordaidi',
-    myHand:       mySeat >= 0 ? gs.hands[mySeat] : [],
-    handCounts:   gs.hands.map(h => h.length),
-    currentSeat:  gs.currentSeat,
-    tableCombo:   gs.tableCombo,
-    tableOwner:   gs.tableOwner,
-    passCount:    gs.passCount,
-    isGameOver:   gs.isGameOver,
-    winner:       gs.winner,
-    players: room.players.map((p, i) => ({
-      name: p.name, color: p.color, connected: p.socketId !== null,
-      seat: seatForColor(p.color)
-    }))
-  };
+/** (Re)arm the server timer for games that expose a deadline. */
+function armDeadline(io, roomId, room, engine) {
+  clearDeadline(roomId);
+  const def = registry.getGame(room.gameType);
+  if (!def.deadline) return;
+  const at = def.deadline(engine);
+  if (at === null || at === undefined) return;
+
+  const timer = setTimeout(() => {
+    deadlineTimers.delete(roomId);
+    const eng = engines.get(roomId);
+    const rm  = roomManager.getRoom(roomId);
+    if (!eng || !rm) return;
+    def.expire(eng);
+    broadcastState(io, roomId, rm, eng);
+    settle(io, roomId, rm, eng, 'timer', 'timer');
+  }, Math.max(0, at - Date.now()));
+  deadlineTimers.set(roomId, timer);
 }
 
-/** Broadcast personalised states to all 4 players. */
-function broadcastCDI(io, roomId, room, engine) {
-  room.players.forEach(p => {
-    if (!p.socketId) return;
-    io.to(p.socketId).emit('game_state', chordaidiPayload(roomId, room, engine, p.color));
+/** Drop everything kept for a room that has been deleted: engine, timers, offers and votes. */
+function forgetRoom(roomId) {
+  clearDeadline(roomId);
+  for (const [key, timer] of takeoverTimers) {
+    if (key.startsWith(`${roomId}:`)) {
+      clearTimeout(timer);
+      takeoverTimers.delete(key);
+    }
+  }
+  engines.delete(roomId);
+  drawOffers.delete(roomId);
+  undoRequests.delete(roomId);
+  botThinking.delete(roomId);
+  rematchVotes.delete(roomId);
+  gameStarts.delete(roomId);
+}
+
+/** Per-player leaderboard results derived from a definition outcome. */
+function standings(def, room, outcome) {
+  return room.players.map(p => {
+    const seat = def.colors.indexOf(p.color);
+    const won = outcome.winnerSeats.includes(seat);
+    return {
+      name: p.name,
+      result: outcome.draw ? 'draw' : won ? 'win' : 'loss',
+      place: outcome.placements ? outcome.placements[seat] : (outcome.draw || won ? 1 : 2)
+    };
   });
 }
 
-// ── Bingo helpers ────────────────────────────────────────────────────────────
-const BINGO_COLORS = ['caller', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7', 'p8'];
+/**
+ * Update Glicko-2 ratings for a finished two-player game; returns [{ name, rating, change }],
+ * empty if the game went unrated because a player's key doesn't match their name's.
+ */
+function rate(room, [a, b]) {
+  const gameType = room.gameType;
+  const before = [a, b].map(p => ratings.getRating(gameType, p.name).rating);
+  const scoreA = a.result === 'win' ? 1 : a.result === 'draw' ? 0.5 : 0;
+  const [pa, pb] = [a, b].map(r => ({ name: r.name, keyHash: (room.players.find(p => p.name === r.name) || {}).keyHash }));
+  const updated = ratings.recordGame(gameType, pa, pb, scoreA);
+  if (!updated) return [];
+  return updated.map((e, i) => ({
+    name: e.name,
+    rating: Math.round(e.rating),
+    change: Math.round(e.rating - before[i])
+  }));
+}
 
-function seatForBingoColor(color) { return BINGO_COLORS.indexOf(color); }
+/** Add a finished game to the room's running series score (1 per win, ½ per draw). */
+function recordSeries(room, results) {
+  const series = room.series || { games: 0, points: {} };
+  series.games++;
+  results.forEach(r => {
+    series.points[r.name] = (series.points[r.name] || 0) + (r.result === 'win' ? 1 : r.result === 'draw' ? 0.5 : 0);
+  });
+  room.series = series;
+}
 
-function bingoPayload(roomId, room, engine) {
-  const gs = engine.state();
-  return {
-    gameType: 'bingo',
-    called:      gs.called,
-    lastCalled:  gs.lastCalled,
-    cards:       gs.cards,
-    marked:      gs.marked,
-    isGameOver:  gs.isGameOver,
-    winners:     gs.winners,
-    callerSeat:  gs.callerSeat,
-    playerCount: gs.playerCount,
-    players: room.players.map(p => ({
-      name: p.name, color: p.color, connected: p.socketId !== null,
-      seat: seatForBingoColor(p.color)
-    }))
+/**
+ * End the game: announce, record results, drop the engine.
+ * Games against a computer player are not rated and stay off the leaderboard.
+ */
+function finishGame(io, roomId, room, outcome, actorId, actorName) {
+  const def = registry.getGame(room.gameType);
+  const results = standings(def, room, outcome);
+  const vsBot = room.players.some(p => p.bot);
+  recordSeries(room, results);
+  const gameOver = { winner: outcome.winner, reason: outcome.reason, series: room.series };
+  if (room.tournament) gameOver.tournament = room.tournament;
+  if (def.rated && !vsBot && results.length === 2) gameOver.ratings = rate(room, results);
+  const engine = engines.get(roomId);
+  const record = def.pgn && engine ? def.pgn(engine, room, outcome) : null;
+  if (record) gameOver.gameId = gameArchive.saveGame(room.gameType, roomId, results.map(r => r.name), record);
+  io.to(roomId).emit('game_over', gameOver);
+  if (!vsBot) leaderboard.recordResult(room.gameType, roomId, results);
+  if (room.tournament) tournaments.recordGame(roomId, results);
+  clearDeadline(roomId);
+  drawOffers.delete(roomId);
+  undoRequests.delete(roomId);
+  engines.delete(roomId);
+  persist(roomId);
+  // Duration is unknown for a game that was running when the server restarted
+  const duration = gameStarts.has(roomId) ? (Date.now() - gameStarts.get(roomId)) / 1000 : null;
+  gameStarts.delete(roomId);
+  const payload = { winner: outcome.winner, gameType: room.gameType };
+  if (outcome.cause) payload.reason = outcome.cause;
+  if (duration !== null) payload.duration = duration;
+  analytics.logEvent('game_ended', roomId, actorId, actorName, payload);
+  metrics.gamesEnded.inc({
+    game_type: room.gameType,
+    outcome: outcome.draw || outcome.winner === 'draw' ? 'draw' : 'win',
+    cause: outcome.cause || 'normal'
+  });
+  if (duration !== null) metrics.gameDuration.observe({ game_type: room.gameType }, duration);
+}
+
+/**
+ * After any state change: finish the game if it ended, else re-arm its timer
+ * and let a computer player move if it is its turn.
+ */
+function settle(io, roomId, room, engine, actorId, actorName) {
+  const def = registry.getGame(room.gameType);
+  const outcome = def.outcome(engine, room);
+  if (outcome) {
+    finishGame(io, roomId, room, outcome, actorId, actorName);
+  } else {
+    armDeadline(io, roomId, room, engine);
+    persist(roomId);
+    driveBots(io, roomId, room, engine);
+  }
+}
+
+/**
+ * Apply a definition action for a seated player and settle the room.
+ * actor: { id, name, seat, color, reject(reason), reply(event, payload) } —
+ * a player's socket, or a computer player (see driveBots).
+ */
+function runAction(io, roomId, room, engine, actor, event, data) {
+  const def = registry.getGame(room.gameType);
+  const ctx = {
+    engine,
+    room,
+    roomId,
+    seat: actor.seat,
+    color: actor.color,
+    reject: reason => {
+      metrics.invalidMoves.inc({ game_type: room.gameType, reason });
+      actor.reject(reason);
+    },
+    reply: actor.reply,
+    broadcast: (evt, payload) => io.to(roomId).emit(evt, payload),
+    broadcastState: () => broadcastState(io, roomId, room, engine),
+    log: (eventType, payload = {}) =>
+      analytics.logEvent(eventType, roomId, actor.id, actor.name, { ...payload, gameType: room.gameType })
   };
+  // Any move lapses a pending draw offer or undo request
+  drawOffers.delete(roomId);
+  undoRequests.delete(roomId);
+  const done = metrics.moveValidation.startTimer({ game_type: room.gameType });
+  try {
+    def.actions[event](ctx, data || {});
+  } finally {
+    done();
+  }
+  if (engines.get(roomId) === engine) settle(io, roomId, room, engine, actor.id, actor.name);
 }
 
-function broadcastBingo(io, roomId, room, engine) {
-  io.to(roomId).emit('game_state', bingoPayload(roomId, room, engine));
+/** Create the engine for a room's seated players and tell everyone the game is on. */
+function startGame(io, roomId, room, actorId, actorName) {
+  const def = registry.getGame(room.gameType);
+  const engine = def.create(room.players.length, null, room.options);
+  engines.set(roomId, engine);
+
+  broadcastState(io, roomId, room, engine, 'game_started');
+  armDeadline(io, roomId, room, engine);
+  persist(roomId);
+  analytics.logEvent('game_started', roomId, actorId, actorName, { gameType: room.gameType });
+  metrics.gamesStarted.inc({ game_type: room.gameType });
+  gameStarts.set(roomId, Date.now());
+  driveBots(io, roomId, room, engine);
 }
 
-// ── Boggle helpers ───────────────────────────────────────────────────────────
-const BOGGLE_COLORS = ['red', 'blue', 'green', 'purple'];
+// ── Rematch ─────────────────────────────────────────────────────────────────
 
-function seatForBoggleColor(color) { return BOGGLE_COLORS.indexOf(color); }
+/**
+ * Start the next game of the series in the same room. Two-player games swap
+ * colours; larger games rotate everyone one seat along the occupied seats.
+ * Seat tokens are colour-bound, so each player gets a new one with
+ * rematch_started and their page rejoins in its new seat.
+ */
+function startRematch(io, roomId, room) {
+  const def = registry.getGame(room.gameType);
+  rematchVotes.delete(roomId);
 
-function bogglePayload(roomId, room, engine) {
-  const gs = engine.state();
-  return {
-    gameType: 'boggle',
-    board:              gs.board,
-    timeLeft:           gs.timeLeft,
-    startTime:          gs.startTime,
-    roundSeconds:       gs.roundSeconds,
-    submissionCounts:   gs.submissionCounts,
-    isGameOver:         gs.isGameOver,
-    scores:             gs.scores,
-    words:              gs.words,
-    playerCount:        gs.playerCount,
-    players: room.players.map(p => ({
-      name: p.name, color: p.color, connected: p.socketId !== null,
-      seat: seatForBoggleColor(p.color)
-    }))
-  };
+  const occupied = room.colors.filter(c => room.players.some(p => p.color === c));
+  const next = new Map(occupied.map((c, i) => [c, occupied[(i + 1) % occupied.length]]));
+  room.players.forEach(p => { p.color = next.get(p.color); });
+
+  const engine = def.create(room.players.length, null, room.options);
+  engines.set(roomId, engine);
+
+  room.players.forEach(p => {
+    if (!p.socketId) return;
+    const sock = io.sockets.sockets.get(p.socketId);
+    if (sock) sock.data.color = p.color;
+    io.to(p.socketId).emit('rematch_started', {
+      color: p.color,
+      seatToken: seatTokens.issue(roomId, p.name, p.color),
+      series: room.series
+    });
+  });
+  room.spectators.forEach(s => io.to(s.socketId).emit('rematch_started', { color: 'spectator', series: room.series }));
+
+  armDeadline(io, roomId, room, engine);
+  persist(roomId);
+  analytics.logEvent('game_started', roomId, 'rematch', '', { gameType: room.gameType, rematch: true, game: room.series.games + 1 });
+  metrics.gamesStarted.inc({ game_type: room.gameType });
+  gameStarts.set(roomId, Date.now());
+  driveBots(io, roomId, room, engine);
+}
+
+/** Record a player's agreement to a rematch; starts it once every human has agreed. */
+function voteRematch(io, socket, roomId, room) {
+  if (engines.has(roomId)) return socket.emit('error', { message: 'The game is still in progress' });
+  if (!room.series) return socket.emit('error', { message: 'No game has been played yet' });
+  if (room.tournament) return socket.emit('error', { message: 'Tournament games cannot be rematched' });
+  const votes = rematchVotes.get(roomId) || new Set();
+  votes.add(socket.data.playerName);
+  rematchVotes.set(roomId, votes);
+
+  const humans = room.players.filter(p => !p.bot);
+  if (humans.every(p => votes.has(p.name))) return startRematch(io, roomId, room);
+  io.to(roomId).emit('rematch_requested', {
+    from: socket.data.playerName,
+    agreed: Array.from(votes),
+    waitingFor: humans.filter(p => !votes.has(p.name)).map(p => p.name)
+  });
+}
+
+// ── Computer players ────────────────────────────────────────────────────────
+
+/** If a computer player is due to act, ask the AI for its action and apply it. */
+function driveBots(io, roomId, room, engine) {
+  const def = registry.getGame(room.gameType);
+  if (!def.bot || botThinking.has(roomId)) return;
+  const seat = def.bot.seatToMove(engine);
+  if (seat === null || seat === undefined) return;
+  const player = room.players.find(p => p.color === def.colors[seat]);
+  if (!player || !player.bot) return;
+
+  botThinking.add(roomId);
+  def.bot.play(engine, seat, player.bot)
+    .then(action => {
+      botThinking.delete(roomId);
+      // The game may have ended (resignation, flag) or moved on while the bot thought,
+      // or the seat's player may have come back
+      if (!action || !player.bot || engines.get(roomId) !== engine || def.bot.seatToMove(engine) !== seat) return;
+      runAction(io, roomId, room, engine, {
+        id: 'bot',
+        name: player.name,
+        seat,
+        color: player.color,
+        reject: reason => console.warn(`Computer player in room ${roomId} made an invalid move: ${reason}`),
+        reply: () => {}
+      }, action.event, action.data);
+    })
+    .catch(err => {
+      botThinking.delete(roomId);
+      console.warn(`Computer player in room ${roomId} failed:`, err.message);
+    });
+}
+
+/**
+ * For games whose bots can stand in (bot.takeOver): if a player is still gone
+ * when the reconnect grace period ends, a computer player takes their seat
+ * until they reclaim it.
+ */
+function scheduleTakeover(io, roomId, color) {
+  const key = `${roomId}:${color}`;
+  clearTimeout(takeoverTimers.get(key));
+  takeoverTimers.set(key, setTimeout(() => {
+    takeoverTimers.delete(key);
+    const room = roomManager.getRoom(roomId);
+    const engine = engines.get(roomId);
+    if (!room || !engine) return;
+    const def = registry.getGame(room.gameType);
+    const seat = roomManager.takeOverSeat(roomId, color, def.bot.levels[0]);
+    if (!seat) return;
+    io.to(roomId).emit('player_replaced', { playerName: seat.name });
+    io.to(roomId).emit('room_update', roomSnapshot(room));
+    broadcastState(io, roomId, room, engine);
+    analytics.logEvent('bot_takeover', roomId, 'bot', seat.name, { color, gameType: room.gameType });
+    persist(roomId);
+    driveBots(io, roomId, room, engine);
+  }, roomManager.RECONNECT_GRACE_MS));
 }
 
-// Active server-side round timers
-const boggleTimers = new Map(); // roomId → timeoutHandle
+// ── Matchmaking ─────────────────────────────────────────────────────────────
+
+/** Tell everyone waiting in a queue how many players are there and who's next. */
+function sendQueueStatus(io, key) {
+  const queue = matchmaking.waiting(key);
+  queue.forEach((entry, i) => {
+    io.to(entry.socketId).emit('queue_status', {
+      gameType: entry.gameType,
+      timeControl: entry.timeControl,
+      waiting: queue.length,
+      position: i + 1,
+      waitedMs: Date.now() - entry.joinedAt
+    });
+  });
+}
+
+/**
+ * Seat a matched group in a new room (colours in random order) and start the
+ * game straight away. Each player gets `joined` (with matched: true) and then
+ * `game_started`, as if they had joined and started from the lobby.
+ */
+function startMatch(io, group) {
+  const { gameType, timeControl } = group[0];
+  const def = registry.getGame(gameType);
+  const roomId = roomManager.createRoom({
+    gameType,
+    colors: def.colors.slice(0, group.length),
+    options: timeControl ? { timeControl } : {}
+  });
+  const shuffled = [...group].sort(() => Math.random() - 0.5);
+  let room;
+  for (const entry of shuffled) {
+    const sock = io.sockets.sockets.get(entry.socketId);
+    const result = roomManager.joinRoom(roomId, entry.socketId, entry.name, null, { keyHash: entry.keyHash });
+    room = result.room;
+    sock.join(roomId);
+    sock.data.roomId = roomId;
+    sock.data.playerName = entry.name;
+    sock.data.color = result.color;
+    sock.emit('joined', { roomId, color: result.color, reconnected: false, seatToken: result.seatToken, matched: true });
+    analytics.logEvent('player_joined', roomId, entry.socketId, entry.name, { color: result.color, gameType, matched: true });
+  }
+  io.to(roomId).emit('room_update', roomSnapshot(room));
+  startGame(io, roomId, room, 'matchmaking', 'matchmaking');
+}
 
 module.exports = function wireEvents(io) {
+  rehydrate(io);
+  roomManager.onRoomDeleted(forgetRoom);
+
+  // Addresses banned through the admin API can't connect
+  io.use((socket, next) => (bans.isBanned(clientIp(socket)) ? next(new Error('banned')) : next()));
+
+  // Live gauges for /metrics, read from the room table at scrape time
+  metrics.onCollect(() => {
+    metrics.rooms.reset();
+    metrics.spectators.reset();
+    for (const { roomId, room } of roomManager.listRooms()) {
+      metrics.rooms.inc({ game_type: room.gameType, status: statusOf(roomId, room) });
+      metrics.spectators.inc({ game_type: room.gameType }, room.spectators.filter(s => s.socketId).length);
+    }
+    metrics.connectedSockets.set({}, io.engine.clientsCount);
+  });
+
   io.on('connection', socket => {
     console.log('connect', socket.id);
 
@@ -153,36 +517,94 @@ module.exports = function wireEvents(io) {
 
     // ── Join / Create room ──────────────────────────────────────────
     // Accepts both 'join_game' (new standard) and 'join_xiangqi' (backward compat)
-    const handleJoin = ({ roomId, playerName, reconnect, gameType = 'xiangqi' }) => {
-      if (!reconnect) {
-        const ip = socket.handshake.headers['x-forwarded-for'] || socket.handshake.address;
-        if (!checkJoinRate(ip)) {
+    // Game pages rejoin with reconnect: true and the seatToken issued on `joined`.
+    // New rooms may carry a timeControl ('5+3', 'move:30', …) for games that support clocks,
+    // a ruleset for games with rule variants, a startPosition (FEN/PGN) to resume from
+    // and a computer opponent, bot: { level, color }, for games that have one.
+    // visibility: 'public' lists a new room in the room browser (default 'private');
+    // spectate: true joins an existing room as a spectator even if a seat is free.
+    // A new room may be protected by a passcode (4–20 characters) or be inviteOnly;
+    // newcomers to a protected room send the passcode or a one-time invite token.
+    // entry: the tournament entry token that unlocks a player's reserved seat.
+    // playerKey: the browser's player key; rated games count only for seats taken with one.
+    const handleJoin = ({ roomId, playerName, reconnect, seatToken, gameType = 'xiangqi', timeControl, ruleset, startPosition, bot, visibility, spectate, passcode, inviteOnly, invite, entry, playerKey }) => {
+      const claim = seatToken ? seatTokens.verify(seatToken) : null;
+      if (reconnect && !claim) {
+        return socket.emit('error', { message: 'Your seat could not be verified. Please rejoin from the lobby.' });
+      }
+      if (!claim) {
+        if (!checkJoinRate(socket)) {
           return socket.emit('error', { message: 'Too many join attempts. Please wait a moment.' });
         }
       }
-      if (!playerName || !playerName.trim()) {
+      if (claim) playerName = claim.name;
+      if (typeof playerName !== 'string' || !playerName.trim()) {
         return socket.emit('error', { message: 'Please enter your name.' });
       }
       const name = playerName.trim().slice(0, 30);
 
       let targetRoomId = roomId;
       if (!targetRoomId) {
-        let colors;
-        if (gameType === 'chess')          colors = ['white', 'black'];
-        else if (gameType === 'chordaidi') colors = ['south', 'west', 'north', 'east'];
-        else if (gameType === 'bingo')     colors = BINGO_COLORS.slice(); // 8 seats
-        else if (gameType === 'boggle')    colors = BOGGLE_COLORS.slice(0, 4); // up to 4
-        else                               colors = ['red', 'black'];
-        targetRoomId = roomManager.createRoom({ colors });
-        roomGameTypes.set(targetRoomId, gameType);
+        // A seat token belongs to an existing room
+        if (claim) return socket.emit('error', { message: 'Seat token is for a different room' });
+        const def = registry.getGame(gameType);
+        if (!def) return socket.emit('error', { message: 'Unknown game type.' });
+        const options = {};
+        if (timeControl) {
+          if (!def.timeControls || !parseTimeControl(timeControl)) {
+            return socket.emit('error', { message: 'Invalid time control.' });
+          }
+          options.timeControl = timeControl;
+        }
+        if (ruleset) {
+          if (!def.rulesets || !def.rulesets.includes(ruleset)) {
+            return socket.emit('error', { message: 'Unknown ruleset.' });
+          }
+          options.ruleset = ruleset;
+        }
+        if (startPosition) {
+          if (!def.importPosition) return socket.emit('error', { message: 'This game cannot start from a position.' });
+          const imported = def.importPosition(startPosition);
+          if (imported.error) return socket.emit('error', { message: `Could not load position: ${imported.error}` });
+          options.startPosition = imported.position;
+        }
+        if (passcode !== undefined && (typeof passcode !== 'string' || passcode.length < 4 || passcode.length > 20)) {
+          return socket.emit('error', { message: 'The passcode must be 4 to 20 characters.' });
+        }
+        const colors = def.colors.slice(0, def.maxPlayers);
+        if (bot && (!def.bot || !def.bot.levels.includes(bot.level) || !colors.includes(bot.color))) {
+          return socket.emit('error', { message: 'Invalid computer opponent.' });
+        }
+        targetRoomId = roomManager.createRoom({
+          gameType, colors, options, public: visibility === 'public', passcode, inviteOnly: !!inviteOnly
+        });
+        // The creator is the room's first invitee
+        invite = roomManager.createInvite(targetRoomId);
+        if (bot) roomManager.addBot(targetRoomId, bot.color, bot.level);
       }
 
-      const result = roomManager.joinRoom(targetRoomId, socket.id, name);
+      const result = roomManager.joinRoom(targetRoomId, socket.id, name, claim, {
+        spectate: !!spectate,
+        passcode: typeof passcode === 'string' ? passcode : null,
+        invite: typeof invite === 'string' ? invite : null,
+        entry: typeof entry === 'string' ? entry : null,
+        keyHash: ratings.hashPlayerKey(playerKey)
+      });
       if (result.error) {
-        return socket.emit('error', { message: result.error });
+        // Don't leave behind a room nobody got into
+        if (!roomId) roomManager.deleteRoom(targetRoomId);
+        const error = { message: result.error };
+        if (result.needsPasscode) error.needsPasscode = true;
+        return socket.emit('error', error);
       }
 
+      // Joining a room by hand takes the player out of any quick-play queue
+      const queueKey = matchmaking.leave(socket.id);
+      if (queueKey) sendQueueStatus(io, queueKey);
+
       socket.join(targetRoomId);
+      // Spectators also get their own chat channel
+      if (result.color === 'spectator') socket.join(`${targetRoomId}:spectators`);
       socket.data.roomId = targetRoomId;
       socket.data.playerName = name;
       socket.data.color = result.color;
@@ -190,36 +612,70 @@ module.exports = function wireEvents(io) {
       socket.emit('joined', {
         roomId: targetRoomId,
         color: result.color,
-        reconnected: result.reconnected
+        reconnected: result.reconnected,
+        seatToken: result.seatToken
       });
 
       const room = result.room;
+      const host = chat.hostOf(room);
+      socket.emit('chat_history', {
+        messages: chat.history(room, result.color === 'spectator'),
+        muted: chat.mutedNames(room),
+        isHost: !!host && host.name === name && result.color !== 'spectator'
+      });
 
       // If game already in progress, send current state to reconnecting player
       if (engines.has(targetRoomId)) {
-        const engine = engines.get(targetRoomId);
-        const gt = roomGameTypes.get(targetRoomId) || 'xiangqi';
-        if (gt === 'chordaidi') {
-          socket.emit('game_state', chordaidiPayload(targetRoomId, room, engine, socket.data.color));
-        } else if (gt === 'bingo') {
-          socket.emit('game_state', bingoPayload(targetRoomId, room, engine));
-        } else if (gt === 'boggle') {
-          socket.emit('game_state', bogglePayload(targetRoomId, room, engine));
-        } else {
-          socket.emit('game_state', gameStatePayload(targetRoomId, room, engine));
-        }
+        const def = registry.getGame(room.gameType);
+        socket.emit('game_state', def.view(engines.get(targetRoomId), room, socket.data.color));
       }
 
+      if (!result.reconnected && result.color !== 'spectator') persist(targetRoomId);
       io.to(targetRoomId).emit('room_update', roomSnapshot(room));
-      analytics.logEvent('player_joined', targetRoomId, socket.id, name, { color: result.color, gameType });
+      analytics.logEvent('player_joined', targetRoomId, socket.id, name, { color: result.color, gameType: room.gameType });
     };
 
-    socket.on('join_game',    handleJoin);
-    socket.on('join_xiangqi', (data) => handleJoin({ ...data, gameType: data.gameType || 'xiangqi' }));
+    socket.on('join_game',    (data) => handleJoin(data || {}));
+    socket.on('join_xiangqi', (data) => handleJoin({ ...data, gameType: (data && data.gameType) || 'xiangqi' }));
+
+    // ── Quick play ──────────────────────────────────────────────────
+    // queue_join { gameType, playerName, timeControl?, ratingBand?, playerKey? } waits for
+    // opponents (queue_status while waiting); a match seats everyone in a new
+    // room and starts the game. queue_leave cancels.
+    socket.on('queue_join', (data) => {
+      const { gameType, playerName, timeControl, ratingBand, playerKey } = data || {};
+      if (socket.data.roomId) return socket.emit('error', { message: 'You are already in a game room.' });
+      const def = registry.getGame(gameType);
+      if (!def) return socket.emit('error', { message: 'Unknown game type.' });
+      if (typeof playerName !== 'string' || !playerName.trim()) return socket.emit('error', { message: 'Please enter your name.' });
+      if (timeControl && (!def.timeControls || !parseTimeControl(timeControl))) {
+        return socket.emit('error', { message: 'Invalid time control.' });
+      }
+      const band = ratingBand ? parseInt(ratingBand) : null;
+      if (band !== null && (!def.rated || !(band > 0))) return socket.emit('error', { message: 'Invalid rating band.' });
+      if (!checkJoinRate(socket)) return socket.emit('error', { message: 'Too many join attempts. Please wait a moment.' });
+
+      const name = playerName.trim().slice(0, 30);
+      const entry = {
+        socketId: socket.id,
+        name,
+        gameType: def.id,
+        timeControl: timeControl || null,
+        rating: def.rated ? ratings.getRating(def.id, name).rating : 0,
+        band,
+        keyHash: ratings.hashPlayerKey(playerKey)
+      };
+      const group = matchmaking.join(entry, def.minPlayers);
+      if (group) startMatch(io, group);
+      else sendQueueStatus(io, matchmaking.keyOf(entry.gameType, entry.timeControl));
+    });
 
-    // ── Chor Dai Di: required player count ──────────────────────────
-    // start_game is repurposed — for CDI we need 4 players
-    // The 'start_game' handler below already handles the count check
+    socket.on('queue_leave', () => {
+      const key = matchmaking.leave(socket.id);
+      if (!key) return;
+      socket.emit('queue_left');
+      sendQueueStatus(io, key);
+    });
 
     // ── Start game ──────────────────────────────────────────────────
     socket.on('start_game', () => {
@@ -229,304 +685,456 @@ module.exports = function wireEvents(io) {
       if (!room) return;
       if (engines.has(roomId)) return; // already started
 
-      const gameType = roomGameTypes.get(roomId) || 'xiangqi';
-      const requiredPlayers = gameType === 'chordaidi' ? 4 : 2;
-      if (room.players.length < requiredPlayers) {
-        return socket.emit('error', { message: `Waiting for ${requiredPlayers - room.players.length} more player(s).` });
+      const def = registry.getGame(room.gameType);
+      if (room.players.length < def.minPlayers) {
+        return socket.emit('error', { message: `Waiting for ${def.minPlayers - room.players.length} more player(s).` });
       }
 
-      let engine;
-      if (gameType === 'chess')          engine = createChessGame();
-      else if (gameType === 'chordaidi') engine = createChordaidiGame();
-      else if (gameType === 'bingo')     engine = createBingoGame(room.players.length);
-      else if (gameType === 'boggle')    engine = createBoggleGame(room.players.length);
-      else                               engine = createXiangqiGame();
-      engines.set(roomId, engine);
-
-      if (gameType === 'chordaidi') {
-        // Send each player their personalised state (private hand)
-        room.players.forEach(p => {
-          if (!p.socketId) return;
-          io.to(p.socketId).emit('game_started', chordaidiPayload(roomId, room, engine, p.color));
-        });
-      } else if (gameType === 'bingo') {
-        io.to(roomId).emit('game_started', bingoPayload(roomId, room, engine));
-      } else if (gameType === 'boggle') {
-        io.to(roomId).emit('game_started', bogglePayload(roomId, room, engine));
-        // Auto-end round after 60 seconds
-        const timer = setTimeout(() => {
-          const eng = engines.get(roomId);
-          const rm  = roomManager.getRoom(roomId);
-          if (!eng || !rm) return;
-          eng.endRound();
-          const payload = bogglePayload(roomId, rm, eng);
-          io.to(roomId).emit('game_state', payload);
-          // Determine winner and record
-          const winSeat = eng.winner();
-          const winPlayer = rm.players.find(p => seatForBoggleColor(p.color) === winSeat);
-          if (winPlayer) leaderboard.recordWin('boggle', winPlayer.name);
-          const winnerColor = winPlayer?.color || null;
-          io.to(roomId).emit('game_over', {
-            winner: winnerColor,
-            reason: winPlayer ? `${winPlayer.name} wins with ${eng.state().scores[winSeat]} points!` : "Time's up!"
-          });
-          engines.delete(roomId);
-          roomGameTypes.delete(roomId);
-          boggleTimers.delete(roomId);
-          analytics.logEvent('game_ended', roomId, 'timer', 'timer', { winner: winnerColor, gameType: 'boggle' });
-        }, 60_000);
-        boggleTimers.set(roomId, timer);
-      } else {
-        const payload = gameStatePayload(roomId, room, engine);
-        io.to(roomId).emit('game_started', payload);
-      }
-      analytics.logEvent('game_started', roomId, socket.id, socket.data.playerName, { gameType });
+      startGame(io, roomId, room, socket.id, socket.data.playerName);
     });
 
-    // ── Make move ───────────────────────────────────────────────────
-    socket.on('make_move', ({ from, to, promotion }) => {
+    // ── Add computer player ─────────────────────────────────────────
+    // Fills the next free seat of a room that hasn't started, for games with bots.
+    socket.on('add_bot', (data) => {
       const roomId = socket.data.roomId;
       if (!roomId) return;
-      const engine = engines.get(roomId);
-      if (!engine) return socket.emit('invalid_move', { reason: 'Game not started' });
-
       const room = roomManager.getRoom(roomId);
-      if (!room) return;
-
-      // Verify it is this socket's color's turn
-      const playerColor = socket.data.color;
-      const engineTurn = engine.turn();
-      const gameType = roomGameTypes.get(roomId) || 'xiangqi';
-      const firstColor = gameType === 'chess' ? 'white' : 'red';
-
-      if ((engineTurn === 'w' && playerColor !== firstColor) ||
-          (engineTurn === 'b' && playerColor !== 'black')) {
-        return socket.emit('invalid_move', { reason: 'Not your turn' });
-      }
-
-      if (engine.isGameOver()) {
-        return socket.emit('invalid_move', { reason: 'Game is over' });
-      }
+      if (!room || engines.has(roomId)) return;
+      if (!room.players.some(p => p.socketId === socket.id)) return; // players only
+      const def = registry.getGame(room.gameType);
+      if (!def.bot) return socket.emit('error', { message: 'This game has no computer players.' });
+      if (room.reserved) return socket.emit('error', { message: 'Tournament seats are kept for the registered players.' });
+      const { level = def.bot.levels[0] } = data || {};
+      if (!def.bot.levels.includes(level)) return socket.emit('error', { message: 'Invalid computer opponent.' });
+      const color = room.colors.find(c => !room.players.some(p => p.color === c));
+      if (!color) return socket.emit('error', { message: 'The room is full.' });
+      const bot = roomManager.addBot(roomId, color, level);
+      if (!bot) return socket.emit('error', { message: 'That seat cannot take a computer player.' });
+      persist(roomId);
+      io.to(roomId).emit('room_update', roomSnapshot(room));
+      analytics.logEvent('bot_added', roomId, socket.id, socket.data.playerName, { color, level, gameType: room.gameType, bot: bot.name });
+    });
 
-      const result = engine.move(from, to, promotion || null);
-      if (!result.ok) {
-        return socket.emit('invalid_move', { reason: result.reason });
-      }
+    // ── Game actions (make_move, cdi_play, bingo_call, …) ───────────
+    // Every event named in a registered definition's `actions` is routed to
+    // the engine of the room this socket sits in.
+    const actionEvents = new Set();
+    for (const id of registry.gameIds()) {
+      Object.keys(registry.getGame(id).actions).forEach(evt => actionEvents.add(evt));
+    }
 
-      const payload = gameStatePayload(roomId, room, engine);
-      io.to(roomId).emit('game_state', payload);
-      analytics.logEvent('move_made', roomId, socket.id, socket.data.playerName, { from, to, gameType });
+    for (const evt of actionEvents) {
+      socket.on(evt, (data) => {
+        const roomId = socket.data.roomId;
+        if (!roomId) return;
+        const room = roomManager.getRoom(roomId);
+        if (!room) return;
+        const def = registry.getGame(room.gameType);
+        if (!def.actions[evt]) return;
+        const engine = engines.get(roomId);
+        if (!engine) return socket.emit('invalid_move', { reason: 'Game not started' });
+
+        const seat = def.colors.indexOf(socket.data.color);
+        if (seat < 0) return; // spectators cannot act
+
+        runAction(io, roomId, room, engine, {
+          id: socket.id,
+          name: socket.data.playerName,
+          seat,
+          color: socket.data.color,
+          reject: reason => socket.emit('invalid_move', { reason }),
+          reply: (event, payload) => socket.emit(event, payload)
+        }, evt, data);
+      });
+    }
 
-      if (payload.isGameOver) {
-        if (payload.winner) {
-          const winPlayer = room.players.find(p => p.color === payload.winner);
-          if (winPlayer) leaderboard.recordWin(gameType, winPlayer.name);
-        }
-        analytics.logEvent('game_ended', roomId, socket.id, socket.data.playerName, { winner: payload.winner, gameType });
-      }
+    // ── Undo request ────────────────────────────────────────────────
+    socket.on('request_undo', () => {
+      const roomId = socket.data.roomId;
+      if (!roomId) return;
+      const room = roomManager.getRoom(roomId);
+      if (!room || !engines.has(roomId) || socket.data.color === 'spectator') return;
+      const opponent = room.players.find(p => p.color !== socket.data.color && p.socketId);
+      if (!opponent) return socket.emit('error', { message: 'Opponent not connected' });
+      undoRequests.set(roomId, socket.data.color);
+      io.to(opponent.socketId).emit('undo_requested', { from: socket.data.playerName });
+      analytics.logEvent('undo_requested', roomId, socket.id, socket.data.playerName);
     });
 
-    // ── Chor Dai Di: play cards ──────────────────────────────────────
-    socket.on('cdi_play', ({ cardIds }) => {
+    // ── Approve undo ────────────────────────────────────────────────
+    // Only the opponent of the player with a pending request can approve it.
+    socket.on('approve_undo', () => {
       const roomId = socket.data.roomId;
       if (!roomId) return;
       const engine = engines.get(roomId);
-      if (!engine) return socket.emit('invalid_move', { reason: 'Game not started' });
+      if (!engine) return;
       const room = roomManager.getRoom(roomId);
       if (!room) return;
-
-      const seat = seatForColor(socket.data.color);
-      const result = engine.play(seat, cardIds);
-      if (!result.ok) return socket.emit('invalid_move', { reason: result.reason });
-
-      broadcastCDI(io, roomId, room, engine);
-      if (engine.isGameOver()) {
-        const winSeat = engine.winner();
-        const winPlayer = room.players.find(p => seatForColor(p.color) === winSeat);
-        io.to(roomId).emit('game_over', { winner: winPlayer?.color || null, reason: `${winPlayer?.name || 'Someone'} played all cards!` });
-        if (winPlayer) leaderboard.recordWin('chordaidi', winPlayer.name);
-        engines.delete(roomId);
-        roomGameTypes.delete(roomId);
-      }
+      const requestedBy = undoRequests.get(roomId);
+      if (!requestedBy || requestedBy === socket.data.color || socket.data.color === 'spectator') return;
+      undoRequests.delete(roomId);
+      if (typeof engine.undo !== 'function' || !engine.undo()) return;
+      drawOffers.delete(roomId);
+      broadcastState(io, roomId, room, engine);
+      // The clock now runs for the other side, and a computer player may be to move
+      settle(io, roomId, room, engine, socket.id, socket.data.playerName);
     });
 
-    // ── Chor Dai Di: pass ────────────────────────────────────────────
-    socket.on('cdi_pass', () => {
+    // ── Decline undo ────────────────────────────────────────────────
+    socket.on('decline_undo', () => {
       const roomId = socket.data.roomId;
       if (!roomId) return;
-      const engine = engines.get(roomId);
-      if (!engine) return socket.emit('invalid_move', { reason: 'Game not started' });
       const room = roomManager.getRoom(roomId);
       if (!room) return;
-
-      const seat = seatForColor(socket.data.color);
-      const result = engine.pass(seat);
-      if (!result.ok) return socket.emit('invalid_move', { reason: result.reason });
-
-      broadcastCDI(io, roomId, room, engine);
+      const requestedBy = undoRequests.get(roomId);
+      if (!requestedBy || requestedBy === socket.data.color || socket.data.color === 'spectator') return;
+      undoRequests.delete(roomId);
+      const requester = room.players.find(p => p.color === requestedBy && p.socketId);
+      if (!requester) return;
+      io.to(requester.socketId).emit('undo_declined');
     });
 
-    // ── Bingo: caller draws next number ─────────────────────────────
-    socket.on('bingo_call', () => {
+    // ── Resign ──────────────────────────────────────────────────────
+    socket.on('resign', () => {
       const roomId = socket.data.roomId;
       if (!roomId) return;
-      const engine = engines.get(roomId);
-      if (!engine) return socket.emit('error', { message: 'Game not started' });
       const room = roomManager.getRoom(roomId);
       if (!room) return;
-
-      const seat = seatForBingoColor(socket.data.color);
-      const result = engine.callNumber(seat);
-      if (!result.ok) return socket.emit('error', { message: result.reason });
-
-      broadcastBingo(io, roomId, room, engine);
-
-      if (engine.isGameOver()) {
-        const ws = engine.winners();
-        // Record wins for all winner seats
-        ws.forEach(w => {
-          const wp = room.players.find(p => seatForBingoColor(p.color) === w.seat);
-          if (wp) leaderboard.recordWin('bingo', wp.name);
-        });
-        const winNames = ws.map(w => {
-          const wp = room.players.find(p => seatForBingoColor(p.color) === w.seat);
-          return wp?.name || '?';
-        });
-        io.to(roomId).emit('game_over', {
-          winner: winNames.join(', '),
-          reason: `BINGO! ${winNames.join(' & ')} won!`
-        });
-        engines.delete(roomId);
-        roomGameTypes.delete(roomId);
-        analytics.logEvent('game_ended', roomId, socket.id, socket.data.playerName, { winner: winNames.join(', '), gameType: 'bingo' });
+      const engine = engines.get(roomId);
+      if (!engine) return;
+      if (!room.players.some(p => p.socketId === socket.id)) {
+        return socket.emit('error', { message: 'Only players can resign' });
+      }
+      const def = registry.getGame(room.gameType);
+      // The game decides what one seat giving up means for everyone else
+      if (def.resign) {
+        const result = def.resign(engine, def.colors.indexOf(socket.data.color));
+        if (!result.ok) return socket.emit('error', { message: result.reason });
+        analytics.logEvent('player_resigned', roomId, socket.id, socket.data.playerName, { gameType: room.gameType });
+        broadcastState(io, roomId, room, engine);
+        return settle(io, roomId, room, engine, socket.id, socket.data.playerName);
       }
+      if (room.players.length !== 2) return socket.emit('error', { message: 'This game cannot be resigned' });
+      // Opponent of the resigning player wins
+      const winnerPlayer = room.players.find(p => p.color !== socket.data.color);
+      finishGame(io, roomId, room, {
+        winner: winnerPlayer?.color || null,
+        winnerSeats: winnerPlayer ? [def.colors.indexOf(winnerPlayer.color)] : [],
+        reason: `${socket.data.playerName} resigned`,
+        cause: 'resign'
+      }, socket.id, socket.data.playerName);
     });
 
-    // ── Boggle: submit a word ────────────────────────────────────────
-    socket.on('boggle_submit', ({ word }) => {
+    // ── Offer draw ──────────────────────────────────────────────────
+    socket.on('offer_draw', () => {
       const roomId = socket.data.roomId;
       if (!roomId) return;
-      const engine = engines.get(roomId);
-      if (!engine) return socket.emit('error', { message: 'Game not started' });
       const room = roomManager.getRoom(roomId);
-      if (!room) return;
-
-      const seat = seatForBoggleColor(socket.data.color);
-      const result = engine.submitWord(seat, word);
-      if (!result.ok) return socket.emit('boggle_reject', { word, reason: result.reason });
+      const engine = engines.get(roomId);
+      if (!room || !engine) return;
+      const def = registry.getGame(room.gameType);
+      if (!def.drawOffers || socket.data.color === 'spectator') return;
+
+      // A claimable draw (threefold repetition, fifty-move rule) needs no agreement
+      const claim = typeof engine.claimableDraw === 'function' ? engine.claimableDraw() : null;
+      if (claim) {
+        return finishGame(io, roomId, room, {
+          winner: 'draw', winnerSeats: [], draw: true,
+          reason: `${claim} — ${socket.data.playerName} claimed a draw`,
+          cause: 'draw_claim'
+        }, socket.id, socket.data.playerName);
+      }
 
-      // Confirm to submitter; broadcast updated counts to all
-      socket.emit('boggle_accept', { word: result.word });
-      io.to(roomId).emit('boggle_counts', {
-        submissionCounts: engine.state().submissionCounts
-      });
+      if (drawOffers.has(roomId)) return socket.emit('error', { message: 'A draw offer is already pending' });
+      const opponent = room.players.find(p => p.color !== socket.data.color && p.socketId);
+      if (!opponent) return socket.emit('error', { message: 'Opponent not connected' });
+      drawOffers.set(roomId, socket.data.color);
+      io.to(opponent.socketId).emit('draw_offered', { from: socket.data.playerName });
+      analytics.logEvent('draw_offered', roomId, socket.id, socket.data.playerName);
     });
 
-    // ── Boggle: host ends round early ────────────────────────────────
-    socket.on('boggle_end', () => {
+    // ── Accept draw ─────────────────────────────────────────────────
+    socket.on('accept_draw', () => {
       const roomId = socket.data.roomId;
       if (!roomId) return;
-      const engine = engines.get(roomId);
-      if (!engine) return;
       const room = roomManager.getRoom(roomId);
-      if (!room) return;
-      // Only the red (seat 0 / host) player can end early
-      if (socket.data.color !== 'red') return;
-
-      // Cancel auto-timer
-      if (boggleTimers.has(roomId)) {
-        clearTimeout(boggleTimers.get(roomId));
-        boggleTimers.delete(roomId);
-      }
-
-      engine.endRound();
-      const payload = bogglePayload(roomId, room, engine);
-      io.to(roomId).emit('game_state', payload);
-
-      const winSeat = engine.winner();
-      const winPlayer = room.players.find(p => seatForBoggleColor(p.color) === winSeat);
-      if (winPlayer) leaderboard.recordWin('boggle', winPlayer.name);
-      const winnerColor = winPlayer?.color || null;
-      io.to(roomId).emit('game_over', {
-        winner: winnerColor,
-        reason: winPlayer ? `${winPlayer.name} wins with ${engine.state().scores[winSeat]} points!` : "Game over!"
-      });
-      engines.delete(roomId);
-      roomGameTypes.delete(roomId);
-      analytics.logEvent('game_ended', roomId, socket.id, socket.data.playerName, { winner: winnerColor, gameType: 'boggle' });
+      if (!room || !engines.has(roomId)) return;
+      const offeredBy = drawOffers.get(roomId);
+      if (!offeredBy || offeredBy === socket.data.color || socket.data.color === 'spectator') return;
+      finishGame(io, roomId, room, {
+        winner: 'draw', winnerSeats: [], draw: true,
+        reason: 'Draw agreed',
+        cause: 'draw_agreed'
+      }, socket.id, socket.data.playerName);
     });
 
-    // ── Undo request ────────────────────────────────────────────────
-    socket.on('request_undo', () => {
+    // ── Decline draw ────────────────────────────────────────────────
+    socket.on('decline_draw', () => {
       const roomId = socket.data.roomId;
       if (!roomId) return;
       const room = roomManager.getRoom(roomId);
       if (!room) return;
-      const opponent = room.players.find(p => p.color !== socket.data.color && p.socketId);
-      if (!opponent) return socket.emit('error', { message: 'Opponent not connected' });
-      io.to(opponent.socketId).emit('undo_requested', { from: socket.data.playerName });
-      analytics.logEvent('undo_requested', roomId, socket.id, socket.data.playerName);
+      const offeredBy = drawOffers.get(roomId);
+      if (!offeredBy || offeredBy === socket.data.color || socket.data.color === 'spectator') return;
+      drawOffers.delete(roomId);
+      const offerer = room.players.find(p => p.color === offeredBy && p.socketId);
+      if (offerer) io.to(offerer.socketId).emit('draw_declined');
     });
 
-    // ── Approve undo ────────────────────────────────────────────────
-    socket.on('approve_undo', () => {
+    // ── Chat ────────────────────────────────────────────────────────
+    // Players write to the room; spectators to their own channel (see chat.js).
+    socket.on('chat_message', (data) => {
+      const { text } = data || {};
       const roomId = socket.data.roomId;
       if (!roomId) return;
-      const engine = engines.get(roomId);
-      if (!engine) return;
       const room = roomManager.getRoom(roomId);
       if (!room) return;
-      if (!engine.undo()) return;
-      io.to(roomId).emit('game_state', gameStatePayload(roomId, room, engine));
+      if (typeof text !== 'string') return socket.emit('chat_rejected', { reason: 'Empty message' });
+      socket.data.chatTimes = socket.data.chatTimes || [];
+      if (!chat.allowSend(socket.data.chatTimes)) {
+        return socket.emit('chat_rejected', { reason: 'You are sending messages too quickly' });
+      }
+      const result = chat.post(room, { name: socket.data.playerName, color: socket.data.color }, text);
+      if (result.error) return socket.emit('chat_rejected', { reason: result.error });
+      const target = result.message.channel === 'spectators' ? `${roomId}:spectators` : roomId;
+      io.to(target).emit('chat_message', result.message);
     });
 
-    // ── Decline undo ────────────────────────────────────────────────
-    socket.on('decline_undo', () => {
+    // ── Mute (host only) ────────────────────────────────────────────
+    socket.on('chat_mute', (data) => {
+      const { name, muted = true } = data || {};
       const roomId = socket.data.roomId;
       if (!roomId) return;
       const room = roomManager.getRoom(roomId);
       if (!room) return;
-      const requester = room.players.find(p => p.color !== socket.data.color && p.socketId);
-      if (!requester) return;
-      io.to(requester.socketId).emit('undo_declined');
+      const host = chat.hostOf(room);
+      if (!host || host.socketId !== socket.id) return socket.emit('chat_rejected', { reason: 'Only the host can mute players' });
+      if (typeof name !== 'string') return socket.emit('chat_rejected', { reason: 'No one by that name is in the room' });
+      const error = chat.setMuted(room, name, !!muted);
+      if (error) return socket.emit('chat_rejected', { reason: error });
+      io.to(roomId).emit('chat_muted', { name, muted: !!muted });
+      analytics.logEvent('chat_muted', roomId, socket.id, socket.data.playerName, { target: name, muted: !!muted, gameType: room.gameType });
     });
 
-    // ── Resign ──────────────────────────────────────────────────────
-    socket.on('resign', () => {
+    // ── Room access (host) ──────────────────────────────────────────
+    // create_invite → invite_created { token } for a one-time join link;
+    // lock_room { locked } closes the room to newcomers once enough players are seated.
+    const hostRoom = () => {
       const roomId = socket.data.roomId;
-      if (!roomId) return;
+      const room = roomId && roomManager.getRoom(roomId);
+      if (!room) return null;
+      const host = chat.hostOf(room);
+      if (!host || host.socketId !== socket.id) {
+        socket.emit('error', { message: 'Only the host can do that.' });
+        return null;
+      }
+      return room;
+    };
+
+    socket.on('create_invite', () => {
+      if (!hostRoom()) return;
+      socket.emit('invite_created', { token: roomManager.createInvite(socket.data.roomId) });
+      persist(socket.data.roomId);
+    });
+
+    socket.on('lock_room', (data) => {
+      const { locked: requested = true } = data || {};
+      const locked = !!requested;
+      const room = hostRoom();
+      if (!room) return;
+      const roomId = socket.data.roomId;
+      const def = registry.getGame(room.gameType);
+      if (locked && room.players.length < def.minPlayers) {
+        return socket.emit('error', { message: 'Fill the seats before locking the room.' });
+      }
+      roomManager.setLocked(roomId, locked);
+      io.to(roomId).emit('room_update', roomSnapshot(room));
+      persist(roomId);
+      analytics.logEvent('room_locked', roomId, socket.id, socket.data.playerName, { locked, gameType: room.gameType });
+    });
+
+    // ── Rematch ─────────────────────────────────────────────────────
+    // After game_over any player may ask for a rematch; it starts in the same
+    // room once every (human) player has requested or accepted it.
+    const onRematchVote = () => {
+      const roomId = socket.data.roomId;
+      if (!roomId || socket.data.color === 'spectator') return;
       const room = roomManager.getRoom(roomId);
       if (!room) return;
-      // Opponent of the resigning player wins
-      const winnerPlayer = room.players.find(p => p.color !== socket.data.color);
-      const winner = winnerPlayer?.color || null;
-      io.to(roomId).emit('game_over', { winner, reason: `${socket.data.playerName} resigned` });
-      const gt = roomGameTypes.get(roomId) || 'xiangqi';
-      if (winnerPlayer) leaderboard.recordWin(gt, winnerPlayer.name);
-      engines.delete(roomId);
-      roomGameTypes.delete(roomId);
-      analytics.logEvent('game_ended', roomId, socket.id, socket.data.playerName, { winner, reason: 'resign' });
+      voteRematch(io, socket, roomId, room);
+    };
+    socket.on('request_rematch', onRematchVote);
+    socket.on('accept_rematch', onRematchVote);
+
+    socket.on('decline_rematch', () => {
+      const roomId = socket.data.roomId;
+      if (!roomId || socket.data.color === 'spectator' || !rematchVotes.has(roomId)) return;
+      rematchVotes.delete(roomId);
+      io.to(roomId).emit('rematch_declined', { by: socket.data.playerName });
+    });
+
+    // ── Seat handoff ────────────────────────────────────────────────
+    // The lobby emits this just before navigating to the game page, which
+    // reclaims the seat with its token; the lobby socket's disconnect is then
+    // not announced to the room.
+    socket.on('seat_handoff', (ack) => {
+      socket.data.handoff = true;
+      if (typeof ack === 'function') ack();
     });
 
     // ── Disconnect ──────────────────────────────────────────────────
     socket.on('disconnect', () => {
       console.log('disconnect', socket.id);
+      const queueKey = matchmaking.leave(socket.id);
+      if (queueKey) sendQueueStatus(io, queueKey);
       const result = roomManager.leaveRoom(socket.id);
       if (!result) return;
       const { roomId, room, wasPlayer, playerName } = result;
       if (!wasPlayer) return;
+      // Lobby socket handing its seat to the game page — not a real disconnect
+      if (socket.data.handoff) return;
+
+      io.to(roomId).emit('player_disconnected', { playerName });
+      io.to(roomId).emit('room_update', roomSnapshot(room));
+      const def = registry.getGame(room.gameType);
+      if (engines.has(roomId) && def.bot && def.bot.takeOver) scheduleTakeover(io, roomId, socket.data.color);
+      analytics.logEvent('player_disconnected', roomId, socket.id, playerName || '');
+    });
+  });
+};
 
-      // 2s delay absorbs the lobby→game-page socket transition race
-      setTimeout(() => {
-        const currentRoom = roomManager.getRoom(roomId);
-        if (!currentRoom) return;
-        const player = currentRoom.players.find(p => p.name === playerName);
-        if (player && player.socketId !== null) return; // already reconnected
-
-        io.to(roomId).emit('player_disconnected', { playerName });
-        io.to(roomId).emit('room_update', roomSnapshot(currentRoom));
-        analytics.logEvent('player_disconnected', roomId, socket.id, playerName || '');
-      }, 2000);
+/**
+ * Public rooms with someone in them, newest first (used by GET /api/rooms):
+ *   [{ roomId, gameType, host, seats: { filled, total }, status: 'waiting'|'started',
+ *      spectators, passcode, options, createdAt }]
+ * Locked and invite-only rooms are never listed.
+ */
+module.exports.publicRooms = function publicRooms(gameType = null) {
+  return roomManager.listRooms()
+    .filter(({ room }) => room.public && !room.locked && !room.inviteOnly && (!gameType || room.gameType === gameType))
+    .filter(({ room }) => room.players.some(p => p.socketId !== null))
+    .sort((a, b) => b.room.createdAt - a.room.createdAt)
+    .map(({ roomId, room }) => {
+      const host = chat.hostOf(room);
+      return {
+        roomId,
+        gameType: room.gameType,
+        host: host ? host.name : null,
+        seats: { filled: room.players.length, total: room.colors.length },
+        status: engines.has(roomId) ? 'started' : 'waiting',
+        spectators: room.spectators.length,
+        passcode: !!room.passcodeHash,
+        options: room.options,
+        createdAt: room.createdAt
+      };
     });
+};
+
+/** PGN of the game in progress in `roomId`, or null (used by /api/games/:id.pgn). */
+module.exports.livePgn = function livePgn(roomId) {
+  const room = roomManager.getRoom(roomId);
+  const engine = engines.get(roomId);
+  if (!room || !engine) return null;
+  const def = registry.getGame(room.gameType);
+  return def.pgn ? def.pgn(engine, room) : null;
+};
+
+// ── Administration (used by /api/admin) ─────────────────────────────────────
+
+/** Every room with its players' sockets, status, age and engine snapshot. */
+module.exports.adminRooms = function adminRooms() {
+  const now = Date.now();
+  return roomManager.listRooms().map(({ roomId, room }) => {
+    const engine = engines.get(roomId);
+    return {
+      roomId,
+      gameType: room.gameType,
+      status: statusOf(roomId, room),
+      ageMs: now - room.createdAt,
+      players: room.players.map(p => ({ name: p.name, color: p.color, socketId: p.socketId, bot: p.bot || null })),
+      spectators: room.spectators.map(s => ({ name: s.name, socketId: s.socketId })),
+      options: room.options,
+      public: room.public,
+      access: accessOf(room),
+      locked: room.locked,
+      tournament: room.tournament,
+      engine: engine && typeof engine.serialize === 'function' ? engine.serialize() : null
+    };
   });
 };
+
+/** Everything the server holds about a room, for debugging; null if there's no such room. */
+module.exports.dumpRoom = function dumpRoom(roomId) {
+  const room = roomManager.getRoom(roomId);
+  if (!room) return null;
+  const def = registry.getGame(room.gameType);
+  const engine = engines.get(roomId);
+  const { deleteTimer, chat: chatState, ...fields } = room;
+  return {
+    roomId,
+    room: {
+      ...fields,
+      chat: chatState ? { ...chatState, muted: Array.from(chatState.muted) } : null,
+      cleanupPending: !!deleteTimer
+    },
+    engine: engine && typeof engine.serialize === 'function' ? engine.serialize() : null,
+    view: engine ? def.view(engine, room, null) : null,
+    deadlineArmed: deadlineTimers.has(roomId),
+    drawOffer: drawOffers.get(roomId) || null,
+    undoRequest: undoRequests.get(roomId) || null,
+    rematchVotes: Array.from(rematchVotes.get(roomId) || []),
+    botThinking: botThinking.has(roomId)
+  };
+};
+
+/**
+ * End a game in progress with a result given by an administrator.
+ * winner: a seat colour or 'draw'. Ratings, leaderboard and tournaments record
+ * it like any other result. Returns { outcome } or { error }.
+ */
+module.exports.forceEnd = function forceEnd(io, roomId, { winner, reason } = {}) {
+  const room = roomManager.getRoom(roomId);
+  if (!room) return { error: 'Room not found' };
+  if (!engines.has(roomId)) return { error: 'No game in progress in this room' };
+  const def = registry.getGame(room.gameType);
+  const stated = typeof reason === 'string' && reason.trim() ? reason.trim().slice(0, 200) : 'Game ended by an administrator';
+  let outcome;
+  if (winner === 'draw') {
+    outcome = { winner: 'draw', winnerSeats: [], draw: true, reason: stated, cause: 'admin' };
+  } else if (room.players.some(p => p.color === winner)) {
+    outcome = { winner, winnerSeats: [def.colors.indexOf(winner)], reason: stated, cause: 'admin' };
+  } else {
+    return { error: `winner must be 'draw' or one of: ${room.players.map(p => p.color).join(', ')}` };
+  }
+  finishGame(io, roomId, room, outcome, 'admin', 'admin');
+  return { outcome };
+};
+
+/**
+ * Disconnect a socket (kicked { reason } is sent first). A kicked spectator, or
+ * a player in a room whose game hasn't started, loses their place in it and
+ * can't use their seat token to come back. Returns
+ * { ip, roomId } or null if the socket isn't connected.
+ */
+module.exports.kickSocket = function kickSocket(io, socketId, reason) {
+  const socket = io.sockets.sockets.get(socketId);
+  if (!socket) return null;
+  const ip = clientIp(socket);
+  const { roomId, playerName } = socket.data;
+  socket.emit('kicked', { reason: reason || 'Removed by an administrator' });
+  socket.disconnect(true);
+
+  const room = roomId && roomManager.getRoom(roomId);
+  if (room && (socket.data.color === 'spectator' || !engines.has(roomId))) {
+    roomManager.removeMember(roomId, playerName);
+    io.to(roomId).emit('room_update', roomSnapshot(room));
+    persist(roomId);
+  }
+  analytics.logEvent('admin_kick', roomId || '', socketId, playerName || '', { reason: reason || '' });
+  return { ip, roomId: roomId || null };
+};
+
+/** Show a notice on every connected page (e.g. a restart for maintenance). */
+module.exports.broadcastNotice = function broadcastNotice(io, message) {
+  io.emit('maintenance_notice', { message, at: Date.now() });
+};
@@ -0,0 +1,283 @@
+'use strict';
+
+/**
+ * Tournaments for two-player rated games (chess, xiangqi).
+ *
+ * Formats:
+ *   knockout   — single elimination; top seeds get first-round byes and a
+ *                drawn game goes to the higher seed
+ *   roundrobin — everyone plays everyone once
+ *   swiss      — a fixed number of rounds paired by score (see ./pairings.js)
+ *
+ * Lifecycle: created → players register → organiser starts it → each round's
+ * pairings get a room (roomManager.createRoom) with both seats reserved for
+ * the registered players → results arrive from socketEvents' finishGame via recordGame() → the
+ * next round opens once every result is in.
+ *
+ * Every change appends the whole tournament to $DATA_DIR/tournaments.jsonl;
+ * the log is replayed (last line per tournament wins) and compacted at boot.
+ * Creating a tournament returns an organiser key, required to start it or to
+ * enter a result by hand (e.g. a no-show). Registering returns an entry token,
+ * required to sit down in the player's reserved seats.
+ */
+
+const crypto = require('crypto');
+const { openLog } = require('../dataLog');
+const registry = require('../engine/registry');
+const { parseTimeControl } = require('../engine/clock');
+const ratings = require('../ratings');
+const roomManager = require('../rooms/roomManager');
+const roomStore = require('../rooms/roomStore');
+const pairings = require('./pairings');
+
+const FORMATS = ['knockout', 'roundrobin', 'swiss'];
+const RESULTS = ['1-0', '0-1', '1/2-1/2'];
+const MAX_PLAYERS = 64;
+const MAX_SWISS_ROUNDS = pairings.maxSwissRounds(MAX_PLAYERS);
+
+const log = openLog('tournaments.jsonl');
+const tournaments = new Map(); // id → tournament
+const roomIndex = new Map();   // roomId → { id, round, board }
+
+for (const entry of log.read()) {
+  if (entry.id) tournaments.set(entry.id, entry);
+}
+log.rewrite(Array.from(tournaments.values()));
+for (const t of tournaments.values()) indexRooms(t);
+
+function indexRooms(t) {
+  t.rounds.forEach((round, r) => round.forEach((p, board) => {
+    if (p.roomId && !p.result) roomIndex.set(p.roomId, { id: t.id, round: r, board });
+  }));
+}
+
+function save(t) {
+  log.append(t);
+}
+
+// ── Public views ──────────────────────────────────────────────────────
+
+/** A tournament as served by the API (no organiser key or entry tokens), with standings. */
+function publicView(t) {
+  const { organiserKey, entryTokens, schedule, ...rest } = t;
+  return { ...rest, standings: pairings.standings(t.players, t.rounds) };
+}
+
+function listTournaments() {
+  return Array.from(tournaments.values())
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(t => ({
+      id: t.id, name: t.name, gameType: t.gameType, format: t.format, status: t.status,
+      players: t.players.length, round: t.rounds.length, totalRounds: t.totalRounds, winner: t.winner
+    }));
+}
+
+function getTournament(id) {
+  const t = tournaments.get(id);
+  return t ? publicView(t) : null;
+}
+
+// ── Setup ─────────────────────────────────────────────────────────────
+
+/**
+ * Create a tournament open for registration.
+ * Returns { tournament, organiserKey } or { error }.
+ */
+function createTournament({ name, gameType, format, rounds, timeControl } = {}) {
+  const def = registry.getGame(gameType);
+  if (!def || !def.rated) return { error: 'Tournaments are only available for chess and xiangqi' };
+  if (!FORMATS.includes(format)) return { error: `Format must be one of: ${FORMATS.join(', ')}` };
+  if (timeControl && !parseTimeControl(timeControl)) return { error: 'Invalid time control' };
+  if (format === 'swiss' && parseInt(rounds) > MAX_SWISS_ROUNDS) {
+    return { error: `A Swiss tournament can have at most ${MAX_SWISS_ROUNDS} rounds` };
+  }
+  const title = typeof name === 'string' ? name.trim().slice(0, 60) : '';
+  if (!title) return { error: 'Please give the tournament a name' };
+
+  let id;
+  do { id = crypto.randomBytes(4).toString('hex'); } while (tournaments.has(id));
+  const t = {
+    id,
+    name: title,
+    gameType,
+    format,
+    timeControl: timeControl || null,
+    requestedRounds: format === 'swiss' && parseInt(rounds) > 0 ? parseInt(rounds) : null,
+    totalRounds: null, // known once started
+    status: 'registering',
+    players: [],       // names, in seed order once started
+    rounds: [],        // [[{ white, black, result, roomId }]] — opened rounds only
+    schedule: null,    // round robin: all rounds, generated at start
+    winner: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    organiserKey: crypto.randomBytes(12).toString('hex'),
+    entryTokens: {}    // name → entry token handed out at registration
+  };
+  tournaments.set(id, t);
+  save(t);
+  return { tournament: publicView(t), organiserKey: t.organiserKey };
+}
+
+/**
+ * Add a player while registration is open.
+ * Returns { tournament, entryToken } or { error }.
+ */
+function register(id, playerName) {
+  const t = tournaments.get(id);
+  if (!t) return { error: 'Tournament not found' };
+  if (t.status !== 'registering') return { error: 'Registration has closed' };
+  const name = typeof playerName === 'string' ? playerName.trim().slice(0, 30) : '';
+  if (!name) return { error: 'Please enter your name' };
+  if (t.players.includes(name)) return { error: 'That name is already registered' };
+  if (t.players.length >= MAX_PLAYERS) return { error: 'The tournament is full' };
+  t.players.push(name);
+  t.entryTokens[name] = crypto.randomBytes(12).toString('hex');
+  save(t);
+  return { tournament: publicView(t), entryToken: t.entryTokens[name] };
+}
+
+function checkKey(t, key) {
+  return typeof key === 'string' && key.length === t.organiserKey.length &&
+    crypto.timingSafeEqual(Buffer.from(key), Buffer.from(t.organiserKey));
+}
+
+/**
+ * Close registration, seed the players (by rating, then sign-up order) and
+ * open the first round. Returns { tournament } or { error }.
+ */
+function start(id, key) {
+  const t = tournaments.get(id);
+  if (!t) return { error: 'Tournament not found' };
+  if (!checkKey(t, key)) return { error: 'Only the organiser can start the tournament', forbidden: true };
+  if (t.status !== 'registering') return { error: 'The tournament has already started' };
+  if (t.players.length < 2) return { error: 'At least two players are needed' };
+
+  const rating = name => ratings.getRating(t.gameType, name).rating;
+  t.players = t.players
+    .map((name, i) => ({ name, i, rating: rating(name) }))
+    .sort((a, b) => b.rating - a.rating || a.i - b.i)
+    .map(p => p.name);
+
+  const n = t.players.length;
+  if (t.format === 'knockout') {
+    t.totalRounds = Math.ceil(Math.log2(n));
+  } else if (t.format === 'roundrobin') {
+    t.schedule = pairings.roundRobinSchedule(t.players);
+    t.totalRounds = t.schedule.length;
+  } else {
+    t.totalRounds = Math.min(t.requestedRounds || Math.ceil(Math.log2(n)), pairings.maxSwissRounds(n));
+  }
+  t.status = 'running';
+  t.startedAt = Date.now();
+  openRound(t);
+  return { tournament: publicView(t) };
+}
+
+// ── Rounds ────────────────────────────────────────────────────────────
+
+/** Higher seed wins a drawn knockout game. */
+function higherSeed(t) {
+  return (a, b) => (t.players.indexOf(a) <= t.players.indexOf(b) ? a : b);
+}
+
+function nextPairings(t) {
+  const done = t.rounds.length;
+  if (t.format === 'knockout') {
+    return done === 0
+      ? pairings.knockoutFirstRound(t.players)
+      : pairings.knockoutNextRound(t.rounds[done - 1], higherSeed(t));
+  }
+  if (t.format === 'roundrobin') return t.schedule[done];
+  return pairings.swissRound(t.players, t.rounds);
+}
+
+/** Pair the next round and give every game a room with both seats reserved. */
+function openRound(t) {
+  const def = registry.getGame(t.gameType);
+  const colors = def.colors.slice(0, 2);
+  const r = t.rounds.length;
+  const round = nextPairings(t).map((p, board) => {
+    const pairing = { white: p.white, black: p.black, result: p.result, roomId: null };
+    if (p.black === null) return pairing;
+    const options = t.timeControl ? { timeControl: t.timeControl } : {};
+    const tokens = t.entryTokens || {}; // absent in tournaments created before entry tokens
+    pairing.roomId = roomManager.createRoom({
+      gameType: t.gameType,
+      colors,
+      options,
+      reserved: { [colors[0]]: p.white, [colors[1]]: p.black },
+      entryTokens: { [colors[0]]: tokens[p.white], [colors[1]]: tokens[p.black] },
+      tournament: { id: t.id, name: t.name, round: r + 1, board: board + 1 }
+    });
+    roomStore.save(pairing.roomId, roomManager.getRoom(pairing.roomId));
+    roomIndex.set(pairing.roomId, { id: t.id, round: r, board });
+    return pairing;
+  });
+  t.rounds.push(round);
+  advance(t);
+}
+
+/** Open the next round or finish once the current one is complete. */
+function advance(t) {
+  const current = t.rounds[t.rounds.length - 1];
+  if (current.some(p => !p.result)) return save(t);
+  if (t.rounds.length < t.totalRounds) return openRound(t);
+
+  t.status = 'finished';
+  t.finishedAt = Date.now();
+  t.winner = t.format === 'knockout'
+    ? pairings.winnerOf(current[0], higherSeed(t))
+    : pairings.standings(t.players, t.rounds)[0].name;
+  save(t);
+}
+
+function setResult(t, round, board, result) {
+  const pairing = t.rounds[round][board];
+  pairing.result = result;
+  if (pairing.roomId) {
+    roomIndex.delete(pairing.roomId);
+    roomManager.releaseRoom(pairing.roomId);
+  }
+  advance(t);
+}
+
+/**
+ * Called by socketEvents when a game ends. results: [{ name, result: 'win'|'loss'|'draw' }].
+ * Ignored unless the room belongs to a tournament game still awaiting its result.
+ */
+function recordGame(roomId, results) {
+  const ref = roomIndex.get(roomId);
+  if (!ref) return;
+  const t = tournaments.get(ref.id);
+  const pairing = t.rounds[ref.round][ref.board];
+  const white = results.find(r => r.name === pairing.white);
+  if (!white) return;
+  const result = white.result === 'win' ? '1-0' : white.result === 'loss' ? '0-1' : '1/2-1/2';
+  setResult(t, ref.round, ref.board, result);
+}
+
+/**
+ * Organiser enters (or corrects a missing) result for a game of the current round.
+ * round/board are 1-based as shown on the tournament page. Returns { tournament } or { error }.
+ */
+function enterResult(id, key, { round, board, result } = {}) {
+  [round, board] = [parseInt(round), parseInt(board)];
+  const t = tournaments.get(id);
+  if (!t) return { error: 'Tournament not found' };
+  if (!checkKey(t, key)) return { error: 'Only the organiser can enter results', forbidden: true };
+  if (t.status !== 'running') return { error: 'The tournament is not running' };
+  if (round !== t.rounds.length) return { error: 'Results can only be entered for the current round' };
+  const pairing = t.rounds[round - 1][board - 1];
+  if (!pairing || pairing.black === null) return { error: 'No such game' };
+  if (pairing.result) return { error: 'That game already has a result' };
+  if (!RESULTS.includes(result)) return { error: `Result must be one of: ${RESULTS.join(', ')}` };
+  setResult(t, round - 1, board - 1, result);
+  return { tournament: publicView(t) };
+}
+
+module.exports = {
+  createTournament, register, start, enterResult, recordGame,
+  listTournaments, getTournament, FORMATS
+};
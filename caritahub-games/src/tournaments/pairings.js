@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * Pairing and scoring rules for tournaments — pure functions, no I/O.
+ *
+ * Players are referred to by name. A pairing is
+ *   { white, black, result }   black null = bye (scores as a win for white)
+ *   result: '1-0' | '0-1' | '1/2-1/2' | null while unplayed
+ * "white" is the first seat of the game (red in xiangqi).
+ */
+
+const POINTS = { '1-0': [1, 0], '0-1': [0, 1], '1/2-1/2': [0.5, 0.5] };
+
+/** Points each side scored in a finished pairing, or null. */
+function pointsOf(pairing) {
+  return pairing.result ? POINTS[pairing.result] : null;
+}
+
+/** Name of the pairing's winner; a drawn knockout game goes to `tieBreakWinner`. */
+function winnerOf(pairing, tieBreakWinner) {
+  if (pairing.black === null) return pairing.white;
+  if (pairing.result === '1-0') return pairing.white;
+  if (pairing.result === '0-1') return pairing.black;
+  if (pairing.result === '1/2-1/2') return tieBreakWinner(pairing.white, pairing.black);
+  return null;
+}
+
+const bye = name => ({ white: name, black: null, result: '1-0' });
+
+// ── Knockout ──────────────────────────────────────────────────────────
+
+/** Bracket slot order for `size` seeds: 1 v size, then winners meet as seeding expects. */
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, n - seed]);
+  }
+  return order;
+}
+
+/**
+ * First knockout round for players in seed order. The field is padded to a
+ * power of two; top seeds get the byes.
+ */
+function knockoutFirstRound(players) {
+  let size = 1;
+  while (size < players.length) size *= 2;
+  const slots = bracketOrder(size).map(seed => players[seed - 1] || null);
+  const round = [];
+  for (let i = 0; i < slots.length; i += 2) {
+    const [a, b] = [slots[i], slots[i + 1]];
+    round.push(b === null ? bye(a) : { white: a, black: b, result: null });
+  }
+  return round;
+}
+
+/** Next knockout round from a finished one: winners of adjacent pairings meet. */
+function knockoutNextRound(round, tieBreakWinner) {
+  const winners = round.map(p => winnerOf(p, tieBreakWinner));
+  const next = [];
+  for (let i = 0; i < winners.length; i += 2) {
+    next.push({ white: winners[i], black: winners[i + 1], result: null });
+  }
+  return next;
+}
+
+// ── Round robin ───────────────────────────────────────────────────────
+
+/** Every round of a round robin (circle method); an odd field gives one bye per round. */
+function roundRobinSchedule(players) {
+  const field = players.length % 2 ? [...players, null] : [...players];
+  const n = field.length;
+  const rounds = [];
+  for (let r = 0; r < n - 1; r++) {
+    const round = [];
+    for (let i = 0; i < n / 2; i++) {
+      let a = field[i];
+      let b = field[n - 1 - i];
+      // Alternate colours for the fixed player, and board by board for the rest
+      if ((i === 0 && r % 2 === 1) || (i > 0 && i % 2 === 1)) [a, b] = [b, a];
+      if (a === null) round.push(bye(b));
+      else if (b === null) round.push(bye(a));
+      else round.push({ white: a, black: b, result: null });
+    }
+    rounds.push(round);
+    // Keep the first player fixed and rotate everyone else one place
+    field.splice(1, 0, field.pop());
+  }
+  return rounds;
+}
+
+// ── Swiss ─────────────────────────────────────────────────────────────
+
+/** Per-player history from played rounds: { points, opponents, colourBalance, hadBye }. */
+function histories(players, rounds) {
+  const h = new Map(players.map(name => [name, { points: 0, opponents: [], colourBalance: 0, hadBye: false }]));
+  for (const round of rounds) {
+    for (const p of round) {
+      const pts = pointsOf(p) || [0, 0];
+      const w = h.get(p.white);
+      if (p.black === null) {
+        w.points += 1;
+        w.hadBye = true;
+        continue;
+      }
+      const b = h.get(p.black);
+      w.points += pts[0];
+      b.points += pts[1];
+      w.opponents.push(p.black);
+      b.opponents.push(p.white);
+      w.colourBalance++;
+      b.colourBalance--;
+    }
+  }
+  return h;
+}
+
+/**
+ * Most rounds a Swiss tournament of `n` players may have: enough to find a
+ * clear winner (log2 n) plus two, and never so many that players run out of
+ * fresh opponents.
+ */
+function maxSwissRounds(n) {
+  return Math.min(Math.ceil(Math.log2(Math.max(n, 2))) + 2, n % 2 ? n : n - 1);
+}
+
+/**
+ * Pair the next Swiss round. Players are ordered by score (then seed) and
+ * paired top-down with the nearest player they haven't met, backtracking
+ * when a score group can't be completed. The search is capped at
+ * SEARCH_BUDGET steps; past that (or if no repeat-free pairing exists) the
+ * round is paired greedily, allowing as few rematches as it comes across.
+ * With an odd field the lowest-ranked player without a bye sits out.
+ * Colours go to whoever has had fewer whites.
+ */
+function swissRound(players, rounds) {
+  const h = histories(players, rounds);
+  const ranked = [...players].sort((a, b) => h.get(b).points - h.get(a).points || players.indexOf(a) - players.indexOf(b));
+
+  let byePlayer = null;
+  if (ranked.length % 2) {
+    byePlayer = [...ranked].reverse().find(name => !h.get(name).hadBye) || ranked[ranked.length - 1];
+    ranked.splice(ranked.indexOf(byePlayer), 1);
+  }
+
+  const fresh = (a, b) => !h.get(a).opponents.includes(b);
+  const pairs = pairUp(ranked, fresh, { steps: SEARCH_BUDGET }) || pairGreedily(ranked, fresh);
+  const round = pairs.map(([a, b]) => {
+    const whiteFirst = h.get(a).colourBalance <= h.get(b).colourBalance;
+    return { white: whiteFirst ? a : b, black: whiteFirst ? b : a, result: null };
+  });
+  if (byePlayer) round.push(bye(byePlayer));
+  return round;
+}
+
+// Backtracking steps allowed per round; a 64-player round pairs in well under this
+const SEARCH_BUDGET = 20_000;
+
+/**
+ * Pair a ranked list top-down, backtracking; null if `allowed` rules out every
+ * pairing or the search runs out of budget.steps.
+ */
+function pairUp(list, allowed, budget) {
+  if (list.length === 0) return [];
+  if (--budget.steps < 0) return null;
+  const [first, ...rest] = list;
+  for (let i = 0; i < rest.length; i++) {
+    if (!allowed(first, rest[i])) continue;
+    const tail = pairUp(rest.filter((_, j) => j !== i), allowed, budget);
+    if (tail) return [[first, rest[i]], ...tail];
+    if (budget.steps < 0) return null;
+  }
+  return null;
+}
+
+/** Pair top-down with the nearest allowed player, or the nearest at all if none is left. */
+function pairGreedily(list, allowed) {
+  const left = [...list];
+  const pairs = [];
+  while (left.length) {
+    const first = left.shift();
+    const i = Math.max(0, left.findIndex(other => allowed(first, other)));
+    pairs.push([first, left.splice(i, 1)[0]]);
+  }
+  return pairs;
+}
+
+// ── Standings ─────────────────────────────────────────────────────────
+
+/**
+ * Standings with tie-breaks, best first:
+ *   [{ rank, name, points, played, wins, draws, losses, buchholz, sonnebornBerger }]
+ * Buchholz: sum of opponents' points. Sonneborn-Berger: points of beaten
+ * opponents plus half those of drawn ones. Byes count as wins without an opponent.
+ */
+function standings(players, rounds) {
+  const h = histories(players, rounds);
+  const rows = new Map(players.map(name => [name, {
+    name, points: h.get(name).points, played: 0, wins: 0, draws: 0, losses: 0, buchholz: 0, sonnebornBerger: 0
+  }]));
+
+  for (const round of rounds) {
+    for (const p of round) {
+      const pts = pointsOf(p);
+      if (!pts) continue;
+      const sides = p.black === null ? [[p.white, null, 1]] : [[p.white, p.black, pts[0]], [p.black, p.white, pts[1]]];
+      for (const [name, opponent, score] of sides) {
+        const row = rows.get(name);
+        row.played++;
+        if (score === 1) row.wins++;
+        else if (score === 0.5) row.draws++;
+        else row.losses++;
+        if (opponent === null) continue;
+        const oppPoints = h.get(opponent).points;
+        row.buchholz += oppPoints;
+        row.sonnebornBerger += score * oppPoints;
+      }
+    }
+  }
+
+  const sorted = Array.from(rows.values()).sort((a, b) =>
+    b.points - a.points || b.buchholz - a.buchholz || b.sonnebornBerger - a.sonnebornBerger ||
+    players.indexOf(a.name) - players.indexOf(b.name));
+  sorted.forEach((row, i) => {
+    const prev = sorted[i - 1];
+    const tied = prev && prev.points === row.points && prev.buchholz === row.buchholz && prev.sonnebornBerger === row.sonnebornBerger;
+    row.rank = tied ? prev.rank : i + 1;
+  });
+  return sorted;
+}
+
+module.exports = {
+  knockoutFirstRound, knockoutNextRound, roundRobinSchedule, swissRound, maxSwissRounds,
+  standings, winnerOf, pointsOf
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+
+process.env.CHAT_BANNED_WORDS = 'darn,笨蛋,ばか,café';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const chat = require('../src/rooms/chat');
+
+const say = text => chat.post({ players: [] }, { name: 'Ann', color: 'white' }, text).message.text;
+
+describe('banned words', () => {
+  it('masks whole words only, whatever the case', () => {
+    assert.equal(say('Darn it, darned clock'), '**** it, darned clock');
+  });
+
+  it('treats letters of any script as part of a word', () => {
+    assert.equal(say('café'), '****');
+    assert.equal(say('cafés and écafé'), 'cafés and écafé');
+    assert.equal(say('darnß'), 'darnß');
+  });
+
+  it('masks Chinese and Japanese words inside unspaced text', () => {
+    assert.equal(say('你这个笨蛋下得真臭'), '你这个**下得真臭');
+    assert.equal(say('ばかだね'), '**だね');
+  });
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const chess = require('../src/engine/chess');
+
+const sq = name => [8 - Number(name[1]), 'abcdefgh'.indexOf(name[0])];
+function play(game, ...moves) {
+  for (const m of moves) {
+    const result = game.move(sq(m.slice(0, 2)), sq(m.slice(2, 4)), m[4] || null);
+    assert.ok(result.ok, `${m}: ${result.reason}`);
+  }
+  return game;
+}
+
+describe('SAN', () => {
+  it('writes pawn, piece, capture, castling and check moves', () => {
+    const game = play(chess.createGame(), 'e2e4', 'e7e5', 'g1f3', 'b8c6', 'f1b5', 'g8f6', 'e1g1', 'f6e4', 'b5c6', 'd7c6');
+    assert.deepEqual(game.moveList(), ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'Nf6', 'O-O', 'Nxe4', 'Bxc6', 'dxc6']);
+  });
+
+  it('disambiguates by file, then rank', () => {
+    const byFile = play(chess.createGame(null, { startPosition: '1k5K/8/8/8/8/8/8/R6R w - - 0 1' }), 'a1d1');
+    assert.deepEqual(byFile.moveList(), ['Rad1']);
+    const byRank = play(chess.createGame(null, { startPosition: '1k5K/R7/8/8/8/8/8/R7 w - - 0 1' }), 'a1a4');
+    assert.deepEqual(byRank.moveList(), ['R1a4']);
+  });
+
+  it('writes promotions and mate', () => {
+    const game = play(chess.createGame(null, { startPosition: 'k7/4P3/1K6/8/8/8/8/8 w - - 0 1' }), 'e7e8N');
+    assert.deepEqual(game.moveList(), ['e8=N']);
+    const mate = play(chess.createGame(null, { startPosition: 'k7/4P3/1K6/8/8/8/8/8 w - - 0 1' }), 'e7e8Q');
+    assert.deepEqual(mate.moveList(), ['e8=Q#']);
+    assert.equal(mate.winner(), 'white');
+  });
+});
+
+describe('PGN', () => {
+  it('imports movetext with comments, variations and NAGs', () => {
+    const result = chess.importPosition('[Event "Test"]\n1. f3 {weak} e5 (1... e6) 2. g4?? $4 Qh4# 0-1');
+    assert.equal(result.error, undefined);
+    assert.deepEqual(result.moves.map(m => m.san), ['f3', 'e5', 'g4', 'Qh4#']);
+  });
+
+  it('round-trips a game through export and import', () => {
+    const game = play(chess.createGame(), 'd2d4', 'd7d5', 'c2c4', 'd5c4', 'e2e4', 'b7b5');
+    const pgn = game.pgn({ White: 'Ann "A"', Black: 'Ben' });
+    assert.match(pgn, /\[White "Ann \\"A\\""\]/);
+    assert.match(pgn, /1\. d4 d5 2\. c4 dxc4 3\. e4 b5 \*/);
+    const again = chess.createGame(null, { startPosition: pgn });
+    assert.equal(again.fen(), game.fen());
+    assert.deepEqual(again.moveList(), game.moveList());
+  });
+
+  it('starts from a FEN tag and numbers a black first move', () => {
+    const game = play(chess.createGame(null, { startPosition: '4k3/8/8/8/8/8/4P3/4K3 b - - 0 12' }), 'e8d7');
+    assert.match(game.pgn(), /\[FEN "4k3\/8\/8\/8\/8\/8\/4P3\/4K3 b - - 0 12"\]/);
+    assert.match(game.pgn(), /12\.\.\. Kd7 \*/);
+  });
+
+  it('reports the first illegal move', () => {
+    assert.match(chess.importPosition('1. e4 e5 2. Ke3').error, /"Ke3" after 2 half-moves/);
+  });
+
+  it('refuses moves played after the game ended', () => {
+    assert.match(chess.importPosition('1. f3 e5 2. g4 Qh4# 3. a3').error, /"a3" comes after the game ended by checkmate/);
+    const shuffle = Array(5).fill('Nf3 Nf6 Ng1 Ng8').join(' ');
+    assert.match(chess.importPosition(`${shuffle} e4`).error, /ended by fivefold repetition/);
+  });
+
+  it('caps the number of half-moves', () => {
+    assert.match(chess.importPosition(Array(301).fill('e4').join(' ')).error, /more than 300 half-moves/);
+  });
+
+  it('skips deeply nested variations', () => {
+    const nested = `1. e4 ${'('.repeat(5000)}1... c5${')'.repeat(5000)} e5`;
+    assert.deepEqual(chess.importPosition(nested).moves.map(m => m.san), ['e4', 'e5']);
+  });
+
+  it('stores an import as a FEN and UCI moves that replay to the same game', () => {
+    const text = '[FEN "4k3/4P3/2K5/8/8/8/8/8 b - - 0 1"]\n1... Kf7 2. e8=Q+ *';
+    const { position } = chess.definition.importPosition(text);
+    assert.deepEqual(position, { fen: '4k3/4P3/2K5/8/8/8/8/8 b - - 0 1', moves: ['e8f7', 'e7e8q'] });
+    const stored = chess.createGame(null, { startPosition: JSON.parse(JSON.stringify(position)) });
+    const parsed = chess.createGame(null, { startPosition: text });
+    assert.equal(stored.fen(), parsed.fen());
+    assert.deepEqual(stored.moveList(), ['Kf7', 'e8=Q+']);
+    assert.equal(stored.pgn(), parsed.pgn());
+    assert.match(chess.definition.importPosition('1. e4 e5 2. Ke3').error, /Ke3/);
+  });
+});
+
+describe('FEN', () => {
+  it('accepts a legal position', () => {
+    assert.equal(chess.importPosition('4k3/8/8/8/8/8/8/4K2R w K - 0 1').error, undefined);
+    assert.equal(chess.importPosition('4k3/8/8/8/4P3/8/8/4K3 b - e3 0 1').error, undefined);
+  });
+
+  it('drops castling rights the board does not allow', () => {
+    const game = chess.createGame(null, { startPosition: '4k3/8/8/8/8/8/8/4K3 w KQkq - 0 1' });
+    assert.equal(game.fen(), '4k3/8/8/8/8/8/8/4K3 w - - 0 1');
+    assert.equal(game.move([7, 4], [7, 6]).ok, false);
+    const oneRook = chess.createGame(null, { startPosition: 'r3k3/8/8/8/8/8/8/4K2R w KQkq - 0 1' });
+    assert.equal(oneRook.fen(), 'r3k3/8/8/8/8/8/8/4K2R w Kq - 0 1');
+  });
+
+  it('rejects malformed and impossible positions', () => {
+    const cases = {
+      '[FEN "4k3/8/8/8/8/8/8 w - - 0 1"]': /PGN FEN tag: FEN board must have 8 ranks/,
+      '4k3/8/8/8/8/8/8/4K4 w - - 0 1': /8 squares/,
+      '4k3/8/8/8/8/8/8/8 w - - 0 1': /exactly one king/,
+      '4k3/8/8/8/8/8/8/P3K3 w - - 0 1': /first or last rank/,
+      '4k3/4R3/8/8/8/8/8/4K3 w - - 0 1': /not to move is in check/,
+      '8/8/8/8/8/3kK3/8/8 w - - 0 1': /next to each other/,
+      '4k3/8/8/8/8/8/4P3/4K3 b - e3 0 1': /en-passant square does not follow/,
+      '4k3/8/8/8/4P3/8/8/4K3 w - e3 0 1': /en-passant square does not follow/
+    };
+    for (const [text, error] of Object.entries(cases)) assert.match(chess.importPosition(text).error, error, text);
+  });
+});
+
+describe('draw rules', () => {
+  it('ends the game on stalemate and insufficient material', () => {
+    const stalemate = chess.createGame(null, { startPosition: 'k7/8/1QK5/8/8/8/8/8 b - - 0 1' });
+    assert.equal(stalemate.drawReason(), 'Stalemate');
+    const bare = chess.createGame(null, { startPosition: 'k7/8/8/8/8/8/8/6BK w - - 0 1' });
+    assert.equal(bare.drawReason(), 'Insufficient material');
+  });
+
+  it('lets a threefold repetition be claimed', () => {
+    const game = play(chess.createGame(), 'g1f3', 'g8f6', 'f3g1', 'f6g8', 'g1f3', 'g8f6', 'f3g1', 'f6g8');
+    assert.equal(game.claimableDraw(), 'Threefold repetition');
+    assert.equal(game.isGameOver(), false);
+  });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTimeControl, createClock } = require('../src/engine/clock');
+
+describe('parseTimeControl', () => {
+  it('reads Fischer and per-move controls', () => {
+    assert.deepEqual(parseTimeControl('5+3'), { id: '5+3', type: 'fischer', initialMs: 300_000, incrementMs: 3000 });
+    assert.deepEqual(parseTimeControl('move:30'), { id: 'move:30', type: 'move', perMoveMs: 30_000 });
+  });
+
+  it('rejects out-of-range and malformed controls', () => {
+    for (const bad of ['0+5', '181+0', '5+61', 'move:4', 'move:3601', '5', '', null, 5]) {
+      assert.equal(parseTimeControl(bad), null, String(bad));
+    }
+  });
+});
+
+describe('createClock', () => {
+  it('charges the mover and adds the increment (Fischer)', () => {
+    const clock = createClock(parseTimeControl('5+3'));
+    clock.start(0, 0);
+    clock.press(0, 10_000);
+    assert.equal(clock.remaining(0, 10_000), 293_000);
+    assert.equal(clock.remaining(1, 12_000), 298_000);
+    assert.equal(clock.state(12_000).running, 1);
+    assert.equal(clock.deadline(), 10_000 + 300_000);
+  });
+
+  it('resets both allowances after every move (per-move control)', () => {
+    const clock = createClock(parseTimeControl('move:30'));
+    clock.start(0, 0);
+    clock.press(0, 25_000);
+    assert.deepEqual(clock.state(25_000).remaining, [30_000, 30_000]);
+    assert.equal(clock.flagged(25_000 + 29_999), null);
+    assert.equal(clock.flagged(25_000 + 30_000), 1);
+  });
+
+  it('hands the move back without increment on switchTo (undo)', () => {
+    const clock = createClock(parseTimeControl('5+3'));
+    clock.start(0, 0);
+    clock.press(0, 1000);          // white: 300 - 1 + 3
+    clock.switchTo(0, 5000);       // black spent 4 s, no increment
+    assert.equal(clock.remaining(1, 5000), 296_000);
+    assert.equal(clock.remaining(0, 5000), 302_000);
+    assert.equal(clock.state(5000).running, 0);
+  });
+
+  it('flags the running side at zero and never reports negative time', () => {
+    const clock = createClock(parseTimeControl('1+0'));
+    clock.start(1, 0);
+    assert.equal(clock.flagged(59_999), null);
+    assert.equal(clock.flagged(60_000), 1);
+    assert.equal(clock.remaining(1, 90_000), 0);
+  });
+
+  it('restores a snapshot and resumes from now', () => {
+    const clock = createClock(parseTimeControl('5+3'), { remaining: [1000, 2000], running: 1 });
+    const now = Date.now();
+    assert.equal(clock.remaining(0, now), 1000);
+    assert.ok(clock.remaining(1, now) <= 2000 && clock.remaining(1, now) > 1900);
+    assert.deepEqual(createClock(parseTimeControl('5+3'), { remaining: [1000, 2000], running: null }).serialize(),
+      { remaining: [1000, 2000], running: null });
+  });
+});
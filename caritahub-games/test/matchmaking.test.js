@@ -0,0 +1,53 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const matchmaking = require('../src/rooms/matchmaking');
+
+const entry = (socketId, name, extra = {}) =>
+  ({ socketId, name, gameType: 'chess', timeControl: '5+3', rating: 1500, band: null, ...extra });
+
+describe('matchmaking', () => {
+  beforeEach(() => {
+    for (const id of ['s1', 's2', 's3', 's4']) matchmaking.leave(id);
+  });
+
+  it('matches the second compatible player, oldest first', () => {
+    assert.equal(matchmaking.join(entry('s1', 'A'), 2), null);
+    const group = matchmaking.join(entry('s2', 'B'), 2);
+    assert.deepEqual(group.map(e => e.name), ['A', 'B']);
+    assert.deepEqual(matchmaking.waiting(matchmaking.keyOf('chess', '5+3')), []);
+  });
+
+  it('keeps time controls in separate queues', () => {
+    matchmaking.join(entry('s1', 'A'), 2);
+    assert.equal(matchmaking.join(entry('s2', 'B', { timeControl: '10+5' }), 2), null);
+    assert.equal(matchmaking.waiting(matchmaking.keyOf('chess', '5+3')).length, 1);
+  });
+
+  it('respects rating bands on both sides', () => {
+    matchmaking.join(entry('s1', 'A', { rating: 1500, band: 100 }), 2);
+    assert.equal(matchmaking.join(entry('s2', 'B', { rating: 1700 }), 2), null);
+    const group = matchmaking.join(entry('s3', 'C', { rating: 1580 }), 2);
+    assert.deepEqual(group.map(e => e.name), ['A', 'C']);
+  });
+
+  it('never pairs two players with the same name', () => {
+    matchmaking.join(entry('s1', 'A'), 2);
+    assert.equal(matchmaking.join(entry('s2', 'A'), 2), null);
+  });
+
+  it('fills larger games and lets players leave', () => {
+    matchmaking.join(entry('s1', 'A', { gameType: 'chordaidi', timeControl: null }), 4);
+    matchmaking.join(entry('s2', 'B', { gameType: 'chordaidi', timeControl: null }), 4);
+    assert.equal(matchmaking.leave('s2'), matchmaking.keyOf('chordaidi', null));
+    matchmaking.join(entry('s3', 'C', { gameType: 'chordaidi', timeControl: null }), 4);
+    assert.equal(matchmaking.join(entry('s4', 'D', { gameType: 'chordaidi', timeControl: null }), 4), null);
+    assert.equal(matchmaking.waiting(matchmaking.keyOf('chordaidi', null)).length, 3);
+  });
+});
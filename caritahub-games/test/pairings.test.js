@@ -0,0 +1,131 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pairings = require('../src/tournaments/pairings');
+
+const names = n => Array.from({ length: n }, (_, i) => `P${i + 1}`);
+const meetings = rounds => rounds.flat().filter(p => p.black !== null).map(p => [p.white, p.black].sort().join('-'));
+/** Finish a round: the better seed (lower number) wins, unless `draw` says otherwise. */
+const finish = (round, draw = () => false) => round.map(p => {
+  if (p.black === null) return p;
+  if (draw(p)) return { ...p, result: '1/2-1/2' };
+  return { ...p, result: Number(p.white.slice(1)) < Number(p.black.slice(1)) ? '1-0' : '0-1' };
+});
+
+describe('knockout', () => {
+  it('pads the bracket and gives the byes to the top seeds', () => {
+    const round = pairings.knockoutFirstRound(names(5));
+    assert.equal(round.length, 4);
+    assert.deepEqual(round.filter(p => p.black === null).map(p => p.white).sort(), ['P1', 'P2', 'P3']);
+    assert.ok(round.some(p => p.white === 'P4' && p.black === 'P5'));
+  });
+
+  it('keeps the top two seeds apart until the final', () => {
+    const whiteWins = a => a; // no draws here
+    let round = finish(pairings.knockoutFirstRound(names(8)));
+    round = finish(pairings.knockoutNextRound(round, whiteWins));
+    const final = pairings.knockoutNextRound(round, whiteWins);
+    assert.deepEqual(final, [{ white: 'P1', black: 'P2', result: null }]);
+  });
+
+  it('sends a drawn game to the tie-break winner', () => {
+    const round = [{ white: 'P3', black: 'P6', result: '1/2-1/2' }, { white: 'P1', black: null, result: '1-0' }];
+    const next = pairings.knockoutNextRound(round, (a, b) => b);
+    assert.deepEqual(next, [{ white: 'P6', black: 'P1', result: null }]);
+  });
+});
+
+describe('round robin', () => {
+  it('pairs everyone with everyone exactly once', () => {
+    const rounds = pairings.roundRobinSchedule(names(6));
+    assert.equal(rounds.length, 5);
+    const met = meetings(rounds);
+    assert.equal(met.length, 15);
+    assert.equal(new Set(met).size, 15);
+  });
+
+  it('gives each player of an odd field one bye', () => {
+    const rounds = pairings.roundRobinSchedule(names(5));
+    assert.equal(rounds.length, 5);
+    const byes = rounds.flat().filter(p => p.black === null).map(p => p.white);
+    assert.deepEqual(byes.sort(), names(5));
+  });
+});
+
+describe('swiss', () => {
+  it('avoids rematches and gives the bye to the lowest-ranked player', () => {
+    const players = names(7);
+    const rounds = [];
+    for (let r = 0; r < 3; r++) rounds.push(finish(pairings.swissRound(players, rounds)));
+    const met = meetings(rounds);
+    assert.equal(new Set(met).size, met.length);
+    const byes = rounds.flat().filter(p => p.black === null).map(p => p.white);
+    assert.equal(new Set(byes).size, 3);
+    assert.equal(byes[0], 'P7');
+  });
+
+  it('pairs leaders with leaders', () => {
+    const players = names(8);
+    const first = finish(pairings.swissRound(players, []));
+    const second = pairings.swissRound(players, [first]);
+    const standings = pairings.standings(players, [first]);
+    const winners = standings.filter(s => s.points === 1).map(s => s.name);
+    for (const p of second) {
+      assert.equal(winners.includes(p.white), winners.includes(p.black), `${p.white} v ${p.black}`);
+    }
+  });
+
+  it('pairs 64 players over the maximum number of rounds without rematches', () => {
+    const players = names(64);
+    const total = pairings.maxSwissRounds(players.length);
+    assert.equal(total, 8);
+    const rounds = [];
+    const started = Date.now();
+    for (let r = 0; r < total; r++) {
+      const round = pairings.swissRound(players, rounds);
+      assert.deepEqual(round.flatMap(p => [p.white, p.black]).sort(), [...players].sort());
+      rounds.push(finish(round, p => (Number(p.white.slice(1)) + r) % 3 === 0));
+    }
+    const met = meetings(rounds);
+    assert.equal(new Set(met).size, met.length);
+    assert.ok(Date.now() - started < 2000, `took ${Date.now() - started}ms`);
+  });
+
+  it('falls back to a quick pairing when fresh opponents are scarce', () => {
+    const players = names(64);
+    const history = pairings.roundRobinSchedule(players).slice(0, 60).map(round => finish(round));
+    const started = Date.now();
+    const round = pairings.swissRound(players, history);
+    assert.ok(Date.now() - started < 2000, `took ${Date.now() - started}ms`);
+    assert.deepEqual(round.flatMap(p => [p.white, p.black]).sort(), [...players].sort());
+  });
+
+  it('caps rounds at log2 n + 2 and never beyond a full round robin', () => {
+    assert.equal(pairings.maxSwissRounds(64), 8);
+    assert.equal(pairings.maxSwissRounds(9), 6);
+    assert.equal(pairings.maxSwissRounds(4), 3);
+    assert.equal(pairings.maxSwissRounds(3), 3);
+  });
+});
+
+describe('standings', () => {
+  it('ranks by points, then Buchholz and Sonneborn-Berger', () => {
+    const players = ['A', 'B', 'C', 'D'];
+    const rounds = [
+      [{ white: 'A', black: 'B', result: '1-0' }, { white: 'C', black: 'D', result: '1/2-1/2' }],
+      [{ white: 'A', black: 'C', result: '0-1' }, { white: 'B', black: 'D', result: '1-0' }]
+    ];
+    const table = pairings.standings(players, rounds);
+    assert.deepEqual(table.map(s => [s.name, s.points]), [['C', 1.5], ['A', 1], ['B', 1], ['D', 0.5]]);
+    const a = table.find(s => s.name === 'A');
+    assert.equal(a.buchholz, 2.5);      // B 1 + C 1.5
+    assert.equal(a.sonnebornBerger, 1); // beat B (1 point)
+    assert.equal(table.find(s => s.name === 'B').rank, 3);
+  });
+});
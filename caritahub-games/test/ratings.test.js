@@ -0,0 +1,74 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ratings = require('../src/ratings');
+
+/** A player joining with their own browser's key. */
+const player = (name, key = `${name}-browser-key-0001`) => ({ name, keyHash: ratings.hashPlayerKey(key) });
+
+describe('glicko2', () => {
+  it('matches the worked example in Glickman\'s Glicko-2 paper', () => {
+    const result = ratings.glicko2({ rating: 1500, rd: 200, volatility: 0.06 }, [
+      { opponent: { rating: 1400, rd: 30 }, score: 1 },
+      { opponent: { rating: 1550, rd: 100 }, score: 0 },
+      { opponent: { rating: 1700, rd: 300 }, score: 0 }
+    ]);
+    assert.ok(Math.abs(result.rating - 1464.06) < 0.01, `rating ${result.rating}`);
+    assert.ok(Math.abs(result.rd - 151.52) < 0.01, `rd ${result.rd}`);
+    assert.ok(Math.abs(result.volatility - 0.05999) < 0.00001, `volatility ${result.volatility}`);
+  });
+});
+
+describe('recordGame', () => {
+  it('moves the winner up and the loser down by the same amount for equal players', () => {
+    const [a, b] = ratings.recordGame('chess', player('alice'), player('bob'), 1);
+    assert.ok(a.rating > 1500 && b.rating < 1500);
+    assert.ok(Math.abs((a.rating - 1500) - (1500 - b.rating)) < 1e-9);
+    assert.equal(a.games, 1);
+    assert.ok(a.rd < 350);
+  });
+
+  it('leaves ratings unchanged on a draw between equal players', () => {
+    const [a, b] = ratings.recordGame('xiangqi', player('carol'), player('dave'), 0.5);
+    assert.ok(Math.abs(a.rating - 1500) < 1e-9 && Math.abs(b.rating - 1500) < 1e-9);
+  });
+
+  it('refuses a game against oneself', () => {
+    assert.equal(ratings.recordGame('chess', player('erin'), player('erin'), 1), null);
+  });
+
+  it('lists ratings highest first', () => {
+    const page = ratings.getRatings('chess');
+    assert.deepEqual(page.entries.map(e => e.name), ['alice', 'bob']);
+  });
+});
+
+describe('rating identity', () => {
+  it('binds a name to the key it was first rated with, in every game', () => {
+    ratings.recordGame('chess', player('frank'), player('gina'), 1);
+    assert.equal(ratings.recordGame('chess', player('frank', 'someone-else-key-01'), player('gina'), 1), null);
+    assert.equal(ratings.recordGame('xiangqi', player('frank', 'someone-else-key-01'), player('hugo'), 1), null);
+    assert.equal(ratings.getRating('chess', 'frank').games, 1);
+    assert.equal(ratings.getRating('xiangqi', 'hugo').games, 0);
+    assert.ok(ratings.recordGame('xiangqi', player('frank'), player('hugo'), 1));
+  });
+
+  it('does not rate a player who joined without a key', () => {
+    assert.equal(ratings.recordGame('chess', { name: 'ivan' }, player('jane'), 1), null);
+    assert.equal(ratings.hashPlayerKey('short'), null);
+    assert.equal(ratings.getRating('chess', 'jane').games, 0);
+  });
+
+  it('keeps key hashes out of what it hands back', () => {
+    const [a] = ratings.recordGame('chess', player('kim'), player('lee'), 0);
+    assert.equal(a.keyHash, undefined);
+    assert.equal(ratings.getRating('chess', 'kim').keyHash, undefined);
+    assert.ok(ratings.getRatings('chess', { limit: 50 }).entries.every(e => !('keyHash' in e)));
+  });
+});
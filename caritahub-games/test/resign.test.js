@@ -0,0 +1,77 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const chordaidi = require('../src/engine/chordaidi');
+const bingo = require('../src/engine/bingo');
+const boggle = require('../src/engine/boggle');
+
+const room = colors => ({ players: colors.map((color, i) => ({ name: `P${i}`, color, socketId: `s${i}` })) });
+
+/** A Chor Dai Di deal: seat s holds cards s*13 … s*13+12, so seat 0 leads with 3♦. */
+function dealt() {
+  const hands = [0, 1, 2, 3].map(s => Array.from({ length: 13 }, (_, i) => s * 13 + i));
+  return chordaidi.createGame({
+    gameType: 'chordaidi', hands, currentSeat: 0, passCount: 0, tableCardIds: null,
+    tableOwner: null, roundFirst: true, winnerSeat: null, history: []
+  });
+}
+
+describe('resigning a multi-seat game', () => {
+  it('chordaidi skips a resigned seat and keeps the game going', () => {
+    const game = dealt();
+    assert.ok(game.play(0, [0]).ok);
+    assert.ok(game.resign(1).ok);
+    assert.equal(game.turn(), 2);
+    assert.ok(game.pass(2).ok);
+    assert.ok(game.pass(3).ok);
+    // Both remaining opponents passed: seat 0 leads a fresh table
+    assert.equal(game.turn(), 0);
+    assert.equal(game.state().tableCombo, null);
+    assert.equal(chordaidi.definition.outcome(game, room(['south', 'west', 'north', 'east'])), null);
+  });
+
+  it('chordaidi gives the game to the last seat left and places resigners last', () => {
+    const game = dealt();
+    for (const seat of [0, 2, 3]) assert.ok(chordaidi.definition.resign(game, seat).ok);
+    const outcome = chordaidi.definition.outcome(game, room(['south', 'west', 'north', 'east']));
+    assert.equal(outcome.winner, 'west');
+    assert.equal(outcome.cause, 'resign');
+    assert.deepEqual(outcome.placements, [2, 1, 2, 2]);
+    assert.equal(game.resign(1).ok, false);
+  });
+
+  it('bingo hands calling to the next seat and never lets a resigner win', () => {
+    const game = bingo.createGame(3);
+    assert.ok(game.resign(0).ok);
+    assert.equal(game.state().callerSeat, 1);
+    assert.equal(game.callNumber(0).ok, false);
+    while (!game.isGameOver()) assert.ok(game.callNumber(1).ok);
+    assert.ok(game.winners().every(w => w.seat !== 0));
+  });
+
+  it('bingo ends when one player is left', () => {
+    const game = bingo.createGame(2);
+    assert.ok(game.resign(1).ok);
+    const outcome = bingo.definition.outcome(game, room(bingo.definition.colors.slice(0, 2)));
+    assert.deepEqual(outcome.winnerSeats, [0]);
+    assert.equal(outcome.cause, 'resign');
+  });
+
+  it('boggle withdraws a resigner and ends the round with one player left', () => {
+    const game = boggle.createGame(3);
+    assert.ok(game.resign(2).ok);
+    assert.equal(game.submitWord(2, 'TEST').reason, 'You have resigned');
+    assert.equal(game.isGameOver(), false);
+    assert.ok(game.resign(0).ok);
+    assert.equal(game.isGameOver(), true);
+    const outcome = boggle.definition.outcome(game, room(['red', 'blue', 'green']));
+    assert.deepEqual(outcome.winnerSeats, [1]);
+    assert.deepEqual(outcome.placements, [2, 1, 2]);
+  });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+process.env.PERSIST_ROOMS = 'false';
+
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const roomManager = require('../src/rooms/roomManager');
+const seatTokens = require('../src/rooms/seatTokens');
+
+/** A pinned room (no cleanup timers) with one player and one spectator. */
+function roomWithSpectator() {
+  const roomId = roomManager.createRoom({ gameType: 'chess', colors: ['white', 'black'], reserved: { white: 'Ann' } });
+  roomManager.joinRoom(roomId, 's1', 'Ann');
+  const joined = roomManager.joinRoom(roomId, 's2', 'Sam');
+  assert.equal(joined.color, 'spectator');
+  roomManager.leaveRoom('s2');
+  return { roomId, claim: seatTokens.verify(joined.seatToken) };
+}
+
+describe('spectator seat tokens', () => {
+  it('bring a spectator who dropped back in', () => {
+    const { roomId, claim } = roomWithSpectator();
+    assert.equal(roomManager.joinRoom(roomId, 's3', null, claim).color, 'spectator');
+  });
+
+  it('stop working once the spectator is removed', () => {
+    const { roomId, claim } = roomWithSpectator();
+    roomManager.removeMember(roomId, 'Sam');
+    assert.match(roomManager.joinRoom(roomId, 's3', null, claim).error, /removed/);
+    assert.equal(roomManager.getRoom(roomId).spectators.length, 0);
+  });
+
+  it('work again after the spectator is admitted anew', () => {
+    const { roomId, claim } = roomWithSpectator();
+    roomManager.removeMember(roomId, 'Sam');
+    assert.equal(roomManager.joinRoom(roomId, 's3', 'Sam').color, 'spectator');
+    roomManager.leaveRoom('s3');
+    assert.equal(roomManager.joinRoom(roomId, 's4', null, claim).color, 'spectator');
+  });
+
+  it('do not get past a lock', () => {
+    const { roomId, claim } = roomWithSpectator();
+    roomManager.setLocked(roomId, true);
+    assert.match(roomManager.joinRoom(roomId, 's3', null, claim).error, /locked/);
+  });
+});
+
+describe('room cleanup', () => {
+  it('tells listeners once an abandoned room is deleted', () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+      const deleted = [];
+      roomManager.onRoomDeleted(roomId => deleted.push(roomId));
+      const roomId = roomManager.createRoom({ gameType: 'chess', colors: ['white', 'black'] });
+      roomManager.joinRoom(roomId, 'c1', 'Ann');
+      roomManager.leaveRoom('c1');
+      mock.timers.tick(roomManager.RECONNECT_GRACE_MS - 1);
+      assert.deepEqual(deleted, []);
+      mock.timers.tick(1);
+      assert.deepEqual(deleted, [roomId]);
+      assert.equal(roomManager.getRoom(roomId), null);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('deletes a room on request', () => {
+    const deleted = [];
+    roomManager.onRoomDeleted(roomId => deleted.push(roomId));
+    const roomId = roomManager.createRoom({ gameType: 'chess', colors: ['white', 'black'] });
+    roomManager.deleteRoom(roomId);
+    roomManager.deleteRoom(roomId);
+    assert.deepEqual(deleted, [roomId]);
+    assert.equal(roomManager.getRoom(roomId), null);
+  });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { migrate, MIGRATIONS, BACKFILL_DELAY_MS } = require('../src/analytics/schema');
+
+/**
+ * A stand-in for the ClickHouse client: keeps the two bookkeeping tables in
+ * memory and logs every other statement. failOn(query) → true makes that
+ * statement fail once, like a dropped connection.
+ */
+function fakeClickhouse(failOn = null) {
+  const tables = { caritahub_schema_migrations: [], caritahub_schema_backfills: [] };
+  const log = [];
+  return {
+    log,
+    tables,
+    async command({ query }) {
+      const sql = query.replace(/\s+/g, ' ').trim();
+      if (failOn && failOn(sql)) {
+        failOn = null;
+        throw new Error('socket hang up');
+      }
+      log.push(sql);
+    },
+    async insert({ table, values }) {
+      tables[table].push(...values);
+    },
+    async query({ query }) {
+      let rows;
+      if (/FROM caritahub_schema_migrations/.test(query)) {
+        rows = tables.caritahub_schema_migrations.map(r => ({ version: r.version }));
+      } else {
+        const byVersion = new Map();
+        for (const r of tables.caritahub_schema_backfills) {
+          const seen = byVersion.get(r.version) || { version: r.version, cutoff: 0, done: 0 };
+          byVersion.set(r.version, { ...seen, cutoff: Math.max(seen.cutoff, r.cutoff_ms), done: Math.max(seen.done, r.done) });
+        }
+        rows = Array.from(byVersion.values());
+      }
+      return { json: async () => rows };
+    }
+  };
+}
+
+const T0 = Date.UTC(2026, 9, 19, 12);
+const rollups = MIGRATIONS.filter(m => m.rollup).map(m => m.rollup.table);
+const cutoffIn = sql => Number(/toInt64\((\d+)\)/.exec(sql)[1]);
+const views = log => log.filter(sql => sql.startsWith('CREATE MATERIALIZED VIEW'));
+const backfills = log => log.filter(sql => sql.startsWith('INSERT INTO'));
+
+describe('ClickHouse migrations', () => {
+  it('split each rollup between its view and a backfill at one cutoff', async () => {
+    const db = fakeClickhouse();
+    const due = await migrate(db, T0);
+    assert.equal(due, T0 + 2 * BACKFILL_DELAY_MS);
+    assert.equal(views(db.log).length, rollups.length);
+    for (const sql of views(db.log)) {
+      assert.match(sql, /timestamp >= fromUnixTimestamp64Milli/);
+      assert.equal(cutoffIn(sql), T0 + BACKFILL_DELAY_MS);
+    }
+    assert.deepEqual(backfills(db.log), []);
+
+    assert.equal(await migrate(db, due - 1), due);
+    assert.deepEqual(backfills(db.log), []);
+
+    assert.equal(await migrate(db, due), null);
+    const inserted = backfills(db.log);
+    assert.deepEqual(inserted.map(sql => sql.split(' ')[2]), rollups);
+    for (const sql of inserted) {
+      assert.match(sql, /timestamp < fromUnixTimestamp64Milli/);
+      assert.equal(cutoffIn(sql), T0 + BACKFILL_DELAY_MS);
+    }
+  });
+
+  it('never backfills twice', async () => {
+    const db = fakeClickhouse();
+    await migrate(db, T0);
+    await migrate(db, T0 + 2 * BACKFILL_DELAY_MS);
+    const before = db.log.length;
+    assert.equal(await migrate(db, T0 + 10 * BACKFILL_DELAY_MS), null);
+    assert.equal(backfills(db.log.slice(before)).length, 0);
+  });
+
+  it('clears a failed backfill before running it again', async () => {
+    const db = fakeClickhouse(sql => sql.startsWith('INSERT INTO daily_games'));
+    await migrate(db, T0);
+    await assert.rejects(migrate(db, T0 + 2 * BACKFILL_DELAY_MS), /hang up/);
+    const before = db.log.length;
+    await migrate(db, T0 + 3 * BACKFILL_DELAY_MS);
+    const retried = db.log.slice(before);
+    assert.deepEqual(backfills(retried).map(sql => sql.split(' ')[2]), ['daily_games', 'daily_game_length']);
+    const cleared = retried.indexOf('ALTER TABLE daily_games DELETE WHERE backfill = 1');
+    assert.ok(cleared !== -1 && cleared < retried.findIndex(sql => sql.startsWith('INSERT INTO daily_games')));
+    assert.ok(!retried.some(sql => sql.includes('daily_active_players')));
+  });
+
+  it('keeps the cutoff when a migration is retried', async () => {
+    const db = fakeClickhouse(sql => sql.startsWith('CREATE MATERIALIZED VIEW IF NOT EXISTS daily_games_mv'));
+    await assert.rejects(migrate(db, T0), /hang up/);
+    await migrate(db, T0 + 60_000);
+    const cutoffs = views(db.log).map(cutoffIn);
+    assert.deepEqual(cutoffs, [T0 + BACKFILL_DELAY_MS, T0 + BACKFILL_DELAY_MS, T0 + 60_000 + BACKFILL_DELAY_MS]);
+    assert.deepEqual(db.tables.caritahub_schema_migrations.map(m => m.version), [1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const registry = require('../src/engine/registry');
+const chess = require('../src/engine/chess');
+
+const roundTrip = value => JSON.parse(JSON.stringify(value));
+
+describe('engine snapshots', () => {
+  for (const id of registry.gameIds()) {
+    it(`${id}: a restored engine serializes identically`, () => {
+      const def = registry.getGame(id);
+      const engine = def.create(def.minPlayers, null, {});
+      const saved = roundTrip(engine.serialize());
+      const restored = def.create(def.minPlayers, saved, {});
+      assert.deepEqual(roundTrip(restored.serialize()), saved);
+    });
+  }
+
+  it('chess: keeps the position, move list and undo history', () => {
+    const game = chess.createGame();
+    game.move([6, 4], [4, 4]);
+    game.move([1, 4], [3, 4]);
+    const restored = chess.createGame(roundTrip(game.serialize()));
+    assert.equal(restored.fen(), game.fen());
+    assert.deepEqual(restored.moveList(), ['e4', 'e5']);
+    assert.ok(restored.undo());
+    assert.equal(restored.fen(), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1');
+  });
+
+  it('board games: the clock survives a snapshot', () => {
+    const def = registry.getGame('chess');
+    const engine = def.create(2, null, { timeControl: '5+3' });
+    engine.move([6, 4], [4, 4]);
+    const restored = def.create(2, roundTrip(engine.serialize()), { timeControl: '5+3' });
+    assert.equal(restored.clock.state(Date.now()).running, 1);
+    assert.ok(restored.clock.remaining(0, Date.now()) > 300_000);
+  });
+});
@@ -0,0 +1,48 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+process.env.PERSIST_ROOMS = 'false';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const tournaments = require('../src/tournaments');
+const roomManager = require('../src/rooms/roomManager');
+
+function startedTournament(format = 'knockout', rounds) {
+  const { tournament, organiserKey } = tournaments.createTournament({ name: 'Club night', gameType: 'chess', format, rounds });
+  const tokens = {};
+  for (const name of ['Ann', 'Ben']) tokens[name] = tournaments.register(tournament.id, name).entryToken;
+  const started = tournaments.start(tournament.id, organiserKey);
+  return { tournament: started.tournament, tokens };
+}
+
+describe('tournament entry tokens', () => {
+  it('keeps tokens out of the public view', () => {
+    const { tournament, tokens } = startedTournament();
+    assert.match(tokens.Ann, /^[0-9a-f]{24}$/);
+    assert.equal(tournament.entryTokens, undefined);
+    assert.equal(JSON.stringify(tournaments.getTournament(tournament.id)).includes(tokens.Ann), false);
+  });
+
+  it('seats a registered player only with their own token', () => {
+    const { tournament, tokens } = startedTournament();
+    const { roomId, white } = tournament.rounds[0][0];
+    assert.match(roomManager.joinRoom(roomId, 's1', white).error, /reserved/);
+    assert.match(roomManager.joinRoom(roomId, 's1', white, null, { entry: tokens[white === 'Ann' ? 'Ben' : 'Ann'] }).error, /reserved/);
+    const joined = roomManager.joinRoom(roomId, 's1', white, null, { entry: tokens[white] });
+    assert.equal(joined.color, 'white');
+  });
+
+  it('lets anyone else watch', () => {
+    const { tournament } = startedTournament();
+    const joined = roomManager.joinRoom(tournament.rounds[0][0].roomId, 's2', 'Cat');
+    assert.equal(joined.color, 'spectator');
+  });
+
+  it('rejects more Swiss rounds than the largest field can use', () => {
+    assert.match(tournaments.createTournament({ name: 'Long', gameType: 'chess', format: 'swiss', rounds: 9 }).error, /at most 8 rounds/);
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'caritahub-test-'));
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const xiangqi = require('../src/engine/xiangqi');
+
+/** A saved game starting from `fen` (xiangqi FEN: placement and side to move). */
+function fromFen(fen, ruleset) {
+  const [placement, turn] = fen.split(' ');
+  const board = placement.split('/').map(row =>
+    [...row].flatMap(ch => (/\d/.test(ch) ? Array(Number(ch)).fill(null) : [ch])));
+  return xiangqi.createGame({ gameType: 'xiangqi', state: { board, turn }, history: [], moves: [], plies: [], ruleset });
+}
+
+/** Play `opening`, then repeat `cycle` until the game ends (or 40 plies). */
+function repeat(game, opening, cycle) {
+  for (const [from, to] of opening) assert.ok(game.move(from, to).ok);
+  for (let i = 0; i < 40 && !game.isGameOver(); i++) {
+    const [from, to] = cycle[i % cycle.length];
+    const result = game.move(from, to);
+    assert.ok(result.ok, result.reason);
+  }
+  return game.adjudication();
+}
+
+// Red's chariot checks the black general from the side, file after file
+const CHECKS = ['3k5/9/9/9/9/R8/9/9/9/5K3 w', [[[5, 0], [5, 3]], [[0, 3], [0, 4]]],
+  [[[5, 3], [5, 4]], [[0, 4], [0, 3]], [[5, 4], [5, 3]], [[0, 3], [0, 4]]]];
+// Red's chariot follows an undefended black cannon up and down two files
+const CHASE = ['4k4/9/c8/9/2R6/9/9/9/9/3K5 w', [[[4, 2], [4, 0]]],
+  [[[2, 0], [2, 1]], [[4, 0], [4, 1]], [[2, 1], [2, 0]], [[4, 1], [4, 0]]]];
+// Both generals step back and forth
+const SHUFFLE = ['3k5/9/9/9/9/9/9/9/9/5K3 w', [],
+  [[[9, 5], [8, 5]], [[0, 3], [1, 3]], [[8, 5], [9, 5]], [[1, 3], [0, 3]]]];
+
+describe('xiangqi repetition', () => {
+  for (const ruleset of ['axf', 'casual']) {
+    it(`perpetual check loses (${ruleset})`, () => {
+      const [fen, opening, cycle] = CHECKS;
+      assert.deepEqual(repeat(fromFen(fen, ruleset), opening, cycle),
+        { winner: 'black', reason: 'Red loses by perpetual check', cause: 'perpetual_check' });
+    });
+  }
+
+  it('perpetual chase loses under AXF rules', () => {
+    const [fen, opening, cycle] = CHASE;
+    assert.deepEqual(repeat(fromFen(fen, 'axf'), opening, cycle),
+      { winner: 'black', reason: 'Red loses by perpetual chase', cause: 'perpetual_chase' });
+  });
+
+  it('perpetual chase is a draw under casual rules', () => {
+    const [fen, opening, cycle] = CHASE;
+    assert.equal(repeat(fromFen(fen, 'casual'), opening, cycle).winner, 'draw');
+  });
+
+  it('a repetition with no check or chase is a draw', () => {
+    const [fen, opening, cycle] = SHUFFLE;
+    assert.deepEqual(repeat(fromFen(fen, 'axf'), opening, cycle),
+      { winner: 'draw', reason: 'Repetition', cause: 'repetition' });
+  });
+
+  it('clears the ruling on undo and keeps it across a snapshot', () => {
+    const [fen, opening, cycle] = CHECKS;
+    const game = fromFen(fen, 'axf');
+    repeat(game, opening, cycle);
+    const restored = xiangqi.createGame(JSON.parse(JSON.stringify(game.serialize())));
+    assert.equal(restored.adjudication().cause, 'perpetual_check');
+    assert.ok(restored.undo());
+    assert.equal(restored.adjudication(), null);
+    assert.equal(restored.isGameOver(), false);
+  });
+});
+
+describe('xiangqi draws', () => {
+  it('are reported as repetition, not stalemate', () => {
+    const [fen, opening, cycle] = SHUFFLE;
+    const game = fromFen(fen, 'axf');
+    repeat(game, opening, cycle);
+    const room = { players: [{ name: 'Ann', color: 'red', socketId: 's1' }, { name: 'Ben', color: 'black', socketId: 's2' }] };
+    const view = xiangqi.definition.view(game, room, 'red');
+    assert.equal(view.winner, 'draw');
+    assert.equal(view.drawReason, 'Repetition');
+    assert.match(xiangqi.definition.outcome(game, room).reason, /^Repetition/);
+  });
+});